@@ -0,0 +1,46 @@
+import QRCode3D from './qrcode3d';
+
+/**
+ * Class used for generating the 3D model of an Aztec code.
+ * The bitmask has the same layout as the one of a QR code, so the modules are generated the same way.
+ * Aztec codes are located by the bullseye in the center instead of finder patterns in the corners,
+ * full range codes additionally have a reference grid every 16 modules.
+ */
+class Aztec3D extends QRCode3D {
+  constructor(aztecBitmask, options) {
+    super(aztecBitmask, options);
+    this.center = Math.floor(this.maskWidth / 2);
+    // compact codes have an orientation mark where full range codes have the light ring of the bullseye
+    this.compact = !!this.bitMask[(this.center - 5) * this.maskWidth + this.center - 5];
+    this.bullseyeSize = this.compact ? 5 : 7;
+  }
+
+  getFinderPatterns() {
+    return [];
+  }
+
+  getAlignmentPatterns() {
+    return [];
+  }
+
+  /**
+   * The bullseye, its orientation marks and the reference grid are kept square for styled modules
+   * so the code can still be located
+   * @param {number} x - Row of the module in the bitmask
+   * @param {number} y - Column of the module in the bitmask
+   * @return {boolean} - True if the module is part of the bullseye, an orientation mark or the reference grid
+   */
+  isFinderPatternModule(x, y) {
+    const dx = Math.abs(x - this.center);
+    const dy = Math.abs(y - this.center);
+    if (Math.max(dx, dy) < this.bullseyeSize) {
+      return true;
+    }
+    if (Math.max(dx, dy) === this.bullseyeSize && Math.min(dx, dy) >= this.bullseyeSize - 1) {
+      return true;
+    }
+    return !this.compact && (dx % 16 === 0 || dy % 16 === 0);
+  }
+}
+
+export default Aztec3D;
@@ -0,0 +1,363 @@
+/* eslint-disable no-bitwise */
+import { getGaloisField, getErrorCorrection } from './reedSolomon';
+
+const UPPER = 0;
+const LOWER = 1;
+const DIGIT = 2;
+const MIXED = 3;
+const PUNCT = 4;
+
+// percentage of the symbol used for error correction, in addition to 3 words
+const ERROR_CORRECTION_PERCENT = 33;
+
+/**
+ * Character tables of the text modes, mapping char codes to their values
+ */
+const CHAR_TABLES = (() => {
+  const tables = [new Map(), new Map(), new Map(), new Map(), new Map()];
+  for (let i = 0; i < 26; i += 1) {
+    tables[UPPER].set(65 + i, 2 + i);
+    tables[LOWER].set(97 + i, 2 + i);
+  }
+  for (let i = 0; i < 10; i += 1) {
+    tables[DIGIT].set(48 + i, 2 + i);
+  }
+  [UPPER, LOWER, DIGIT, MIXED].forEach((mode) => tables[mode].set(32, 1));
+  tables[DIGIT].set(44, 12);
+  tables[DIGIT].set(46, 13);
+  for (let i = 1; i <= 13; i += 1) {
+    tables[MIXED].set(i, 1 + i);
+  }
+  [27, 28, 29, 30, 31, 64, 92, 94, 95, 96, 124, 126, 127].forEach((char, i) => tables[MIXED].set(char, 15 + i));
+  tables[PUNCT].set(13, 1);
+  Array.from('!"#$%&\'()*+,-./:;<=>?[]{}').forEach((char, i) => tables[PUNCT].set(char.charCodeAt(0), 6 + i));
+  return tables;
+})();
+
+/**
+ * Sequences of [value, bit count] to latch from one mode (first index) to another (second index)
+ */
+const LATCHES = [
+  [null, [[28, 5]], [[30, 5]], [[29, 5]], [[29, 5], [30, 5]]],
+  [[[30, 5], [14, 4]], null, [[30, 5]], [[29, 5]], [[29, 5], [30, 5]]],
+  [[[14, 4]], [[14, 4], [28, 5]], null, [[14, 4], [29, 5]], [[14, 4], [29, 5], [30, 5]]],
+  [[[29, 5]], [[28, 5]], [[29, 5], [30, 5]], null, [[30, 5]]],
+  [[[31, 5]], [[31, 5], [28, 5]], [[31, 5], [30, 5]], [[31, 5], [29, 5]], null],
+];
+
+const getBitCount = (mode) => (mode === DIGIT ? 4 : 5);
+
+const getLatchLength = (from, to) => LATCHES[from][to].reduce((sum, [, bits]) => sum + bits, 0);
+
+/**
+ * Encodes the text into the bit stream of an Aztec code. Characters are encoded greedily in the text
+ * modes, switching with shifts for single characters and latches otherwise. Bytes that are not part of
+ * any text mode use the binary shift. Texts outside of ASCII are encoded as UTF-8 and announced with an ECI.
+ * @param {string} text - Content of the symbol
+ * @return {number[]} - Bits of the message
+ */
+const encodeText = (text) => {
+  const bits = [];
+  const append = (value, count) => {
+    for (let i = count - 1; i >= 0; i -= 1) {
+      bits.push((value >> i) & 1);
+    }
+  };
+
+  let bytes;
+  // eslint-disable-next-line no-control-regex
+  if (/^[\x00-\x7f]*$/.test(text)) {
+    bytes = Array.from(text, (char) => char.charCodeAt(0));
+  } else {
+    // P/S FLG(2) "26", ECI 000026 (UTF-8)
+    append(0, 5);
+    append(0, 5);
+    append(2, 3);
+    append(4, 4);
+    append(8, 4);
+    bytes = Array.from(new TextEncoder().encode(text));
+  }
+
+  const isEncodable = (byte) => CHAR_TABLES.some((table) => table.has(byte));
+  let mode = UPPER;
+  let i = 0;
+  while (i < bytes.length) {
+    const byte = bytes[i];
+    const next = bytes[i + 1];
+    if (!isEncodable(byte)) {
+      // binary shift is only possible from upper, lower and mixed mode
+      if (mode === DIGIT || mode === PUNCT) {
+        LATCHES[mode][UPPER].forEach(([value, count]) => append(value, count));
+        mode = UPPER;
+      }
+      let length = 0;
+      while (i + length < bytes.length && !isEncodable(bytes[i + length]) && length < 2078) {
+        length += 1;
+      }
+      append(31, 5);
+      if (length <= 31) {
+        append(length, 5);
+      } else {
+        append(0, 5);
+        append(length - 31, 11);
+      }
+      for (let j = 0; j < length; j += 1) {
+        append(bytes[i + j], 8);
+      }
+      i += length;
+    } else if (CHAR_TABLES[mode].has(byte)) {
+      append(CHAR_TABLES[mode].get(byte), getBitCount(mode));
+      i += 1;
+    } else if (CHAR_TABLES[PUNCT].has(byte) && !CHAR_TABLES[PUNCT].has(next)) {
+      // punctuation shift for a single character
+      append(0, getBitCount(mode));
+      append(CHAR_TABLES[PUNCT].get(byte), 5);
+      i += 1;
+    } else if ((mode === LOWER || mode === DIGIT) && CHAR_TABLES[UPPER].has(byte) && !CHAR_TABLES[UPPER].has(next)) {
+      // upper shift for a single character
+      append(mode === LOWER ? 28 : 15, getBitCount(mode));
+      append(CHAR_TABLES[UPPER].get(byte), 5);
+      i += 1;
+    } else {
+      let target = null;
+      [UPPER, LOWER, MIXED, DIGIT, PUNCT].forEach((candidate) => {
+        if (CHAR_TABLES[candidate].has(byte)
+          && (target === null || getLatchLength(mode, candidate) < getLatchLength(mode, target))) {
+          target = candidate;
+        }
+      });
+      LATCHES[mode][target].forEach(([value, count]) => append(value, count));
+      mode = target;
+    }
+  }
+  return bits;
+};
+
+/**
+ * Splits the bits into words and stuffs a bit wherever a word would consist of only zeros or ones.
+ * The last word is padded with ones.
+ * @param {number[]} bits - Bits of the message
+ * @param {number} wordSize - Number of bits per word
+ * @return {number[]} - Words of the message
+ */
+const stuffBits = (bits, wordSize) => {
+  const words = [];
+  const mask = (1 << wordSize) - 2;
+  for (let i = 0; i < bits.length; i += wordSize) {
+    let word = 0;
+    for (let j = 0; j < wordSize; j += 1) {
+      if (i + j >= bits.length || bits[i + j]) {
+        word |= 1 << (wordSize - 1 - j);
+      }
+    }
+    if ((word & mask) === mask) {
+      words.push(word & mask);
+      i -= 1;
+    } else if ((word & mask) === 0) {
+      words.push(word | 1);
+      i -= 1;
+    } else {
+      words.push(word);
+    }
+  }
+  return words;
+};
+
+const getWordSize = (layers) => {
+  if (layers <= 2) {
+    return 6;
+  }
+  if (layers <= 8) {
+    return 8;
+  }
+  if (layers <= 22) {
+    return 10;
+  }
+  return 12;
+};
+
+const PRIMITIVES = {
+  4: 0x13, 6: 0x43, 8: 0x12d, 10: 0x409, 12: 0x1069,
+};
+
+/**
+ * Appends the error correction words and returns all words as bits
+ * @param {number[]} words - Data words
+ * @param {number} totalWords - Number of words that fit into the symbol
+ * @param {number} wordSize - Number of bits per word
+ * @return {number[]} - Bits of the data and error correction words
+ */
+const getCheckedBits = (words, totalWords, wordSize) => {
+  const field = getGaloisField(wordSize, PRIMITIVES[wordSize]);
+  const checked = words.concat(getErrorCorrection(words, totalWords - words.length, field));
+  const bits = [];
+  checked.forEach((word) => {
+    for (let i = wordSize - 1; i >= 0; i -= 1) {
+      bits.push((word >> i) & 1);
+    }
+  });
+  return bits;
+};
+
+const getTotalBitsInLayers = (layers, compact) => ((compact ? 88 : 112) + 16 * layers) * layers;
+
+/**
+ * Generates an Aztec code. The smallest compact or full range symbol that fits the text is chosen.
+ * @param {string} text - Content of the symbol
+ * @return {Object} - { size, modules, compact, layers } with modules being a bitmask of size * size entries,
+ * indexed by row * size + column, 1 for dark modules
+ */
+export const createAztecCode = (text) => {
+  const bits = encodeText(text);
+  const eccBits = Math.floor((bits.length * ERROR_CORRECTION_PERCENT) / 100) + 11;
+
+  let compact;
+  let layers;
+  let wordSize;
+  let words;
+  let totalBits;
+  for (let i = 0; ; i += 1) {
+    if (i > 32) {
+      throw new Error('Text is too long for an Aztec code');
+    }
+    compact = i <= 3;
+    layers = compact ? i + 1 : i;
+    totalBits = getTotalBitsInLayers(layers, compact);
+    if (bits.length + eccBits <= totalBits) {
+      wordSize = getWordSize(layers);
+      words = stuffBits(bits, wordSize);
+      const usableBits = totalBits - (totalBits % wordSize);
+      if ((!compact || words.length <= 64) && words.length * wordSize + eccBits <= usableBits) {
+        break;
+      }
+    }
+  }
+
+  // the data layers are filled from the outside, unused bits are at the start
+  const messageBits = new Array(totalBits % wordSize).fill(0)
+    .concat(getCheckedBits(words, Math.floor(totalBits / wordSize), wordSize));
+
+  // mode message with the number of layers and data words
+  const modeBits = [];
+  const appendModeBits = (value, count) => {
+    for (let i = count - 1; i >= 0; i -= 1) {
+      modeBits.push((value >> i) & 1);
+    }
+  };
+  if (compact) {
+    appendModeBits(layers - 1, 2);
+    appendModeBits(words.length - 1, 6);
+  } else {
+    appendModeBits(layers - 1, 5);
+    appendModeBits(words.length - 1, 11);
+  }
+  const modeWords = [];
+  for (let i = 0; i < modeBits.length; i += 4) {
+    modeWords.push(parseInt(modeBits.slice(i, i + 4).join(''), 2));
+  }
+  const modeMessage = getCheckedBits(modeWords, compact ? 7 : 10, 4);
+
+  // full range symbols have a reference grid every 16 modules, which the data layers skip
+  const baseSize = (compact ? 11 : 14) + layers * 4;
+  const alignmentMap = new Array(baseSize);
+  let size;
+  if (compact) {
+    size = baseSize;
+    for (let i = 0; i < baseSize; i += 1) {
+      alignmentMap[i] = i;
+    }
+  } else {
+    size = baseSize + 1 + 2 * Math.floor((Math.floor(baseSize / 2) - 1) / 15);
+    const originalCenter = Math.floor(baseSize / 2);
+    const center = Math.floor(size / 2);
+    for (let i = 0; i < originalCenter; i += 1) {
+      const offset = i + Math.floor(i / 15);
+      alignmentMap[originalCenter - i - 1] = center - offset - 1;
+      alignmentMap[originalCenter + i] = center + offset + 1;
+    }
+  }
+
+  const modules = new Uint8Array(size * size);
+  const set = (x, y) => {
+    modules[y * size + x] = 1;
+  };
+
+  // data layers, spiraling from the outside to the bullseye
+  let rowOffset = 0;
+  for (let i = 0; i < layers; i += 1) {
+    const rowSize = (layers - i) * 4 + (compact ? 9 : 12);
+    for (let j = 0; j < rowSize; j += 1) {
+      const columnOffset = j * 2;
+      for (let k = 0; k < 2; k += 1) {
+        if (messageBits[rowOffset + columnOffset + k]) {
+          set(alignmentMap[i * 2 + k], alignmentMap[i * 2 + j]);
+        }
+        if (messageBits[rowOffset + rowSize * 2 + columnOffset + k]) {
+          set(alignmentMap[i * 2 + j], alignmentMap[baseSize - 1 - i * 2 - k]);
+        }
+        if (messageBits[rowOffset + rowSize * 4 + columnOffset + k]) {
+          set(alignmentMap[baseSize - 1 - i * 2 - k], alignmentMap[baseSize - 1 - i * 2 - j]);
+        }
+        if (messageBits[rowOffset + rowSize * 6 + columnOffset + k]) {
+          set(alignmentMap[baseSize - 1 - i * 2 - j], alignmentMap[i * 2 + k]);
+        }
+      }
+    }
+    rowOffset += rowSize * 8;
+  }
+
+  // mode message around the bullseye
+  const center = Math.floor(size / 2);
+  if (compact) {
+    for (let i = 0; i < 7; i += 1) {
+      const offset = center - 3 + i;
+      if (modeMessage[i]) set(offset, center - 5);
+      if (modeMessage[i + 7]) set(center + 5, offset);
+      if (modeMessage[20 - i]) set(offset, center + 5);
+      if (modeMessage[27 - i]) set(center - 5, offset);
+    }
+  } else {
+    for (let i = 0; i < 10; i += 1) {
+      const offset = center - 5 + i + Math.floor(i / 5);
+      if (modeMessage[i]) set(offset, center - 7);
+      if (modeMessage[i + 10]) set(center + 7, offset);
+      if (modeMessage[29 - i]) set(offset, center + 7);
+      if (modeMessage[39 - i]) set(center - 7, offset);
+    }
+  }
+
+  // bullseye with its orientation marks
+  const bullseyeSize = compact ? 5 : 7;
+  for (let i = 0; i < bullseyeSize; i += 2) {
+    for (let j = center - i; j <= center + i; j += 1) {
+      set(j, center - i);
+      set(j, center + i);
+      set(center - i, j);
+      set(center + i, j);
+    }
+  }
+  set(center - bullseyeSize, center - bullseyeSize);
+  set(center - bullseyeSize + 1, center - bullseyeSize);
+  set(center - bullseyeSize, center - bullseyeSize + 1);
+  set(center + bullseyeSize, center - bullseyeSize);
+  set(center + bullseyeSize, center - bullseyeSize + 1);
+  set(center + bullseyeSize, center + bullseyeSize - 1);
+
+  // reference grid of full range symbols
+  if (!compact) {
+    for (let i = 0, j = 0; i < Math.floor(baseSize / 2) - 1; i += 15, j += 16) {
+      for (let k = center & 1; k < size; k += 2) {
+        set(center - j, k);
+        set(center + j, k);
+        set(k, center - j);
+        set(k, center + j);
+      }
+    }
+  }
+
+  return {
+    size, modules, compact, layers,
+  };
+};
+
+export default createAztecCode;
@@ -0,0 +1,18 @@
+import { describe, expect, it } from 'vitest';
+import { createAztecCode } from './aztecEncoder';
+import { decodeModules } from './decodeTestUtils';
+
+describe('createAztecCode', () => {
+  it.each([
+    ['a compact symbol', 'Hello, World!', true],
+    ['mixed and punctuation modes', 'user@example.com; Tel. +49 (0)30 1234-567', true],
+    ['a full range symbol', 'https://example.com/keychain/'.repeat(6), false],
+    ['binary shifts in UTF-8 with an ECI', 'Grüße für den Schlüsselbund', true],
+  ])('reads back %s', async (name, text, compact) => {
+    const symbol = createAztecCode(text);
+    const results = await decodeModules(symbol.modules, symbol.size, ['Aztec']);
+
+    expect(symbol.compact).toBe(compact);
+    expect(results.map((result) => result.text)).toEqual([text]);
+  });
+});
@@ -0,0 +1,158 @@
+import * as THREE from 'three';
+import * as BufferGeometryUtils from 'three/addons/utils/BufferGeometryUtils.js';
+import BaseTag3D from './base';
+import { subtractMesh, getTopEdgeExtrudeGeometry } from './utils';
+import { getHeightfieldGeometry } from './gridGeometry';
+import { getCityDepthFunction } from './cityMode';
+
+/**
+ * Class used for generating the 3D model of a linear barcode.
+ * The bars run across the base, the quiet zones to the left and right of the code are always kept free.
+ */
+class Barcode3D extends BaseTag3D {
+  constructor(barcode, options) {
+    super(options);
+    this.barcode = barcode;
+
+    // the human-readable text is printed as first line of the text below the bars
+    if (this.options.code.humanReadable && barcode.text) {
+      const message = this.options.base.hasText ? this.options.base.textMessage.trim() : '';
+      this.options.base.hasText = true;
+      this.options.base.textMessage = message ? `${barcode.text}\n${message}` : barcode.text;
+    }
+
+    const moduleCount = barcode.quietZone[0] + barcode.modules.length + barcode.quietZone[1];
+    // the width of a single module, a narrow bar
+    this.moduleWidth = this.availableWidth / moduleCount;
+    this.barHeight = this.options.base.height - 2 * this.options.code.margin;
+    if (this.options.base.hasBorder) {
+      this.barHeight -= 2 * this.options.base.borderWidth;
+    }
+
+    this.barcodeMesh = null;
+    this.exportedMeshes = super.getPartMeshes();
+  }
+
+  /**
+   * @return {number} - Distance from the edges of the base to the code
+   */
+  getContentMargin() {
+    return this.options.code.margin;
+  }
+
+  /**
+   * Returns the bars and spaces of the code including the quiet zones
+   * @return {Object[]} - Runs of modules as { start, end, isBar } in module units
+   */
+  getRuns() {
+    const modules = [
+      ...new Array(this.barcode.quietZone[0]).fill(0),
+      ...this.barcode.modules,
+      ...new Array(this.barcode.quietZone[1]).fill(0),
+    ];
+    const runs = [];
+    modules.forEach((module, i) => {
+      if (runs.length > 0 && runs[runs.length - 1].isBar === !!module) {
+        runs[runs.length - 1].end = i + 1;
+      } else {
+        runs.push({ start: i, end: i + 1, isBar: !!module });
+      }
+    });
+    return runs;
+  }
+
+  /**
+   * @return {THREE.Mesh} the mesh of the bars, or of the raised spaces for inverted codes
+   */
+  getBarcodeMesh() {
+    const runs = this.getRuns();
+    const xs = [-this.barHeight / 2, this.barHeight / 2];
+    const ys = [...runs.map((run) => run.start), runs[runs.length - 1].end]
+      .map((module) => module * this.moduleWidth - this.availableWidth / 2);
+    const baseZ = this.options.base.depth;
+
+    if (!this.isInverted()) {
+      const getCityDepth = this.isCityMode() ? getCityDepthFunction(this.options.code) : null;
+      const modules = this.availableWidth / this.moduleWidth;
+      const heights = runs.map((run) => {
+        if (!run.isBar) {
+          return null;
+        }
+        let barDepth = this.options.code.depth;
+        if (getCityDepth) {
+          // the bars run from left to right through the middle of the code area
+          barDepth = getCityDepth(((run.start + run.end) / modules) - 1, 0);
+        }
+        return baseZ + barDepth;
+      });
+
+      const edgeSize = this.getCodeTopEdgeSize(Math.min(this.moduleWidth, this.barHeight));
+      if (edgeSize > 0) {
+        // bars are always separated by spaces, so every bar is extruded on its own with chamfered or rounded top edges
+        const geometries = [];
+        runs.forEach((run, j) => {
+          if (!run.isBar) {
+            return;
+          }
+          const shape = new THREE.Shape([
+            new THREE.Vector2(xs[0], ys[j]),
+            new THREE.Vector2(xs[1], ys[j]),
+            new THREE.Vector2(xs[1], ys[j + 1]),
+            new THREE.Vector2(xs[0], ys[j + 1]),
+          ]);
+          const geometry = getTopEdgeExtrudeGeometry(shape, heights[j] - baseZ, this.options.code.topEdgeStyle, edgeSize);
+          geometry.translate(0, 0, baseZ);
+          geometries.push(geometry.index !== null ? geometry.toNonIndexed() : geometry);
+        });
+        return new THREE.Mesh(BufferGeometryUtils.mergeGeometries(geometries), this.materialDetail);
+      }
+      return new THREE.Mesh(getHeightfieldGeometry(xs, ys, (i, j) => heights[j], baseZ), this.materialDetail);
+    }
+
+    const topZ = baseZ + this.options.code.depth;
+    return new THREE.Mesh(getHeightfieldGeometry(xs, ys, (i, j) => (runs[j].isBar ? null : topZ), baseZ, {
+      outline: this.getInnerAreaShape().extractPoints(12).shape,
+      height: topZ,
+    }), this.materialDetail);
+  }
+
+  /**
+   * Returns one merged mesh of all part meshes
+   */
+  getCombinedMesh() {
+    this.combinedMesh = this.mergePartMeshes([super.getCombinedMesh(), this.barcodeMesh]);
+    return this.combinedMesh;
+  }
+
+  /**
+   * Generates all required meshes of the 3D model and combines them
+   */
+  async generate3dModel() {
+    this.generateBaseMeshes();
+    this.barcodeMesh = this.getBarcodeMesh();
+
+    if (this.isDebossed()) {
+      this.cutRecesses([this.barcodeMesh], this.options.code.depth);
+      this.barcodeMesh = null;
+      this.finishModel();
+      return;
+    }
+    if (this.isInlaid()) {
+      [this.barcodeMesh] = this.inlayMeshes([this.barcodeMesh]);
+    }
+
+    if (this.isInverted() && this.subtitleMesh) {
+      this.barcodeMesh = subtractMesh(this.barcodeMesh, this.subtitleMesh);
+    }
+    if (this.hasDualExtrusion()) {
+      [this.barcodeMesh] = this.embedMeshes([this.barcodeMesh]);
+    }
+
+    if (this.barcodeMesh) {
+      this.exportedMeshes.barcode = this.barcodeMesh;
+    }
+    this.finishModel();
+  }
+}
+
+export default Barcode3D;
@@ -0,0 +1,245 @@
+/* eslint-disable no-bitwise */
+
+/**
+ * Bar and space widths of the Code 128 symbols, indexed by their value. 103-105 are the start codes, 106 is the stop code.
+ */
+const CODE128_PATTERNS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '2331112',
+];
+
+const CODE128_START = { A: 103, B: 104, C: 105 };
+// values of the code set switches in code sets A, B and C
+const CODE128_SWITCH = {
+  A: { B: 100, C: 99 },
+  B: { A: 101, C: 99 },
+  C: { A: 101, B: 100 },
+};
+
+// Code 39 characters, the 9 bits of each pattern mark the wide bars and spaces
+const CODE39_ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ-. $/+%*';
+const CODE39_PATTERNS = [
+  0x034, 0x121, 0x061, 0x160, 0x031, 0x130, 0x070, 0x025, 0x124, 0x064,
+  0x109, 0x049, 0x148, 0x019, 0x118, 0x058, 0x00D, 0x10C, 0x04C, 0x01C,
+  0x103, 0x043, 0x142, 0x013, 0x112, 0x052, 0x007, 0x106, 0x046, 0x016,
+  0x181, 0x0C1, 0x1C0, 0x091, 0x190, 0x0D0, 0x085, 0x184, 0x0C4, 0x0A8,
+  0x0A2, 0x08A, 0x02A, 0x094,
+];
+const CODE39_WIDE = 3;
+
+// EAN/UPC digit patterns, odd parity (L), even parity (G) and right hand (R) codes
+const EAN_L = ['0001101', '0011001', '0010011', '0111101', '0100011', '0110001', '0101111', '0111011', '0110111', '0001011'];
+const EAN_G = ['0100111', '0110011', '0011011', '0100001', '0011101', '0111001', '0000101', '0010001', '0001001', '0010111'];
+const EAN_R = ['1110010', '1100110', '1101100', '1000010', '1011100', '1001110', '1010000', '1000100', '1001000', '1110100'];
+// parity of the left half, encoding the first digit of an EAN-13 code
+const EAN_PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'];
+
+/**
+ * Converts alternating bar and space widths to modules
+ * @param {string} widths - Widths in modules, starting with a bar
+ * @return {number[]} - 1 for bars, 0 for spaces
+ */
+const widthsToModules = (widths) => {
+  const modules = [];
+  Array.from(widths).forEach((width, i) => {
+    for (let j = 0; j < Number(width); j += 1) {
+      modules.push(i % 2 === 0 ? 1 : 0);
+    }
+  });
+  return modules;
+};
+
+/**
+ * Encodes the text as Code 128. Runs of digits use code set C, control characters code set A and all other characters code set B.
+ * @param {string} text - Printable ASCII characters and ASCII control characters
+ * @return {Object} - Barcode, see createBarcode()
+ */
+const encodeCode128 = (text) => {
+  const chars = Array.from(text, (char) => char.charCodeAt(0));
+  chars.forEach((char) => {
+    if (char > 127) {
+      throw new Error('Code 128 can only encode ASCII characters');
+    }
+  });
+
+  const getDigitRun = (start) => {
+    let length = 0;
+    while (start + length < chars.length && chars[start + length] >= 48 && chars[start + length] <= 57) {
+      length += 1;
+    }
+    return length;
+  };
+  // code set C pays off for at least 4 digits, at the start or end of the text already for 2 or 4
+  const useCodeSetC = (start) => {
+    const run = getDigitRun(start);
+    if (run === chars.length - start && start === 0) {
+      return run >= 2 && run % 2 === 0;
+    }
+    return run >= 4 && (run % 2 === 0 || start + run < chars.length);
+  };
+  const getCodeSet = (char) => (char < 32 ? 'A' : 'B');
+
+  const values = [];
+  let codeSet;
+  if (useCodeSetC(0)) {
+    codeSet = 'C';
+  } else {
+    codeSet = getCodeSet(chars[0]);
+  }
+  values.push(CODE128_START[codeSet]);
+
+  let i = 0;
+  while (i < chars.length) {
+    if (codeSet === 'C') {
+      if (getDigitRun(i) >= 2) {
+        values.push((chars[i] - 48) * 10 + chars[i + 1] - 48);
+        i += 2;
+      } else {
+        codeSet = getCodeSet(chars[i]);
+        values.push(CODE128_SWITCH.C[codeSet]);
+      }
+    } else if (useCodeSetC(i) && getDigitRun(i) % 2 === 0) {
+      values.push(CODE128_SWITCH[codeSet].C);
+      codeSet = 'C';
+    } else if (codeSet === 'B' && chars[i] < 32) {
+      codeSet = 'A';
+      values.push(CODE128_SWITCH.B.A);
+    } else if (codeSet === 'A' && chars[i] >= 96) {
+      codeSet = 'B';
+      values.push(CODE128_SWITCH.A.B);
+    } else {
+      values.push(chars[i] < 32 ? chars[i] + 64 : chars[i] - 32);
+      i += 1;
+    }
+  }
+
+  const checksum = values.reduce((sum, value, index) => sum + value * Math.max(index, 1), 0) % 103;
+  values.push(checksum, 106);
+
+  return {
+    modules: widthsToModules(values.map((value) => CODE128_PATTERNS[value]).join('')),
+    quietZone: [10, 10],
+    // control characters are not printed
+    // eslint-disable-next-line no-control-regex
+    text: text.replace(/[\x00-\x1f\x7f]/g, ''),
+  };
+};
+
+/**
+ * Encodes the text as Code 39 with start and stop characters, lower case letters are converted to upper case
+ * @param {string} text - Digits, upper case letters, space and - . $ / + %
+ * @return {Object} - Barcode, see createBarcode()
+ */
+const encodeCode39 = (text) => {
+  const upperCaseText = text.toUpperCase();
+  const modules = [];
+  Array.from(`*${upperCaseText}*`).forEach((char, i) => {
+    const index = CODE39_ALPHABET.indexOf(char);
+    if (index === -1 || (char === '*' && i > 0 && i <= upperCaseText.length)) {
+      throw new Error(`Code 39 can not encode the character "${char}"`);
+    }
+    if (i > 0) {
+      // narrow gap between the characters
+      modules.push(0);
+    }
+    for (let bit = 8; bit >= 0; bit -= 1) {
+      const width = (CODE39_PATTERNS[index] >> bit) & 1 ? CODE39_WIDE : 1;
+      for (let j = 0; j < width; j += 1) {
+        modules.push(bit % 2 === 0 ? 1 : 0);
+      }
+    }
+  });
+
+  return {
+    modules,
+    quietZone: [10, 10],
+    text: upperCaseText,
+  };
+};
+
+/**
+ * @param {string} digits - Digits without the check digit
+ * @return {number} - Check digit of an EAN/UPC code
+ */
+const getEanCheckDigit = (digits) => {
+  const sum = Array.from(digits).reverse().reduce((total, digit, i) => total + Number(digit) * (i % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10;
+};
+
+/**
+ * Encodes the digits as EAN-13. UPC-A codes are EAN-13 codes with a leading 0 and are printed without it.
+ * @param {string} text - 12 digits or 13 digits including the check digit (11 or 12 for UPC-A)
+ * @param {boolean} isUpcA - Encode a UPC-A code
+ * @return {Object} - Barcode, see createBarcode()
+ */
+const encodeEan13 = (text, isUpcA) => {
+  const length = isUpcA ? 12 : 13;
+  const name = isUpcA ? 'UPC-A' : 'EAN-13';
+  if (!/^\d+$/.test(text) || (text.length !== length && text.length !== length - 1)) {
+    throw new Error(`${name} codes consist of ${length - 1} digits and an optional check digit`);
+  }
+  const checkDigit = getEanCheckDigit(text.substr(0, length - 1));
+  if (text.length === length && Number(text[length - 1]) !== checkDigit) {
+    throw new Error(`The check digit of the ${name} code is wrong, it should be ${checkDigit}`);
+  }
+  const code = (isUpcA ? '0' : '') + text.substr(0, length - 1) + checkDigit;
+
+  let bits = '101';
+  for (let i = 1; i <= 6; i += 1) {
+    const digit = Number(code[i]);
+    bits += EAN_PARITY[Number(code[0])][i - 1] === 'L' ? EAN_L[digit] : EAN_G[digit];
+  }
+  bits += '01010';
+  for (let i = 7; i <= 12; i += 1) {
+    bits += EAN_R[Number(code[i])];
+  }
+  bits += '101';
+
+  let humanReadable;
+  if (isUpcA) {
+    humanReadable = `${code[1]} ${code.substr(2, 5)} ${code.substr(7, 5)} ${code[12]}`;
+  } else {
+    humanReadable = `${code[0]} ${code.substr(1, 6)} ${code.substr(7, 6)}`;
+  }
+
+  return {
+    modules: Array.from(bits, Number),
+    quietZone: isUpcA ? [9, 9] : [11, 7],
+    text: humanReadable,
+  };
+};
+
+/**
+ * Generates a linear barcode
+ * @param {string} text - Content of the barcode
+ * @param {string} format - One of code128, ean13, upca and code39
+ * @return {Object} - { modules, quietZone, text } with modules being 1 for bars and 0 for spaces, quietZone
+ * the number of modules that have to be kept free to the left and right and text the human-readable text
+ */
+export const createBarcode = (text, format) => {
+  if (text === '') {
+    throw new Error('You have not entered any text.');
+  }
+  switch (format) {
+    case 'ean13':
+      return encodeEan13(text, false);
+    case 'upca':
+      return encodeEan13(text, true);
+    case 'code39':
+      return encodeCode39(text);
+    case 'code128':
+    default:
+      return encodeCode128(text);
+  }
+};
+
+export default createBarcode;
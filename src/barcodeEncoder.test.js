@@ -0,0 +1,18 @@
+import { describe, expect, it } from 'vitest';
+import { createBarcode } from './barcodeEncoder';
+import { decodeModules } from './decodeTestUtils';
+
+describe('createBarcode', () => {
+  it.each([
+    ['code128', 'Code128', 'Shelf A-12 / bin 3', 'Shelf A-12 / bin 3'],
+    ['code128', 'Code128', 'digits in code set C: 0123456789012345', 'digits in code set C: 0123456789012345'],
+    ['ean13', 'EAN13', '400638133393', '4006381333931'],
+    ['upca', 'UPCA', '03600029145', '036000291452'],
+    ['code39', 'Code39', 'part-42 $5', 'PART-42 $5'],
+  ])('reads back %s', async (format, zxingFormat, text, decodedText) => {
+    const barcode = createBarcode(text, format);
+    const results = await decodeModules(barcode.modules, barcode.modules.length, [zxingFormat]);
+
+    expect(results.map((result) => result.text)).toEqual([decodedText]);
+  });
+});
@@ -7,10 +7,110 @@ import fontInterSemiBoldItalic from './assets/fonts/Inter_SemiBold_Italic.json';
 import fontInterExtraBold from './assets/fonts/Inter_ExtraBold.json';
 import fontInterExtraBoldItalic from './assets/fonts/Inter_ExtraBold_Italic.json';
 import {
-  getRoundedRectShape, getCustomRoundedRectShape, subtractMesh, unionMesh, getBoundingBoxSize,
+  getCustomRoundedRectShape, getChamferedRectShape, subtractMesh, getBoundingBoxSize, getTopEdgeExtrudeGeometry,
+  getEdgeExtrudeGeometry, getMaxRecessDepth, getInsetOutline, getInscribedSquareWidth, getCustomOutline, getEffectiveCodeOptions,
 } from './utils';
+import { repairGeometry } from './meshCheck';
 
 const LINE_HEIGHT = 1.5;
+// chamfered or rounded top edges take at most this fraction of the narrowest width of a part on each side,
+// so at least half of it stays flat on top
+const MAX_TOP_EDGE_RATIO = 0.25;
+// width of the thinnest strokes of the fonts relative to the text size
+const TEXT_STROKE_RATIO = 0.15;
+// number of points on the outline of circular and elliptic bases
+const ELLIPSE_SEGMENTS = 96;
+// number of points on the hole of the keychain attachment
+const KEYCHAIN_HOLE_SEGMENTS = 32;
+// corners of polygonal bases, the first corner points to the top (-x) unless the polygon is rotated
+const POLYGON_SHAPES = {
+  hexagon: { corners: 6, rotation: 0 },
+  octagon: { corners: 8, rotation: Math.PI / 8 },
+  star: { corners: 5, rotation: 0, innerRadius: 0.5 },
+};
+// steepest lean of stands from vertical (in degrees)
+const MAX_STAND_ANGLE = 45;
+// slot-in foot: floor below the tag, walls beside the slot, play of the tag in the slot and how far the tag reaches into it (in mm)
+const STAND_FLOOR = 1.5;
+const STAND_WALL = 2;
+const STAND_CLEARANCE = 0.3;
+const STAND_SLOT_DEPTH = 8;
+// distance between the tag and the foot printed next to it (in mm)
+const STAND_GAP = 5;
+// the tag on the kickstand reaches this far into the wedge, so they are joined without touching faces (in mm)
+const STAND_OVERLAP = 0.2;
+// stands that tip over when tilted by less than this are reported as unstable (in degrees)
+const MIN_TIP_ANGLE = 10;
+
+/**
+ * Copies the geometry of a mesh standing on the base and stretches it between two heights, so it keeps its outline
+ * @param {THREE.Mesh} mesh - Mesh to copy, its transformation is applied to the copy
+ * @param {number} bottom - New height of the bottom of the mesh
+ * @param {number} top - New height of the top of the mesh
+ * @return {THREE.BufferGeometry} - Non-indexed copy of the geometry with all attributes
+ */
+const getStretchedGeometry = (mesh, bottom, top) => {
+  mesh.updateMatrix();
+  const geometry = mesh.geometry.index !== null ? mesh.geometry.toNonIndexed() : mesh.geometry.clone();
+  geometry.applyMatrix4(mesh.matrix);
+  geometry.computeBoundingBox();
+  const { min, max } = geometry.boundingBox;
+  const stretch = new THREE.Matrix4().makeTranslation(0, 0, bottom)
+    .multiply(new THREE.Matrix4().makeScale(1, 1, (top - bottom) / Math.max(max.z - min.z, 1e-6)))
+    .multiply(new THREE.Matrix4().makeTranslation(0, 0, -min.z));
+  return geometry.applyMatrix4(stretch);
+};
+
+/**
+ * @param {THREE.Mesh|null} mesh - A mesh or null
+ * @return {boolean} - True if the mesh has any vertices
+ */
+const hasVertices = (mesh) => !!mesh && !!mesh.geometry.getAttribute('position') && mesh.geometry.getAttribute('position').count > 0;
+
+/**
+ * @param {THREE.Mesh} mesh - Mesh to copy, its transformation is applied to the copy
+ * @return {THREE.BufferGeometry} - Non-indexed copy of the geometry with only the positions
+ */
+const getPlacedGeometry = (mesh) => {
+  mesh.updateMatrix();
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', mesh.geometry.getAttribute('position').clone());
+  geometry.setIndex(mesh.geometry.index);
+  return (geometry.index !== null ? geometry.toNonIndexed() : geometry).applyMatrix4(mesh.matrix);
+};
+
+/**
+ * @param {THREE.BufferGeometry} geometry - Non-indexed geometry of closed solids
+ * @return {Object} - { volume, center } of the solids, from the signed volumes of the tetrahedra between the origin and the triangles
+ */
+const getVolumeCenter = (geometry) => {
+  const positions = geometry.getAttribute('position');
+  const center = new THREE.Vector3();
+  let volume = 0;
+  const [a, b, c] = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+  for (let i = 0; i + 2 < positions.count; i += 3) {
+    a.fromBufferAttribute(positions, i);
+    b.fromBufferAttribute(positions, i + 1);
+    c.fromBufferAttribute(positions, i + 2);
+    const tetrahedron = a.dot(b.clone().cross(c)) / 6;
+    volume += tetrahedron;
+    center.addScaledVector(a.clone().add(b).add(c), tetrahedron / 4);
+  }
+  return { volume, center: volume !== 0 ? center.divideScalar(volume) : center };
+};
+
+/**
+ * @param {THREE.Vector3} center - Center of mass of a model standing on z = 0
+ * @param {number} back - Back end of the footprint on the x axis
+ * @param {number} front - Front end of the footprint on the x axis
+ * @return {Object} - { forwardAngle, backwardAngle, isStable } angles in degrees the model can be tilted by before it tips over
+ */
+const getStandCheck = (center, back, front) => {
+  const toDegrees = (angle) => Math.round(THREE.MathUtils.radToDeg(angle) * 10) / 10;
+  const forwardAngle = toDegrees(Math.atan2(front - center.x, center.z));
+  const backwardAngle = toDegrees(Math.atan2(center.x - back, center.z));
+  return { forwardAngle, backwardAngle, isStable: Math.min(forwardAngle, backwardAngle) >= MIN_TIP_ANGLE };
+};
 
 class BaseTag3D {
   constructor(options) {
@@ -20,6 +120,14 @@ class BaseTag3D {
     };
 
     this.options = { ...defaultOptions, ...options };
+    // code options that do not fit together are overridden here, the options of the menu stay unchanged
+    const {
+      faceDown, placement, invert, cityMode,
+    } = getEffectiveCodeOptions(this.options);
+    this.faceDown = faceDown;
+    this.placement = placement;
+    this.inverted = invert;
+    this.cityMode = cityMode;
 
     // default material for the base
     this.materialBase = new THREE.MeshBasicMaterial({
@@ -36,14 +144,26 @@ class BaseTag3D {
       // subtract border width
       this.availableWidth -= 2 * this.options.base.borderWidth;
     }
+    if (this.hasCustomOutline()) {
+      // the code area is placed inside the outline, so the border does not take any of its width
+      this.availableWidth = this.options.base.width - 2 * this.options.code.margin;
+    } else if (!this.hasRectangularBase()) {
+      // the code fills the largest square inside the border
+      const inset = this.options.base.hasBorder ? this.options.base.borderWidth : 0;
+      this.availableWidth = getInscribedSquareWidth(this.getOutlinePoints(inset)) - 2 * this.options.code.margin;
+    }
 
     // reset meshes
     this.baseMesh = null;
     this.borderMesh = null;
     this.subtitleMesh = null;
     this.keychainAttachmentMesh = null;
+    this.standMesh = null;
     this.combinedMesh = null;
     this.exportedMeshes = {};
+    // set when the model is stood up on the kickstand, see placeOnKickstand()
+    this.standingMatrix = null;
+    this.standCheck = null;
   }
 
   /**
@@ -51,40 +171,49 @@ class BaseTag3D {
    */
   getBaseMesh() {
     // TODO: rethink handling of rounded rectangle: Different shape category vs only corner radius adjustment
-    const cornerRadius = this.getCornerRadius();
     const textBaseOffset = this.getTextBaseOffset();
     const isOffsetTopBottom = this.options.base.textPlacement === 'top' || this.options.base.textPlacement === 'bottom' || this.options.base.textPlacement === 'center';
     const isOffsetLeftRight = this.options.base.textPlacement === 'left' || this.options.base.textPlacement === 'right';
 
     let shape;
-    if (isOffsetTopBottom) {
-      shape = getRoundedRectShape(
+    if (!this.hasRectangularBase()) {
+      // the outline is centered like the rectangle, the base is moved with the text below
+      const center = this.getOutlineCenter();
+      shape = new THREE.Shape(this.getOutlinePoints(0).map((point) => point.sub(center)));
+    } else if (isOffsetTopBottom) {
+      shape = this.getRectShape(
         -(this.options.base.height + textBaseOffset) / 2,
         -this.options.base.width / 2,
         this.options.base.height + textBaseOffset,
         this.options.base.width,
-        cornerRadius,
+        0,
       );
     } else if (isOffsetLeftRight) {
-      shape = getRoundedRectShape(
+      shape = this.getRectShape(
         -this.options.base.height / 2,
         -(this.options.base.width + textBaseOffset) / 2,
         this.options.base.height,
         this.options.base.width + textBaseOffset,
-        cornerRadius,
+        0,
       );
     }
 
-    const modelBase = new THREE.ExtrudeGeometry(shape, {
-      steps: 1,
-      depth: this.options.base.depth,
-      bevelEnabled: false,
+    // a raised border covers the top edges of the base and takes them over, see getBorderMesh()
+    const modelBase = getEdgeExtrudeGeometry(shape, this.options.base.depth, {
+      style: this.options.base.topEdgeStyle,
+      size: this.options.base.hasBorder ? 0 : this.getBaseTopEdgeSize(),
+      bottomSize: this.options.base.bottomChamfer,
     });
 
     let baseMesh = new THREE.Mesh(modelBase, this.materialBase);
     baseMesh.position.set(0, 0, 0);
 
-    if (textBaseOffset > 0) {
+    if (this.hasCustomOutline()) {
+      // the text is placed inside the outline
+      const center = this.getOutlineCenter();
+      baseMesh.position.x = center.x;
+      baseMesh.position.y = center.y;
+    } else if (textBaseOffset > 0) {
       // shift base in x direction to align with text
       if (this.options.base.textPlacement === 'bottom') {
         baseMesh.position.x = textBaseOffset / 2;
@@ -149,6 +278,8 @@ class BaseTag3D {
 
     const textLines = this.options.base.textMessage.trim().split('\n');
     let numLines = textLines.length;
+    // the text is cut out of inverted codes and into the base of debossed and inlaid codes, so it keeps straight walls there
+    const textEdgeSize = this.isInverted() || this.isDebossed() || this.isInlaid() ? 0 : this.getTopEdgeSize(this.options.base.textSize * TEXT_STROKE_RATIO);
 
     for (let i = 0; i < numLines; i += 1) {
       let text = textLines[i];
@@ -167,11 +298,12 @@ class BaseTag3D {
         let textSize = null;
         let newLineCreated = false;
         do {
-          const tempTextGeometry = new TextGeometry(text, {
-            font: fonts[emphLevel],
-            size: this.options.base.textSize,
-            depth: this.options.base.textDepth,
-          });
+          const tempTextGeometry = getTopEdgeExtrudeGeometry(
+            fonts[emphLevel].generateShapes(text, this.options.base.textSize),
+            this.options.base.textDepth,
+            this.options.code.topEdgeStyle,
+            textEdgeSize,
+          );
           subtitleMesh = new THREE.Mesh(tempTextGeometry, this.materialDetail);
           textSize = getBoundingBoxSize(subtitleMesh);
           // Check if text width is larger than available width
@@ -228,11 +360,12 @@ class BaseTag3D {
       } else if (this.options.base.textPlacement === 'left' || this.options.base.textPlacement === 'right') {
         const maxTextWidth = this.getTextRenderWidth() + (2 * this.options.base.textMargin);
         let textSize = null;
-        const tempTextGeometry = new TextGeometry(text, {
-          font: fonts[emphLevel],
-          size: this.options.base.textSize,
-          depth: this.options.base.textDepth,
-        });
+        const tempTextGeometry = getTopEdgeExtrudeGeometry(
+          fonts[emphLevel].generateShapes(text, this.options.base.textSize),
+          this.options.base.textDepth,
+          this.options.code.topEdgeStyle,
+          textEdgeSize,
+        );
         subtitleMesh = new THREE.Mesh(tempTextGeometry, this.materialDetail);
         textSize = getBoundingBoxSize(subtitleMesh);
 
@@ -289,7 +422,6 @@ class BaseTag3D {
    * @return {THREE.Mesh} the mesh of the border
    */
   getBorderMesh() {
-    const cornerRadius = this.getCornerRadius();
     const textBaseOffset = this.getTextBaseOffset();
     const topOffset = this.getTextTopOffset();
     const leftOffset = this.getTextLeftOffset();
@@ -305,70 +437,83 @@ class BaseTag3D {
     //   this.options.base.width,
     //   cornerRadius,
     // );
-    if (isOffsetTopBottom) {
-      borderShape = getRoundedRectShape(
+    if (!this.hasRectangularBase()) {
+      borderShape = new THREE.Shape(this.getOutlinePoints(0));
+    } else if (isOffsetTopBottom) {
+      borderShape = this.getRectShape(
         -(this.options.base.height + topOffset) / 2,
         -this.options.base.width / 2,
         this.options.base.height + textBaseOffset,
         this.options.base.width,
-        cornerRadius,
+        0,
       );
     } else if (isOffsetLeftRight) {
-      borderShape = getRoundedRectShape(
+      borderShape = this.getRectShape(
         -this.options.base.height / 2,
         -(this.options.base.width + leftOffset) / 2,
         this.options.base.height,
         this.options.base.width + textBaseOffset,
-        cornerRadius,
+        0,
       );
     }
 
-    const fullShapeMesh = new THREE.Mesh(new THREE.ExtrudeGeometry(borderShape, {
-      steps: 1,
-      depth: this.options.base.borderDepth,
-      bevelEnabled: false,
-    }), this.materialDetail);
-    fullShapeMesh.updateMatrix();
-
     // shape that covers everything except where the border should be
-    let borderHoleShape;
-    // const borderHoleShape = getRoundedRectShape(
-    //   -(this.options.base.height + topOffset - this.options.base.borderWidth * 2) / 2,
-    //   -(this.options.base.width - this.options.base.borderWidth * 2) / 2,
-    //   this.options.base.height + textBaseOffset - this.options.base.borderWidth * 2,
-    //   this.options.base.width - this.options.base.borderWidth * 2,
-    //   Math.max(0, cornerRadius - this.options.base.borderWidth),
-    // );
-    if (isOffsetTopBottom) {
-      borderHoleShape = getRoundedRectShape(
+    const borderHoleShape = this.getInnerAreaShape();
+
+    const edgeSize = this.getTopEdgeSize(this.options.base.borderWidth);
+    const outerEdgeSize = Math.min(this.getBaseTopEdgeSize(), this.options.base.borderWidth * MAX_TOP_EDGE_RATIO);
+    // the inner area is extruded as hole of the border shape, which gives a closed solid for every outline
+    // where cutting it out with a boolean operation leaves open edges
+    const holePoints = borderHoleShape.getPoints();
+    if (THREE.ShapeUtils.isClockWise(holePoints) === THREE.ShapeUtils.isClockWise(borderShape.getPoints())) {
+      holePoints.reverse();
+    }
+    borderShape.holes.push(new THREE.Path(holePoints));
+    // the outer edges of the border are the top edges of the base, the inner ones match the code
+    const borderGeometry = outerEdgeSize > 0 ? getEdgeExtrudeGeometry(borderShape, this.options.base.borderDepth, {
+      style: this.options.base.topEdgeStyle,
+      size: outerEdgeSize,
+      holeStyle: this.options.code.topEdgeStyle,
+      holeSize: edgeSize,
+    }) : getTopEdgeExtrudeGeometry(borderShape, this.options.base.borderDepth, this.options.code.topEdgeStyle, edgeSize);
+    const borderMesh = new THREE.Mesh(borderGeometry, this.materialDetail);
+    borderMesh.position.z = this.options.base.depth;
+    borderMesh.updateMatrix();
+    return borderMesh;
+  }
+
+  /**
+   * @return {THREE.Shape} the shape of the area inside the border
+   */
+  getInnerAreaShape() {
+    const textBaseOffset = this.getTextBaseOffset();
+    const topOffset = this.getTextTopOffset();
+    const leftOffset = this.getTextLeftOffset();
+    const isOffsetTopBottom = this.options.base.textPlacement === 'top' || this.options.base.textPlacement === 'bottom' || this.options.base.textPlacement === 'center';
+    const isOffsetLeftRight = this.options.base.textPlacement === 'left' || this.options.base.textPlacement === 'right';
+
+    let innerAreaShape;
+    if (!this.hasRectangularBase()) {
+      innerAreaShape = new THREE.Shape(this.getOutlinePoints(this.options.base.borderWidth));
+    } else if (isOffsetTopBottom) {
+      innerAreaShape = this.getRectShape(
         -(this.options.base.height + topOffset - this.options.base.borderWidth * 2) / 2,
         -(this.options.base.width - this.options.base.borderWidth * 2) / 2,
         this.options.base.height + textBaseOffset - this.options.base.borderWidth * 2,
         this.options.base.width - this.options.base.borderWidth * 2,
-        Math.max(0, cornerRadius - this.options.base.borderWidth),
+        this.options.base.borderWidth,
       );
     } else if (isOffsetLeftRight) {
-      borderHoleShape = getRoundedRectShape(
+      innerAreaShape = this.getRectShape(
         -(this.options.base.height - this.options.base.borderWidth * 2) / 2,
         -(this.options.base.width + leftOffset - this.options.base.borderWidth * 2) / 2,
         this.options.base.height - this.options.base.borderWidth * 2,
         this.options.base.width + textBaseOffset - this.options.base.borderWidth * 2,
-        Math.max(0, cornerRadius - this.options.base.borderWidth),
+        this.options.base.borderWidth,
       );
     }
 
-    const holeMesh = new THREE.Mesh(new THREE.ExtrudeGeometry(borderHoleShape, {
-      steps: 1,
-      depth: this.options.base.borderDepth,
-      bevelEnabled: false,
-    }), this.materialDetail);
-    holeMesh.updateMatrix();
-
-    const borderMesh = subtractMesh(fullShapeMesh, holeMesh);
-    borderMesh.position.z = this.options.base.depth;
-    borderMesh.updateMatrix();
-
-    return borderMesh;
+    return innerAreaShape;
   }
 
   /**
@@ -397,71 +542,617 @@ class BaseTag3D {
       height / 2,
     );
 
-    const attachmentShapeMesh = new THREE.Mesh(new THREE.ExtrudeGeometry(attachmentShape, {
-      steps: 1,
-      depth: this.options.base.depth,
-      bevelEnabled: false,
-    }), this.materialBase);
-
-    attachmentShapeMesh.position.z = 0;
-    attachmentShapeMesh.updateMatrix();
+    // the hole is part of the extruded shape, so the tab is one closed solid with straight walls in the hole
+    const holePoints = new THREE.Path().absarc(0, -cornerPlacementOffset / 2, holeRadius, 0, Math.PI * 2, false)
+      .getPoints(KEYCHAIN_HOLE_SEGMENTS);
+    if (THREE.ShapeUtils.isClockWise(holePoints) === THREE.ShapeUtils.isClockWise(attachmentShape.getPoints())) {
+      holePoints.reverse();
+    }
+    attachmentShape.holes.push(new THREE.Path(holePoints));
 
-  const holeMesh = new THREE.Mesh(new THREE.CylinderGeometry(holeRadius, holeRadius, this.options.base.depth, 32), this.materialBase);
-    holeMesh.rotation.x = -Math.PI / 2;
-    holeMesh.position.z = this.options.base.depth / 2;
-    holeMesh.position.y = -cornerPlacementOffset / 2;
-    holeMesh.updateMatrix();
+    // the tab gets the edges of the base, they take at most half the material around the hole
+    const attachmentGeometry = getEdgeExtrudeGeometry(attachmentShape, this.options.base.depth, {
+      style: this.options.base.topEdgeStyle,
+      size: Math.min(this.getBaseTopEdgeSize(), materialThickness / 2),
+      bottomSize: Math.min(this.options.base.bottomChamfer || 0, materialThickness / 2),
+    });
 
-    let finalMesh = subtractMesh(attachmentShapeMesh, holeMesh);
+    let finalMesh = new THREE.Mesh(attachmentGeometry, this.materialBase);
     const baseBox = getBoundingBoxSize(baseMesh);
+    // offset from the center of the base to its edge towards a side, e.g. (0, -1) for the left side
+    // round and polygonal bases do not reach the sides and corners of their bounding box everywhere
+    const getEdgeOffset = (sideX, sideY) => {
+      if (this.hasRectangularBase()) {
+        return new THREE.Vector2(sideX * (baseBox.x / 2), sideY * (baseBox.y / 2));
+      }
+      const direction = new THREE.Vector2(sideX * baseBox.x, sideY * baseBox.y).normalize();
+      return direction.multiplyScalar(this.getOutlineDistance(direction));
+    };
     // set position and rotation based on the mesh provided via the baseMesh parameter
     // left -> on the center of the left side
     // top -> on the center of the top side
     // topLeft -> on the top left corner
     if (this.options.base.keychainPlacement === 'left') {
       finalMesh.position.x = baseMesh.position.x;
-      finalMesh.position.y = baseMesh.position.y - baseBox.y / 2 - height + cornerPlacementOffset;
+      finalMesh.position.y = baseMesh.position.y + getEdgeOffset(0, -1).y - height + cornerPlacementOffset;
       finalMesh.position.z = 0;
     } else if (this.options.base.keychainPlacement === 'top') {
-      finalMesh.position.x = baseMesh.position.x - baseBox.x / 2 - height + cornerPlacementOffset;
+      finalMesh.position.x = baseMesh.position.x + getEdgeOffset(-1, 0).x - height + cornerPlacementOffset;
       finalMesh.position.y = baseMesh.position.y;
       finalMesh.position.z = 0;
       finalMesh.rotation.z = -Math.PI / 2;
     } else if (this.options.base.keychainPlacement === 'topLeft') {
-      finalMesh.position.x = baseMesh.position.x - baseBox.x / 2;
-      finalMesh.position.y = baseMesh.position.y - baseBox.y / 2;
+      const corner = getEdgeOffset(-1, -1);
+      finalMesh.position.x = baseMesh.position.x + corner.x;
+      finalMesh.position.y = baseMesh.position.y + corner.y;
       finalMesh.position.z = 0;
       finalMesh.rotation.z = -Math.PI / 4;
     }
     finalMesh.updateMatrix();
 
     if (this.options.base.mirrorHoles) {
-      const mirror = subtractMesh(attachmentShapeMesh, holeMesh);
+      const mirror = new THREE.Mesh(attachmentGeometry, this.materialBase);
       if (this.options.base.keychainPlacement === 'left') {
         mirror.position.x = baseMesh.position.x;
-        mirror.position.y = baseMesh.position.y + baseBox.y / 2 + height - cornerPlacementOffset;
+        mirror.position.y = baseMesh.position.y + getEdgeOffset(0, 1).y + height - cornerPlacementOffset;
         mirror.rotation.z = Math.PI;
       } else if (this.options.base.keychainPlacement === 'top') {
-        mirror.position.x = baseMesh.position.x + baseBox.x / 2 + height - cornerPlacementOffset;
+        mirror.position.x = baseMesh.position.x + getEdgeOffset(1, 0).x + height - cornerPlacementOffset;
         mirror.position.y = baseMesh.position.y;
         mirror.rotation.z = Math.PI / 2;
       } else if (this.options.base.keychainPlacement === 'topLeft') {
-        mirror.position.x = baseMesh.position.x + baseBox.x / 2;
-        mirror.position.y = baseMesh.position.y + baseBox.y / 2;
+        const corner = getEdgeOffset(1, 1);
+        mirror.position.x = baseMesh.position.x + corner.x;
+        mirror.position.y = baseMesh.position.y + corner.y;
         mirror.rotation.z = Math.PI / 2 + Math.PI / 4;
       }
       mirror.updateMatrix();
-      finalMesh = unionMesh(finalMesh, mirror);
+      // the tabs on opposite sides of the base do not touch
+      finalMesh = this.mergePartMeshes([finalMesh, mirror]);
     }
 
     return finalMesh;
   }
 
-  getCornerRadius() {
-    if (this.options.base.shape === 'roundedRectangle') {
-      return this.options.base.cornerRadius;
+  /**
+   * @return {number} - Distance from the edges of the base to its content, text tags only hold text
+   */
+  getContentMargin() {
+    return this.options.base.textMargin;
+  }
+
+  /**
+   * The top edges of the base end in the margin around the content, so the code area stays flat
+   * @return {number} - Size of the chamfered or rounded top edges of the base, 0 for flat edges
+   */
+  getBaseTopEdgeSize() {
+    const { topEdgeStyle, topEdgeSize } = this.options.base;
+    if (!topEdgeStyle || topEdgeStyle === 'flat') {
+      return 0;
     }
-    return 0;
+    return Math.max(0, Math.min(topEdgeSize || 0, this.getContentMargin() || 0));
+  }
+
+  /**
+   * @param {number} width - Narrowest width of the part that gets the chamfered or rounded top edges
+   * @return {number} - Size of the top edges of the part, 0 for flat tops
+   */
+  getTopEdgeSize(width) {
+    const { topEdgeStyle, topEdgeSize } = this.options.code;
+    if (!topEdgeStyle || topEdgeStyle === 'flat') {
+      return 0;
+    }
+    return Math.max(0, Math.min(topEdgeSize || 0, width * MAX_TOP_EDGE_RATIO));
+  }
+
+  /**
+   * @param {number} width - Narrowest width of the code elements
+   * @return {number} - Size of the top edges of the code elements, 0 for debossed and inlaid codes, which are cut with straight walls
+   */
+  getCodeTopEdgeSize(width) {
+    return this.isDebossed() || this.isInlaid() ? 0 : this.getTopEdgeSize(width);
+  }
+
+  /**
+   * @return {boolean} - True if the code and the text are cut into the top of the base instead of standing on it
+   */
+  isDebossed() {
+    return this.placement === 'debossed';
+  }
+
+  /**
+   * @return {boolean} - True if the code, the text and the border fill pockets in the base and end flush with its top
+   */
+  isInlaid() {
+    return this.placement === 'inlay';
+  }
+
+  /**
+   * @return {number} - Depth of the pockets of inlaid parts, the same for all parts so the filament only changes once
+   */
+  getInlayDepth() {
+    return Math.min(this.options.code.depth, getMaxRecessDepth(this.options.base));
+  }
+
+  /**
+   * @return {number} - Height at which the filament has to be changed for inlaid parts, the bottom of their pockets.
+   * Face down models start with the inlaid parts, so the change happens at the inlay depth.
+   */
+  getFilamentChangeHeight() {
+    return this.isFaceDown() ? this.getInlayDepth() : this.options.base.depth - this.getInlayDepth();
+  }
+
+  /**
+   * @return {boolean} - True if the model is printed with the code on the first layer
+   */
+  isFaceDown() {
+    return this.faceDown;
+  }
+
+  /**
+   * @return {boolean} - True if the background of the code is raised instead of its modules
+   */
+  isInverted() {
+    return this.inverted;
+  }
+
+  /**
+   * @return {boolean} - True if the modules of the code are raised to different heights like a city skyline
+   */
+  isCityMode() {
+    return this.cityMode;
+  }
+
+  /**
+   * @return {THREE.Matrix4} - Turns the model over around the x axis, so the top of the base lies at z = 0.
+   * Turning instead of mirroring keeps the code and the text readable from the front.
+   */
+  getFaceDownMatrix() {
+    return new THREE.Matrix4().makeTranslation(0, 0, this.options.base.depth)
+      .multiply(new THREE.Matrix4().makeRotationX(Math.PI));
+  }
+
+  /**
+   * Turns all exported meshes over, see getFaceDownMatrix(). The keychain attachment and the NFC cavity are
+   * turned with the base, so an open cavity faces upwards and a hidden one is closed by the last layers.
+   */
+  placeFaceDown() {
+    const matrix = this.getFaceDownMatrix();
+    // parts can be exported under several names, every mesh must only be turned once
+    new Set(Object.values(this.exportedMeshes)).forEach((mesh) => {
+      mesh.applyMatrix4(matrix);
+      mesh.updateMatrix();
+    });
+  }
+
+  /**
+   * @return {THREE.Matrix4|null} - Turns the placed model back into a tag lying flat with the code on top,
+   * null if it already lies like that
+   */
+  getViewMatrix() {
+    if (this.isFaceDown()) {
+      return this.getFaceDownMatrix().invert();
+    }
+    return this.standingMatrix ? this.standingMatrix.clone().invert() : null;
+  }
+
+  /**
+   * @return {number} - Lean of the stand from vertical in radians
+   */
+  getStandAngle() {
+    const angle = Math.min(Math.max(this.options.base.standAngle || 0, 0), MAX_STAND_ANGLE);
+    return THREE.MathUtils.degToRad(angle);
+  }
+
+  /**
+   * @return {Object|null} - How far the model on its stand can be tilted before it tips over, see getStandCheck(),
+   * null without a stand
+   */
+  getStandCheck() {
+    return this.standCheck;
+  }
+
+  /**
+   * @return {boolean} - True if the slot-in foot is exported as a part of its own instead of being printed next to the tag
+   */
+  hasSeparateStand() {
+    return this.options.base.stand === 'foot' && !!this.options.base.standSeparate;
+  }
+
+  /**
+   * @return {THREE.BufferGeometry} - Copy of the combined mesh lying flat with the code on top
+   */
+  getFlatTagGeometry() {
+    const geometry = getPlacedGeometry(this.exportedMeshes.combined);
+    return this.isFaceDown() ? geometry.applyMatrix4(this.getFaceDownMatrix().invert()) : geometry;
+  }
+
+  /**
+   * Stands the flat tag up on its bottom edge, leaning back by the stand angle. The top of the tag (-x)
+   * leans towards -x, the back edge of the bottom ends up at the origin.
+   * @param {THREE.BufferGeometry} geometry - The flat tag, see getFlatTagGeometry()
+   * @return {THREE.Matrix4} - Matrix that stands the tag up
+   */
+  getStandingMatrix(geometry) {
+    geometry.computeBoundingBox();
+    const bottom = geometry.boundingBox.max.x;
+    const angle = this.getStandAngle();
+    return new THREE.Matrix4().makeTranslation(-Math.sin(angle) * bottom, 0, Math.cos(angle) * bottom)
+      .multiply(new THREE.Matrix4().makeRotationY(Math.PI / 2 - angle));
+  }
+
+  /**
+   * Builds a stand from its profile in the xz plane, it spans the width of the flat tag
+   * @param {THREE.Vector2[]} profile - Counterclockwise points of the profile as (x, z)
+   * @param {THREE.Box3} box - Bounding box of the tag
+   * @return {THREE.BufferGeometry} - Geometry of the stand
+   */
+  getStandGeometry(profile, box) {
+    return new THREE.ExtrudeGeometry(new THREE.Shape(profile), {
+      steps: 1,
+      depth: box.max.y - box.min.y,
+      bevelEnabled: false,
+    }).rotateX(Math.PI / 2).translate(0, box.max.y, 0);
+  }
+
+  /**
+   * Stands the whole model up for printing on a wedge behind the tag, which holds it at the stand angle.
+   * The wedge reaches from the bottom of the tag up to half its length and covers the stand footprint,
+   * its top slopes down to the back, so tag and wedge print without supports.
+   */
+  placeOnKickstand() {
+    const geometry = this.getFlatTagGeometry();
+    geometry.computeBoundingBox();
+    const box = geometry.boundingBox.clone();
+    // the tag stands on the wedge, which also fills the gap below its bottom
+    this.standingMatrix = new THREE.Matrix4().makeTranslation(0, 0, STAND_OVERLAP).multiply(this.getStandingMatrix(geometry));
+    new Set(Object.values(this.exportedMeshes)).forEach((mesh) => {
+      mesh.applyMatrix4(this.standingMatrix);
+      mesh.updateMatrix();
+    });
+
+    const angle = this.getStandAngle();
+    const sin = Math.sin(angle);
+    const cos = Math.cos(angle);
+    const { depth } = this.options.base;
+    // the front edge of the bottom of the tag, the footprint reaches back from there
+    const front = new THREE.Vector2(cos * depth, sin * depth + STAND_OVERLAP);
+    const footprint = Math.max(this.options.base.standFootprint || 0, front.x + 1);
+    let length = (box.max.x - box.min.x) / 2;
+    if (sin > 0) {
+      // the top of the wedge must not overhang behind the tag
+      length = Math.min(length, (footprint - front.x) / sin);
+    }
+    const profile = [
+      new THREE.Vector2(front.x - footprint, 0),
+      new THREE.Vector2(front.x, 0),
+      // the edge from the front of the bottom to the back of the tag runs inside the tag, so wedge and tag overlap
+      front.clone().add(new THREE.Vector2(-sin - cos, cos - sin).multiplyScalar(STAND_OVERLAP)),
+      new THREE.Vector2(-sin * length, cos * length + STAND_OVERLAP),
+    ];
+    this.standMesh = new THREE.Mesh(this.getStandGeometry(profile, box), this.materialBase);
+    this.exportedMeshes.stand = this.standMesh;
+
+    const standing = geometry.applyMatrix4(this.standingMatrix);
+    const tag = getVolumeCenter(standing);
+    const stand = getVolumeCenter(getPlacedGeometry(this.standMesh));
+    const center = tag.center.multiplyScalar(tag.volume).addScaledVector(stand.center, stand.volume)
+      .divideScalar(tag.volume + stand.volume);
+    this.standCheck = getStandCheck(center, front.x - footprint, front.x);
+    this.exportedMeshes.combined = this.mergeStand();
+  }
+
+  /**
+   * Adds the slot-in foot next to the tag. The tag slides into a slot tilted by the stand angle, which is placed
+   * so the tag stands over the middle of the footprint. The foot lies on the plate like the tag, unless it is
+   * exported as a part of its own.
+   */
+  addFoot() {
+    const geometry = this.getFlatTagGeometry();
+    geometry.computeBoundingBox();
+    const { max } = geometry.boundingBox;
+    // everything standing on the part of the tag that reaches into the slot has to fit
+    const positions = geometry.getAttribute('position');
+    let thickness = this.options.base.depth;
+    for (let i = 0; i < positions.count; i += 1) {
+      if (positions.getX(i) >= max.x - STAND_SLOT_DEPTH) {
+        thickness = Math.max(thickness, positions.getZ(i));
+      }
+    }
+
+    const angle = this.getStandAngle();
+    const slotWidth = (thickness + STAND_CLEARANCE) / Math.cos(angle);
+    const slotHeight = STAND_SLOT_DEPTH * Math.cos(angle);
+    const lean = STAND_SLOT_DEPTH * Math.sin(angle);
+    const top = STAND_FLOOR + slotHeight;
+    const standing = geometry.clone().applyMatrix4(this.getStandingMatrix(geometry));
+    const tag = getVolumeCenter(standing);
+    const minBack = STAND_WALL + lean;
+    const footprint = Math.max(this.options.base.standFootprint || 0, minBack + slotWidth + STAND_WALL);
+    // back edge of the slot at its floor, the center of mass of the tag lies over the middle of the foot if possible
+    const back = Math.min(Math.max(footprint / 2 - tag.center.x, minBack), footprint - STAND_WALL - slotWidth);
+    const profile = [
+      new THREE.Vector2(0, 0),
+      new THREE.Vector2(footprint, 0),
+      new THREE.Vector2(footprint, top),
+      new THREE.Vector2(back + slotWidth - lean, top),
+      new THREE.Vector2(back + slotWidth, STAND_FLOOR),
+      new THREE.Vector2(back, STAND_FLOOR),
+      new THREE.Vector2(back - lean, top),
+      new THREE.Vector2(0, top),
+    ];
+
+    const placedBox = new THREE.Box3().setFromBufferAttribute(getPlacedGeometry(this.exportedMeshes.combined).getAttribute('position'));
+    const standGeometry = this.getStandGeometry(profile, placedBox);
+    const stand = getVolumeCenter(standGeometry);
+    const center = tag.center.add(new THREE.Vector3(back, 0, STAND_FLOOR)).multiplyScalar(tag.volume)
+      .addScaledVector(stand.center, stand.volume)
+      .divideScalar(tag.volume + stand.volume);
+    this.standCheck = getStandCheck(center, 0, footprint);
+
+    this.standMesh = new THREE.Mesh(standGeometry.translate(placedBox.max.x + STAND_GAP, 0, 0), this.materialBase);
+    this.exportedMeshes.stand = this.standMesh;
+    if (!this.hasSeparateStand()) {
+      this.exportedMeshes.combined = this.mergeStand();
+    }
+  }
+
+  /**
+   * @return {THREE.Mesh} - The combined mesh with the stand
+   */
+  mergeStand() {
+    return this.mergePartMeshes([this.exportedMeshes.combined, this.standMesh]);
+  }
+
+  /**
+   * Cuts meshes standing on the base into its top. Every mesh is stretched from the bottom of its recess
+   * to above the base, so the recesses have the outline of the meshes and straight walls.
+   * @param {Array<THREE.Mesh|null>} meshes - Meshes standing on the top of the base, null entries are skipped
+   * @param {number} depth - Depth of the recesses, limited to keep a floor below them, see getMaxRecessDepth()
+   * @param {Array<THREE.Mesh|null>} outlines - Meshes with the same outline that cut the recesses instead of the meshes,
+   * see embedMeshes()
+   */
+  cutRecesses(meshes, depth, outlines = []) {
+    const recessDepth = Math.min(depth, getMaxRecessDepth(this.options.base));
+    if (recessDepth <= 0) {
+      return;
+    }
+    this.subtractFromBase(meshes.map((mesh, index) => outlines[index] || mesh).filter(hasVertices)
+      .map((mesh) => getStretchedGeometry(mesh, this.options.base.depth - recessDepth, this.options.base.depth + 1)));
+  }
+
+  /**
+   * Subtracts the union of geometries from the base. The cut leaves T-junctions where the pockets meet the
+   * faces of the base, so the result is repaired into a closed solid.
+   * @param {THREE.BufferGeometry[]} geometries - Non-indexed geometries with their transformations applied
+   */
+  subtractFromBase(geometries) {
+    if (geometries.length === 0) {
+      return;
+    }
+    // only the positions are kept, the meshes come with different attributes
+    const toolGeometry = BufferGeometryUtils.mergeGeometries(geometries.map((geometry) => {
+      const positions = new THREE.BufferGeometry();
+      positions.setAttribute('position', geometry.getAttribute('position'));
+      return positions;
+    }));
+    toolGeometry.computeVertexNormals();
+    const toolMesh = new THREE.Mesh(BufferGeometryUtils.mergeVertices(toolGeometry), this.materialBase);
+    this.baseMesh = subtractMesh(this.baseMesh, toolMesh);
+    this.baseMesh.geometry = repairGeometry(this.baseMesh.geometry);
+    this.exportedMeshes.base = this.baseMesh;
+  }
+
+  /**
+   * @return {boolean} - True if raised parts reach down into pockets of the base for printing with one filament
+   * per part. Debossed codes are printed in one color and inlaid parts already have their pockets.
+   */
+  hasDualExtrusion() {
+    return !!this.options.dualExtrusion && !this.isDebossed() && !this.isInlaid();
+  }
+
+  /**
+   * Extends meshes standing on the base down into pockets of the inlay depth, which are subtracted from the base,
+   * so the base and the parts are separate bodies that do not overlap. Only the vertices on the top of the base
+   * are moved down, so rounded top edges and city mode heights are kept.
+   * @param {Array<THREE.Mesh|null>} meshes - Meshes standing on the top of the base
+   * @param {Array<THREE.Mesh|null>} outlines - Meshes with the same outline and flat tops that cut the pockets instead
+   * of the extended meshes. Elements of different heights and the boxes of the old model generation touch each other,
+   * which the boolean operations cannot handle.
+   * @return {Array<THREE.Mesh|null>} - The extended meshes in the same order, null or empty meshes are returned as they are
+   */
+  embedMeshes(meshes, outlines = []) {
+    const depth = this.getInlayDepth();
+    if (depth <= 0) {
+      return meshes;
+    }
+    const embedded = meshes.map((mesh) => {
+      if (!hasVertices(mesh)) {
+        return mesh;
+      }
+      mesh.updateMatrix();
+      const geometry = (mesh.geometry.index !== null ? mesh.geometry.toNonIndexed() : mesh.geometry.clone())
+        .applyMatrix4(mesh.matrix);
+      const positions = geometry.getAttribute('position');
+      for (let i = 0; i < positions.count; i += 1) {
+        if (positions.getZ(i) < this.options.base.depth + 1e-4) {
+          positions.setZ(i, this.options.base.depth - depth);
+        }
+      }
+      return new THREE.Mesh(geometry, mesh.material);
+    });
+    this.subtractFromBase(embedded
+      .map((mesh, index) => {
+        if (outlines[index]) {
+          return getStretchedGeometry(outlines[index], this.options.base.depth - depth, this.options.base.depth + 1);
+        }
+        return hasVertices(mesh) ? mesh.geometry : null;
+      })
+      .filter((geometry) => geometry !== null));
+    return embedded;
+  }
+
+  /**
+   * Sinks meshes standing on the base into pockets of the inlay depth, so their tops are flush with the top of the base.
+   * The pockets are cut with the outline of the meshes, so base and inlaid parts do not overlap.
+   * @param {Array<THREE.Mesh|null>} meshes - Meshes standing on the top of the base
+   * @param {Array<THREE.Mesh|null>} outlines - Meshes with the same outline that cut the pockets instead of the meshes,
+   * see embedMeshes()
+   * @return {Array<THREE.Mesh|null>} - The inlaid meshes in the same order, null for null or empty meshes
+   */
+  inlayMeshes(meshes, outlines = []) {
+    const depth = this.getInlayDepth();
+    if (depth <= 0) {
+      return meshes.map(() => null);
+    }
+    this.cutRecesses(meshes, depth, outlines);
+    return meshes.map((mesh) => {
+      if (!hasVertices(mesh)) {
+        return null;
+      }
+      const geometry = getStretchedGeometry(mesh, this.options.base.depth - depth, this.options.base.depth);
+      return new THREE.Mesh(geometry, mesh.material);
+    });
+  }
+
+  /**
+   * @return {boolean} - True for rectangles and rounded rectangles, false for round and polygonal bases
+   */
+  hasRectangularBase() {
+    return !['circle', 'ellipse'].includes(this.options.base.shape) && !POLYGON_SHAPES[this.options.base.shape]
+      && !this.hasCustomOutline();
+  }
+
+  /**
+   * @return {boolean} - True if the base is the outline of an uploaded SVG, bases without an outline stay rectangles
+   */
+  hasCustomOutline() {
+    const { shape, outlinePoints } = this.options.base;
+    return shape === 'customOutline' && Array.isArray(outlinePoints) && outlinePoints.length >= 3;
+  }
+
+  /**
+   * Round and polygonal bases are built on an ellipse that fills the bounding box of the rectangular base,
+   * it grows towards the text like the rectangle. Circles take the width as diameter.
+   * @return {Object} - { x, y, radiusX, radiusY } center and radii of the ellipse
+   */
+  getOutlineEllipse() {
+    const { shape, width, textPlacement } = this.options.base;
+    const height = shape === 'circle' ? width : this.options.base.height;
+    const textBaseOffset = this.getTextBaseOffset();
+    const bounds = {
+      top: -height / 2 - (textPlacement === 'top' ? textBaseOffset : 0),
+      bottom: height / 2 + (textPlacement === 'bottom' ? textBaseOffset : 0),
+      left: -width / 2 - (textPlacement === 'left' ? textBaseOffset : 0),
+      right: width / 2 + (textPlacement === 'right' ? textBaseOffset : 0),
+    };
+    return {
+      x: (bounds.top + bounds.bottom) / 2,
+      y: (bounds.left + bounds.right) / 2,
+      radiusX: (bounds.bottom - bounds.top) / 2,
+      radiusY: (bounds.right - bounds.left) / 2,
+    };
+  }
+
+  /**
+   * @param {number} inset - Distance of the outline to the edge of the base, e.g. the border width
+   * @return {THREE.Vector2[]} - Points of the outline of a round, polygonal or custom base
+   */
+  getOutlinePoints(inset) {
+    if (this.hasCustomOutline()) {
+      return getInsetOutline(getCustomOutline(this.options.base), inset);
+    }
+    const {
+      x, y, radiusX, radiusY,
+    } = this.getOutlineEllipse();
+    const polygon = POLYGON_SHAPES[this.options.base.shape];
+    let corners;
+    if (!polygon) {
+      corners = Array.from({ length: ELLIPSE_SEGMENTS }, (v, i) => ({ angle: (2 * Math.PI * i) / ELLIPSE_SEGMENTS, radius: 1 }));
+    } else if (polygon.innerRadius) {
+      // the points of the star alternate with the corners between them
+      corners = Array.from({ length: 2 * polygon.corners }, (v, i) => ({
+        angle: polygon.rotation + (Math.PI * i) / polygon.corners,
+        radius: i % 2 === 0 ? 1 : polygon.innerRadius,
+      }));
+    } else {
+      corners = Array.from({ length: polygon.corners }, (v, i) => ({
+        angle: polygon.rotation + (2 * Math.PI * i) / polygon.corners,
+        radius: 1,
+      }));
+    }
+    const outline = corners.map(({ angle, radius }) => new THREE.Vector2(
+      x - radius * radiusX * Math.cos(angle),
+      y + radius * radiusY * Math.sin(angle),
+    ));
+    return getInsetOutline(outline, inset);
+  }
+
+  /**
+   * @return {THREE.Vector2} - Center of the ellipse of round and polygonal bases, the center of the bounding box of custom outlines
+   */
+  getOutlineCenter() {
+    if (this.hasCustomOutline()) {
+      return new THREE.Box2().setFromPoints(this.getOutlinePoints(0)).getCenter(new THREE.Vector2());
+    }
+    const { x, y } = this.getOutlineEllipse();
+    return new THREE.Vector2(x, y);
+  }
+
+  /**
+   * @param {THREE.Vector2} direction - Direction from the center of the base
+   * @return {number} - Distance from the center of a round, polygonal or custom base to its outline in the direction
+   */
+  getOutlineDistance(direction) {
+    const center = this.getOutlineCenter();
+    const outline = this.getOutlinePoints(0);
+    const ray = direction.clone().normalize();
+    let distance = 0;
+    outline.forEach((a, i) => {
+      const b = outline[(i + 1) % outline.length];
+      const edge = b.clone().sub(a);
+      const denominator = ray.cross(edge);
+      if (denominator === 0) {
+        return;
+      }
+      // the ray from the center hits the edge where both parameters are in range
+      const start = a.clone().sub(center);
+      const t = start.cross(edge) / denominator;
+      const s = start.cross(ray) / denominator;
+      if (t >= 0 && s >= 0 && s <= 1) {
+        distance = Math.max(distance, t);
+      }
+    });
+    return distance;
+  }
+
+  /**
+   * @return {number[]} - Sizes of the top right, bottom right, bottom left and top left corner, in the order of getCustomRoundedRectShape()
+   */
+  getCornerRadii() {
+    const { base } = this.options;
+    if (base.shape !== 'roundedRectangle') {
+      return [0, 0, 0, 0];
+    }
+    if (base.individualCorners) {
+      return [base.cornerRadiusTopRight, base.cornerRadiusBottomRight, base.cornerRadiusBottomLeft, base.cornerRadiusTopLeft];
+    }
+    return [base.cornerRadius, base.cornerRadius, base.cornerRadius, base.cornerRadius];
+  }
+
+  /**
+   * Returns the rectangle of the base with its rounded or chamfered corners
+   * @param {number} inset - Distance of the rectangle to the edge of the base, the corners get smaller by it
+   * @return {THREE.Shape} - The shape of the rectangle
+   */
+  getRectShape(x, y, width, height, inset) {
+    if (this.options.base.cornerStyle === 'chamfer') {
+      // the cut moves inwards along its diagonal, so it shrinks less than the sides
+      const sizes = this.getCornerRadii().map((size) => Math.max(0, size - inset * (2 - Math.SQRT2)));
+      return getChamferedRectShape(x, y, width, height, ...sizes);
+    }
+    const radii = this.getCornerRadii().map((radius) => Math.max(0, radius - inset));
+    return getCustomRoundedRectShape(x, y, width, height, ...radii);
   }
 
   /**
@@ -555,70 +1246,104 @@ class BaseTag3D {
    * Returns one merged mesh of all part meshes
    */
   getCombinedMesh() {
-    const geometries = [];
-
-    // Collect base mesh
-    const baseGeo = this.baseMesh.geometry.clone();
-    baseGeo.applyMatrix4(this.baseMesh.matrix);
-    geometries.push(baseGeo);
-
-    if (this.borderMesh) {
-      const borderGeo = this.borderMesh.geometry.clone();
-      borderGeo.applyMatrix4(this.borderMesh.matrix);
-      geometries.push(borderGeo);
-    }
-
-    if (this.subtitleMesh && !this.options.code.invert) {
-      const subtitleGeo = this.subtitleMesh.geometry.clone();
-      subtitleGeo.applyMatrix4(this.subtitleMesh.matrix);
-      geometries.push(subtitleGeo);
-    }
-
-    if (this.keychainAttachmentMesh) {
-      const keychainGeo = this.keychainAttachmentMesh.geometry.clone();
-      keychainGeo.applyMatrix4(this.keychainAttachmentMesh.matrix);
-      geometries.push(keychainGeo);
-    }
-
-    // Ensure all geometries are non-indexed to avoid compatibility issues
-    const compatibleGeometries = geometries.map(geo => {
-      if (geo.index !== null) {
-        return geo.toNonIndexed();
-      }
-      return geo;
-    });
-
-    // Use BufferGeometryUtils to merge geometries
-    const mergedGeometry = BufferGeometryUtils.mergeGeometries(compatibleGeometries);
+    return this.mergePartMeshes([
+      this.baseMesh,
+      this.borderMesh,
+      !this.isInverted() && !this.isDebossed() ? this.subtitleMesh : null,
+      this.keychainAttachmentMesh,
+    ]);
+  }
 
-    const combinedMesh = new THREE.Mesh(mergedGeometry, this.materialBase);
-    return combinedMesh;
+  /**
+   * Merges part meshes with their transformations applied. Only the positions are kept, the parts come with
+   * different attributes, repaired parts for example have no texture coordinates.
+   * @param {Array<THREE.Mesh|null>} meshes - Meshes to merge, null or empty meshes are skipped
+   * @return {THREE.Mesh} - The merged mesh
+   */
+  mergePartMeshes(meshes) {
+    const geometry = BufferGeometryUtils.mergeGeometries(meshes.filter(hasVertices).map(getPlacedGeometry));
+    geometry.computeVertexNormals();
+    return new THREE.Mesh(geometry, this.materialBase);
   }
 
   /**
-   * Generates all required meshes of the 3D model
+   * Generates the meshes of the base, the text, the border and the keychain attachment
    */
-  async generate3dModel() {
+  generateBaseMeshes() {
     if (this.options.base.hasText) {
       this.subtitleMesh = this.getSubtitleMesh();
-      if (!this.options.code.invert) {
+      if (!this.isInverted() && !this.isDebossed()) {
         this.exportedMeshes.subtitle = this.subtitleMesh;
       }
     }
 
     this.baseMesh = this.getBaseMesh();
     this.exportedMeshes.base = this.baseMesh;
+    if (this.subtitleMesh && this.isDebossed()) {
+      this.cutRecesses([this.subtitleMesh], this.options.base.textDepth);
+    }
     if (this.options.base.hasBorder) {
       this.borderMesh = this.getBorderMesh();
       this.exportedMeshes.border = this.borderMesh;
     }
+    if (this.isInlaid()) {
+      // the border is inlaid as well, so the whole top is level
+      [this.subtitleMesh, this.borderMesh] = this.inlayMeshes([this.subtitleMesh, this.borderMesh]);
+      Object.entries({ subtitle: this.subtitleMesh, border: this.borderMesh }).forEach(([key, mesh]) => {
+        if (mesh) {
+          this.exportedMeshes[key] = mesh;
+        } else {
+          delete this.exportedMeshes[key];
+        }
+      });
+    } else if (this.hasDualExtrusion()) {
+      // the text of inverted codes is cut out of the code instead
+      const embedText = !!this.subtitleMesh && !this.isInverted();
+      const [subtitleMesh, borderMesh] = this.embedMeshes([embedText ? this.subtitleMesh : null, this.borderMesh]);
+      if (embedText) {
+        this.subtitleMesh = subtitleMesh;
+        this.exportedMeshes.subtitle = this.subtitleMesh;
+      }
+      if (borderMesh) {
+        this.borderMesh = borderMesh;
+        this.exportedMeshes.border = this.borderMesh;
+      }
+    }
 
     if (this.options.base.hasKeychainAttachment) {
       this.keychainAttachmentMesh = this.getKeychainAttachmentMesh(this.baseMesh);
+      if (this.hasDualExtrusion()) {
+        // the attachment overlaps the base to stay connected, separate bodies must not overlap
+        [this.baseMesh, this.borderMesh].filter(hasVertices).forEach((mesh) => {
+          this.keychainAttachmentMesh = subtractMesh(this.keychainAttachmentMesh, mesh);
+        });
+        this.keychainAttachmentMesh.geometry = repairGeometry(this.keychainAttachmentMesh.geometry);
+      }
       this.exportedMeshes.keychainAttachment = this.keychainAttachmentMesh;
     }
+  }
 
+  /**
+   * Combines the parts and places the model for printing, the last step of generating the model
+   */
+  finishModel() {
     this.exportedMeshes.combined = this.getCombinedMesh();
+    if (this.isFaceDown()) {
+      this.placeFaceDown();
+    }
+    if (this.options.base.stand === 'kickstand') {
+      this.placeOnKickstand();
+    } else if (this.options.base.stand === 'foot') {
+      this.addFoot();
+    }
+  }
+
+  /**
+   * Generates all required meshes of the 3D model
+   */
+  async generate3dModel() {
+    this.generateBaseMeshes();
+    this.finishModel();
   }
 }
 
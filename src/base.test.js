@@ -0,0 +1,145 @@
+import * as THREE from 'three';
+import { describe, expect, it } from 'vitest';
+import QRCode3D from './qrcode3d';
+import { checkGeometry } from './meshCheck';
+import { createQRCode } from './qrEncoder';
+
+/**
+ * @param {Object} base - Base options that differ from the defaults
+ * @return {Promise<QRCode3D>} - Generated model of a 50 mm tag with a raised code
+ */
+const generateModel = async (base) => {
+  const model = new QRCode3D(createQRCode('hello', 'L').modules, {
+    base: {
+      shape: 'roundedRectangle',
+      width: 50,
+      height: 50,
+      depth: 2,
+      cornerRadius: 3,
+      hasBorder: false,
+      hasText: false,
+      textPlacement: 'bottom',
+      hasKeychainAttachment: false,
+      hasNfcIndentation: false,
+      stand: 'none',
+      standAngle: 15,
+      standFootprint: 40,
+      standSeparate: false,
+      ...base,
+    },
+    code: {
+      depth: 1,
+      margin: 3,
+      blockSizeMultiplier: 100,
+      moduleStyle: 'square',
+      iconName: 'none',
+      cityMode: false,
+      invert: false,
+      compatibilityMode: false,
+      topEdgeStyle: 'flat',
+      placement: 'raised',
+    },
+  });
+  await model.generate3dModel();
+  return model;
+};
+
+/**
+ * @param {THREE.Mesh} mesh - Closed mesh
+ * @return {THREE.Vector3} - Center of mass of the placed mesh
+ */
+const getCenterOfMass = (mesh) => {
+  mesh.updateMatrix();
+  const geometry = mesh.geometry.clone().applyMatrix4(mesh.matrix);
+  const positions = (geometry.index ? geometry.toNonIndexed() : geometry).getAttribute('position');
+  const center = new THREE.Vector3();
+  let volume = 0;
+  const [a, b, c] = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+  for (let i = 0; i < positions.count; i += 3) {
+    a.fromBufferAttribute(positions, i);
+    b.fromBufferAttribute(positions, i + 1);
+    c.fromBufferAttribute(positions, i + 2);
+    const tetrahedron = a.dot(b.clone().cross(c)) / 6;
+    volume += tetrahedron;
+    center.addScaledVector(a.clone().add(b).add(c), tetrahedron / 4);
+  }
+  return center.divideScalar(volume);
+};
+
+describe('stands', () => {
+  it('reports how far the model on the kickstand can be tilted', async () => {
+    const model = await generateModel({ stand: 'kickstand' });
+    const { combined } = model.getPartMeshes();
+    // the model tips over the ends of its footprint on the plate
+    const positions = combined.geometry.getAttribute('position');
+    const footprint = Array.from({ length: positions.count }, (_, i) => i)
+      .filter((i) => Math.abs(positions.getZ(i)) < 1e-6)
+      .map((i) => positions.getX(i));
+    const center = getCenterOfMass(combined);
+    const toDegrees = (angle) => THREE.MathUtils.radToDeg(angle);
+
+    const standCheck = model.getStandCheck();
+
+    expect(standCheck.forwardAngle).toBeCloseTo(toDegrees(Math.atan2(Math.max(...footprint) - center.x, center.z)), 0);
+    expect(standCheck.backwardAngle).toBeCloseTo(toDegrees(Math.atan2(center.x - Math.min(...footprint), center.z)), 0);
+    expect(standCheck.isStable).toBe(true);
+  });
+
+  it('reports a kickstand without footprint as unstable', async () => {
+    const model = await generateModel({ stand: 'kickstand', standFootprint: 0 });
+
+    expect(model.getStandCheck()).toMatchObject({ isStable: false });
+    expect(model.getStandCheck().backwardAngle).toBeLessThan(10);
+  });
+
+  it('centers the upright tag over the foot', async () => {
+    const model = await generateModel({ stand: 'foot', standAngle: 0, standSeparate: true });
+    const { forwardAngle, backwardAngle, isStable } = model.getStandCheck();
+
+    // only the play of the tag in the slot moves it off the middle of the foot
+    expect(Math.abs(forwardAngle - backwardAngle)).toBeLessThan(3);
+    expect(isStable).toBe(true);
+  });
+
+  it('reports a tall tag on a foot without footprint as unstable', async () => {
+    const model = await generateModel({
+      width: 150, height: 150, stand: 'foot', standAngle: 0, standFootprint: 0,
+    });
+    const { forwardAngle, backwardAngle, isStable } = model.getStandCheck();
+
+    expect(Math.min(forwardAngle, backwardAngle)).toBeLessThan(10);
+    expect(isStable).toBe(false);
+  });
+});
+
+describe('border', () => {
+  it.each([
+    ['a circle', { shape: 'circle' }],
+    ['a star', { shape: 'star' }],
+    ['chamfered corners', { cornerStyle: 'chamfer' }],
+    ['text beside the code', { hasText: true, textPlacement: 'left', textMessage: 'Hi there' }],
+  ])('builds the border around %s as a closed solid', async (name, base) => {
+    const model = await generateModel({
+      hasBorder: true, borderWidth: 2, borderDepth: 1, textMargin: 2, textSize: 5, textDepth: 1, textAlign: 'center', ...base,
+    });
+
+    expect(checkGeometry(model.getPartMeshes().border.geometry)).toMatchObject({ openEdges: 0, nonManifoldEdges: 0 });
+  });
+});
+
+describe('keychain attachment', () => {
+  it.each(['left', 'topLeft'])('builds the keychain attachments on the %s as closed solids', async (keychainPlacement) => {
+    const model = await generateModel({
+      hasKeychainAttachment: true,
+      keychainPlacement,
+      keychainHoleDiameter: 6,
+      keychainMaterialThickness: 1.5,
+      keychainOffset: 3,
+      mirrorHoles: true,
+    });
+
+    expect(checkGeometry(model.getPartMeshes().keychainAttachment.geometry)).toMatchObject({
+      openEdges: 0, nonManifoldEdges: 0, overlappingShells: 0,
+    });
+  });
+});
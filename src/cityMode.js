@@ -0,0 +1,99 @@
+/* eslint-disable no-bitwise */
+
+/**
+ * Height functions of the city mode. The height of an element only depends on the options and the position
+ * of the element, so the same settings always give the same skyline.
+ */
+export const CITY_PATTERNS = ['random', 'radial', 'linear', 'wave', 'noise', 'icon'];
+
+// number of waves or noise cells across the code if not set in the options
+const DEFAULT_CITY_FREQUENCY = 3;
+
+/**
+ * Seeded pseudo random number generator (mulberry32)
+ * @param {number} seed - 32 bit integer
+ * @return {Function} - () => number in [0, 1)
+ */
+export const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * @param {number} seed - 32 bit integer
+ * @param {number} i - First lattice coordinate
+ * @param {number} j - Second lattice coordinate
+ * @return {number} - Random value in [0, 1) of the lattice point
+ */
+const getLatticeValue = (seed, i, j) => {
+  let hash = Math.imul(i, 0x27d4eb2d) ^ Math.imul(j, 0x165667b1) ^ Math.imul(seed, 0x9e3779b1);
+  hash = Math.imul(hash ^ (hash >>> 15), 0x85ebca6b);
+  hash = Math.imul(hash ^ (hash >>> 13), 0xc2b2ae35);
+  return ((hash ^ (hash >>> 16)) >>> 0) / 4294967296;
+};
+
+/**
+ * Smooth value noise, random values on an integer lattice blended with a smoothstep
+ * @param {number} seed - 32 bit integer
+ * @param {number} x - First coordinate
+ * @param {number} y - Second coordinate
+ * @return {number} - Noise value in [0, 1)
+ */
+const getValueNoise = (seed, x, y) => {
+  const i = Math.floor(x);
+  const j = Math.floor(y);
+  const smooth = (t) => t * t * (3 - 2 * t);
+  const fx = smooth(x - i);
+  const fy = smooth(y - j);
+  const bottom = getLatticeValue(seed, i, j) * (1 - fx) + getLatticeValue(seed, i + 1, j) * fx;
+  const top = getLatticeValue(seed, i, j + 1) * (1 - fx) + getLatticeValue(seed, i + 1, j + 1) * fx;
+  return bottom * (1 - fy) + top * fy;
+};
+
+/**
+ * Creates the height function of the city mode. Positions are given in coordinates of the code area,
+ * u from -1 (left) to 1 (right) and v from -1 (bottom) to 1 (top).
+ * @param {Object} code - Code options: depth and depthMax limit the heights, cityPattern is one of CITY_PATTERNS,
+ * citySeed seeds the random and noise patterns, cityAngle (degrees) sets the direction of the linear and wave patterns,
+ * cityFrequency the number of waves or noise cells across the code and cityReverse swaps low and high
+ * @param {Object|null} icon - { u, v, radius } of the icon in the same coordinates, the icon pattern
+ * rises towards it. Without icon the center of the code is used.
+ * @return {Function} - (u, v) => depth of the element at the position
+ */
+export const getCityDepthFunction = (code, icon = null) => {
+  const minDepth = Math.min(code.depth, code.depthMax);
+  const range = Math.abs(code.depthMax - code.depth);
+  const seed = Math.round(Number(code.citySeed) || 0);
+  const angle = ((Number(code.cityAngle) || 0) * Math.PI) / 180;
+  const frequency = code.cityFrequency === undefined ? DEFAULT_CITY_FREQUENCY : Math.max(0, Number(code.cityFrequency) || 0);
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  // position along the direction of the angle, -1 to 1 across the code area
+  const along = (u, v) => (u * cos + v * sin) / (Math.abs(cos) + Math.abs(sin));
+  const center = icon || { u: 0, v: 0, radius: 0 };
+  const maxIconDistance = Math.max(...[[-1, -1], [-1, 1], [1, -1], [1, 1]]
+    .map(([u, v]) => Math.hypot(u - center.u, v - center.v))) - center.radius;
+  const random = createRandom(seed);
+
+  const patterns = {
+    // the random values are drawn in the order the elements are generated
+    random: () => random(),
+    radial: (u, v) => 1 - Math.hypot(u, v) / Math.SQRT2,
+    linear: (u, v) => (along(u, v) + 1) / 2,
+    wave: (u, v) => 0.5 + 0.5 * Math.cos(Math.PI * frequency * along(u, v)),
+    noise: (u, v) => getValueNoise(seed, ((u + 1) / 2) * frequency, ((v + 1) / 2) * frequency),
+    icon: (u, v) => 1 - (Math.hypot(u - center.u, v - center.v) - center.radius) / maxIconDistance,
+  };
+  const getValue = patterns[code.cityPattern] || patterns.random;
+
+  return (u, v) => {
+    const value = Math.min(1, Math.max(0, getValue(u, v)));
+    return minDepth + (code.cityReverse ? 1 - value : value) * range;
+  };
+};
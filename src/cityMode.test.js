@@ -0,0 +1,41 @@
+import { describe, expect, it } from 'vitest';
+import { CITY_PATTERNS, getCityDepthFunction } from './cityMode';
+
+// positions of a 9 x 9 grid across the code area
+const POSITIONS = Array.from({ length: 81 }, (_, i) => [(i % 9) / 4 - 1, Math.floor(i / 9) / 4 - 1]);
+
+/**
+ * @param {Object} code - City mode options that differ from the defaults
+ * @return {number[]} - Depths of the grid positions in generation order
+ */
+const getDepths = (code) => {
+  const getCityDepth = getCityDepthFunction({
+    depth: 1, depthMax: 4, citySeed: 1234, cityAngle: 30, cityFrequency: 2, ...code,
+  }, { u: 0.2, v: -0.1, radius: 0.3 });
+  return POSITIONS.map(([u, v]) => getCityDepth(u, v));
+};
+
+describe('getCityDepthFunction', () => {
+  it.each(CITY_PATTERNS)('gives the same %s depths for the same seed', (cityPattern) => {
+    expect(getDepths({ cityPattern })).toEqual(getDepths({ cityPattern }));
+  });
+
+  it.each(CITY_PATTERNS)('keeps the %s depths between depth and max depth', (cityPattern) => {
+    const depths = [...getDepths({ cityPattern }), ...getDepths({ cityPattern, cityReverse: true })];
+
+    expect(Math.min(...depths)).toBeGreaterThanOrEqual(1);
+    expect(Math.max(...depths)).toBeLessThanOrEqual(4);
+    // the patterns use the range instead of a constant height
+    expect(Math.max(...depths) - Math.min(...depths)).toBeGreaterThan(1);
+  });
+
+  it.each(['random', 'noise'])('changes the %s depths with the seed', (cityPattern) => {
+    expect(getDepths({ cityPattern, citySeed: 99 })).not.toEqual(getDepths({ cityPattern }));
+  });
+
+  it('swaps depth and max depth if the max depth is lower', () => {
+    const depths = getDepths({ cityPattern: 'random', depth: 4, depthMax: 1 });
+
+    expect(depths).toEqual(getDepths({ cityPattern: 'random' }));
+  });
+});
@@ -0,0 +1,38 @@
+import QRCode3D from './qrcode3d';
+import { getDataRegionSize } from './dataMatrixEncoder';
+
+/**
+ * Class used for generating the 3D model of a Data Matrix (ECC200) code.
+ * The bitmask has the same layout as the one of a QR code, so the modules are generated the same way.
+ * Data Matrix codes have no finder or alignment patterns like QR codes, instead every data region is
+ * surrounded by a solid L-shaped finder pattern and an alternating timing pattern.
+ */
+class DataMatrix3D extends QRCode3D {
+  constructor(dataMatrixBitmask, options) {
+    super(dataMatrixBitmask, options);
+    this.dataRegionSize = getDataRegionSize(this.maskWidth);
+  }
+
+  getFinderPatterns() {
+    return [];
+  }
+
+  getAlignmentPatterns() {
+    return [];
+  }
+
+  /**
+   * Finder and timing patterns are kept square for styled modules so the code can still be located
+   * @param {number} x - Row of the module in the bitmask
+   * @param {number} y - Column of the module in the bitmask
+   * @return {boolean} - True if the module is part of a finder or timing pattern
+   */
+  isFinderPatternModule(x, y) {
+    const regionX = x % (this.dataRegionSize + 2);
+    const regionY = y % (this.dataRegionSize + 2);
+    return regionX === 0 || regionX === this.dataRegionSize + 1
+      || regionY === 0 || regionY === this.dataRegionSize + 1;
+  }
+}
+
+export default DataMatrix3D;
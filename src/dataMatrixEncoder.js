@@ -0,0 +1,225 @@
+/* eslint-disable no-bitwise */
+import { getGaloisField, getErrorCorrection } from './reedSolomon';
+
+/**
+ * Square ECC200 symbol sizes as [size, data codewords, error correction codewords, interleaved blocks]
+ */
+const SYMBOL_SIZES = [
+  [10, 3, 5, 1], [12, 5, 7, 1], [14, 8, 10, 1], [16, 12, 12, 1], [18, 18, 14, 1],
+  [20, 22, 18, 1], [22, 30, 20, 1], [24, 36, 24, 1], [26, 44, 28, 1], [32, 62, 36, 1],
+  [36, 86, 42, 1], [40, 114, 48, 1], [44, 144, 56, 1], [48, 174, 68, 1], [52, 204, 84, 2],
+  [64, 280, 112, 2], [72, 368, 144, 4], [80, 456, 192, 4], [88, 576, 224, 4], [96, 696, 272, 4],
+  [104, 816, 336, 6], [120, 1050, 408, 6], [132, 1304, 496, 8], [144, 1558, 620, 10],
+];
+
+// ECC200 uses GF(256) with the prime polynomial x^8 + x^5 + x^3 + x^2 + 1
+const GF256 = getGaloisField(8, 0x12d);
+
+/**
+ * Encodes the text in ASCII encodation. Digit pairs are packed into one codeword, bytes above 127 use
+ * the upper shift. Texts outside of ASCII are encoded as UTF-8 and announced with an ECI designator.
+ * @param {string} text - Content of the symbol
+ * @return {number[]} - Data codewords without padding
+ */
+const encodeText = (text) => {
+  const codewords = [];
+  let bytes;
+  // eslint-disable-next-line no-control-regex
+  if (/^[\x00-\x7f]*$/.test(text)) {
+    bytes = Array.from(text, (char) => char.charCodeAt(0));
+  } else {
+    // ECI 000026 (UTF-8)
+    codewords.push(241, 27);
+    bytes = Array.from(new TextEncoder().encode(text));
+  }
+
+  const isDigit = (byte) => byte >= 48 && byte <= 57;
+  for (let i = 0; i < bytes.length; i += 1) {
+    if (isDigit(bytes[i]) && i + 1 < bytes.length && isDigit(bytes[i + 1])) {
+      codewords.push(130 + (bytes[i] - 48) * 10 + (bytes[i + 1] - 48));
+      i += 1;
+    } else if (bytes[i] > 127) {
+      codewords.push(235, bytes[i] - 127);
+    } else {
+      codewords.push(bytes[i] + 1);
+    }
+  }
+  return codewords;
+};
+
+/**
+ * Places the codewords in the mapping matrix following the diagonal "utah" pattern of ECC200
+ * @param {number[]} codewords - Data and error correction codewords
+ * @param {number} nrow - Rows of the mapping matrix (symbol without finder and timing patterns)
+ * @param {number} ncol - Columns of the mapping matrix
+ * @return {Uint8Array} - 1 for dark modules, indexed by row * ncol + col
+ */
+const placeCodewords = (codewords, nrow, ncol) => {
+  // 0 = not yet placed, 1 = light, 2 = dark
+  const matrix = new Uint8Array(nrow * ncol);
+
+  const placeModule = (row, col, index, bit) => {
+    let r = row;
+    let c = col;
+    if (r < 0) {
+      r += nrow;
+      c += 4 - ((nrow + 4) % 8);
+    }
+    if (c < 0) {
+      c += ncol;
+      r += 4 - ((ncol + 4) % 8);
+    }
+    matrix[r * ncol + c] = (codewords[index] >> (8 - bit)) & 1 ? 2 : 1;
+  };
+  const placeUtah = (row, col, index) => {
+    placeModule(row - 2, col - 2, index, 1);
+    placeModule(row - 2, col - 1, index, 2);
+    placeModule(row - 1, col - 2, index, 3);
+    placeModule(row - 1, col - 1, index, 4);
+    placeModule(row - 1, col, index, 5);
+    placeModule(row, col - 2, index, 6);
+    placeModule(row, col - 1, index, 7);
+    placeModule(row, col, index, 8);
+  };
+  const placeCorner = (positions, index) => {
+    positions.forEach(([row, col], i) => placeModule(row, col, index, i + 1));
+  };
+
+  let index = 0;
+  let row = 4;
+  let col = 0;
+  do {
+    if (row === nrow && col === 0) {
+      placeCorner([[nrow - 1, 0], [nrow - 1, 1], [nrow - 1, 2], [0, ncol - 2],
+        [0, ncol - 1], [1, ncol - 1], [2, ncol - 1], [3, ncol - 1]], index);
+      index += 1;
+    }
+    if (row === nrow - 2 && col === 0 && ncol % 4) {
+      placeCorner([[nrow - 3, 0], [nrow - 2, 0], [nrow - 1, 0], [0, ncol - 4],
+        [0, ncol - 3], [0, ncol - 2], [0, ncol - 1], [1, ncol - 1]], index);
+      index += 1;
+    }
+    if (row === nrow - 2 && col === 0 && ncol % 8 === 4) {
+      placeCorner([[nrow - 3, 0], [nrow - 2, 0], [nrow - 1, 0], [0, ncol - 2],
+        [0, ncol - 1], [1, ncol - 1], [2, ncol - 1], [3, ncol - 1]], index);
+      index += 1;
+    }
+    if (row === nrow + 4 && col === 2 && !(ncol % 8)) {
+      placeCorner([[nrow - 1, 0], [nrow - 1, ncol - 1], [0, ncol - 3], [0, ncol - 2],
+        [0, ncol - 1], [1, ncol - 3], [1, ncol - 2], [1, ncol - 1]], index);
+      index += 1;
+    }
+    // sweep upwards to the right
+    do {
+      if (row < nrow && col >= 0 && !matrix[row * ncol + col]) {
+        placeUtah(row, col, index);
+        index += 1;
+      }
+      row -= 2;
+      col += 2;
+    } while (row >= 0 && col < ncol);
+    row += 1;
+    col += 3;
+    // sweep downwards to the left
+    do {
+      if (row >= 0 && col < ncol && !matrix[row * ncol + col]) {
+        placeUtah(row, col, index);
+        index += 1;
+      }
+      row += 2;
+      col -= 2;
+    } while (row < nrow && col >= 0);
+    row += 3;
+    col += 1;
+  } while (row < nrow || col < ncol);
+
+  // fixed pattern in the lower right corner if it is left untouched
+  if (!matrix[nrow * ncol - 1]) {
+    matrix[nrow * ncol - 1] = 2;
+    matrix[nrow * ncol - ncol - 2] = 2;
+  }
+
+  return matrix.map((value) => (value === 2 ? 1 : 0));
+};
+
+/**
+ * @param {number} size - Width of a square symbol in modules
+ * @return {number} - Width of one data region, which is surrounded by finder and timing patterns
+ */
+export const getDataRegionSize = (size) => {
+  let regionsPerSide = 1;
+  if (size >= 120) {
+    regionsPerSide = 6;
+  } else if (size >= 64) {
+    regionsPerSide = 4;
+  } else if (size >= 32) {
+    regionsPerSide = 2;
+  }
+  return size / regionsPerSide - 2;
+};
+
+/**
+ * Generates a square Data Matrix (ECC200) symbol
+ * @param {string} text - Content of the symbol
+ * @return {Object} - { size, modules, dataRegionSize } with modules being a bitmask of size * size entries,
+ * indexed by row * size + column, 1 for dark modules
+ */
+export const createDataMatrix = (text) => {
+  const data = encodeText(text);
+  const symbol = SYMBOL_SIZES.find(([, dataLength]) => dataLength >= data.length);
+  if (!symbol) {
+    throw new Error(`Text is too long for a Data Matrix code (${data.length} of max. ${SYMBOL_SIZES[SYMBOL_SIZES.length - 1][1]} codewords)`);
+  }
+  const [size, dataLength, ecLength, blockCount] = symbol;
+
+  // pad the remaining capacity, the first pad is 129, the others are randomized by their position
+  if (data.length < dataLength) {
+    data.push(129);
+  }
+  while (data.length < dataLength) {
+    const pad = 129 + ((149 * (data.length + 1)) % 253) + 1;
+    data.push(pad > 254 ? pad - 254 : pad);
+  }
+
+  // codewords are interleaved over the blocks, block i holds every blockCount-th codeword
+  const codewords = data.slice();
+  const blockEcLength = ecLength / blockCount;
+  for (let block = 0; block < blockCount; block += 1) {
+    const blockData = data.filter((_, i) => i % blockCount === block);
+    getErrorCorrection(blockData, blockEcLength, GF256).forEach((codeword, i) => {
+      codewords[dataLength + i * blockCount + block] = codeword;
+    });
+  }
+
+  const dataRegionSize = getDataRegionSize(size);
+  const mappingSize = size - 2 * (size / (dataRegionSize + 2));
+  const mapping = placeCodewords(codewords, mappingSize, mappingSize);
+
+  const modules = new Uint8Array(size * size);
+  for (let row = 0; row < size; row += 1) {
+    for (let col = 0; col < size; col += 1) {
+      const regionRow = row % (dataRegionSize + 2);
+      const regionCol = col % (dataRegionSize + 2);
+      let dark;
+      if (regionCol === 0 || regionRow === dataRegionSize + 1) {
+        // solid finder pattern on the left and at the bottom of each region
+        dark = true;
+      } else if (regionRow === 0) {
+        // alternating timing pattern at the top
+        dark = regionCol % 2 === 0;
+      } else if (regionCol === dataRegionSize + 1) {
+        // alternating timing pattern on the right
+        dark = regionRow % 2 === 1;
+      } else {
+        const mappingRow = Math.floor(row / (dataRegionSize + 2)) * dataRegionSize + regionRow - 1;
+        const mappingCol = Math.floor(col / (dataRegionSize + 2)) * dataRegionSize + regionCol - 1;
+        dark = mapping[mappingRow * mappingSize + mappingCol] === 1;
+      }
+      modules[row * size + col] = dark ? 1 : 0;
+    }
+  }
+
+  return { size, modules, dataRegionSize };
+};
+
+export default createDataMatrix;
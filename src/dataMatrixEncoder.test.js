@@ -0,0 +1,19 @@
+import { describe, expect, it } from 'vitest';
+import { createDataMatrix } from './dataMatrixEncoder';
+import { decodeModules } from './decodeTestUtils';
+
+describe('createDataMatrix', () => {
+  it.each([
+    ['the smallest symbol', 'A1', 10],
+    ['digit pairs', '0123456789012345678901234567890123456789', 20],
+    ['four data regions', 'bin 42 '.repeat(8), 32],
+    ['interleaved blocks', 'parts bin '.repeat(20), 52],
+    ['UTF-8 with an ECI designator', 'Schrauben für Regal Ä', 22],
+  ])('reads back %s', async (name, text, size) => {
+    const symbol = createDataMatrix(text);
+    const results = await decodeModules(symbol.modules, symbol.size, ['DataMatrix']);
+
+    expect(symbol.size).toBe(size);
+    expect(results.map((result) => result.text)).toEqual([text]);
+  });
+});
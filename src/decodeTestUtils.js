@@ -0,0 +1,43 @@
+import { setZXingModuleOverrides, readBarcodesFromImageData } from 'zxing-wasm/reader';
+import zxingReaderWasmUrl from 'zxing-wasm/reader/zxing_reader.wasm?url';
+
+// pixels per module and modules of white space around the symbols
+const MODULE_PIXELS = 4;
+const QUIET_ZONE = 10;
+// pixel height of linear barcodes
+const BAR_HEIGHT = 60;
+
+// the decoder cannot fetch its url outside the browser, so it gets the binary from the package. The node polyfills
+// of the build replace the fs module, the built-in one is loaded directly.
+setZXingModuleOverrides({
+  wasmBinary: process.getBuiltinModule('fs').readFileSync(`${process.cwd()}${zxingReaderWasmUrl}`),
+});
+
+/**
+ * Decodes a symbol drawn from its modules, used by the tests of the encoders
+ * @param {number[]|Uint8Array} modules - Row-major modules with 1 for dark modules
+ * @param {number} width - Number of modules per row, the modules of a linear barcode are stretched to bars
+ * @param {string[]} formats - zxing formats to look for, e.g. QRCode
+ * @return {Promise<Object[]>} - zxing results of all symbols found, with text, bytes, format and sequence information
+ */
+export const decodeModules = (modules, width, formats) => {
+  const rows = modules.length === width ? BAR_HEIGHT / MODULE_PIXELS : modules.length / width;
+  const imageWidth = (width + 2 * QUIET_ZONE) * MODULE_PIXELS;
+  const imageHeight = (rows + 2 * QUIET_ZONE) * MODULE_PIXELS;
+  const data = new Uint8ClampedArray(imageWidth * imageHeight * 4).fill(255);
+  for (let y = 0; y < imageHeight; y += 1) {
+    for (let x = 0; x < imageWidth; x += 1) {
+      const row = Math.floor(y / MODULE_PIXELS) - QUIET_ZONE;
+      const col = Math.floor(x / MODULE_PIXELS) - QUIET_ZONE;
+      const index = modules.length === width ? col : row * width + col;
+      if (row >= 0 && row < rows && col >= 0 && col < width && modules[index]) {
+        data.fill(0, (y * imageWidth + x) * 4, (y * imageWidth + x) * 4 + 3);
+      }
+    }
+  }
+  return readBarcodesFromImageData({
+    data, width: imageWidth, height: imageHeight, colorSpace: 'srgb',
+  }, { formats, tryHarder: true, maxNumberOfSymbols: 16 });
+};
+
+export default decodeModules;
@@ -0,0 +1,684 @@
+import * as THREE from 'three';
+
+// tolerance used when deduplicating grid line coordinates (in mm)
+const COORD_EPSILON = 1e-6;
+// parts of a frame closer to the grid than this are dropped, and the side of an edge is sampled at a tenth of it (in mm)
+const FRAME_EPSILON = 1e-6;
+const FRAME_SAMPLE = FRAME_EPSILON / 10;
+// size of the pillars joining cells that touch only at a corner (in mm), well above the weld tolerance of mesh checks
+const PILLAR_WIDTH = 1e-3;
+// heights closer than this are merged into one level, so no walls thinner than the weld tolerance of mesh checks are built (in mm)
+const LEVEL_EPSILON = 1e-3;
+
+/**
+ * Covers all cells of a grid that share the same key with as few rectangles as possible.
+ * Rectangles are grown greedily: first along j, then along i as long as every cell matches.
+ * @param {number} sizeI number of cells along i
+ * @param {number} sizeJ number of cells along j
+ * @param {Function} getKey (i, j) => key of the cell, or null if the cell should not be covered
+ * @return {Object[]} rectangles as { i0, j0, i1, j1, key } with exclusive upper bounds
+ */
+export const getGreedyRectangles = (sizeI, sizeJ, getKey) => {
+  const visited = new Uint8Array(sizeI * sizeJ);
+  const rects = [];
+
+  const rowMatches = (i, j0, j1, key) => {
+    for (let j = j0; j < j1; j += 1) {
+      if (visited[i * sizeJ + j] || getKey(i, j) !== key) {
+        return false;
+      }
+    }
+    return true;
+  };
+
+  for (let i = 0; i < sizeI; i += 1) {
+    for (let j = 0; j < sizeJ; j += 1) {
+      const key = visited[i * sizeJ + j] ? null : getKey(i, j);
+      if (key !== null) {
+        let j1 = j + 1;
+        while (j1 < sizeJ && !visited[i * sizeJ + j1] && getKey(i, j1) === key) {
+          j1 += 1;
+        }
+        let i1 = i + 1;
+        while (i1 < sizeI && rowMatches(i1, j, j1, key)) {
+          i1 += 1;
+        }
+        for (let ii = i; ii < i1; ii += 1) {
+          visited.fill(1, ii * sizeJ + j, ii * sizeJ + j1);
+        }
+        rects.push({
+          i0: i, j0: j, i1, j1, key,
+        });
+      }
+    }
+  }
+
+  return rects;
+};
+
+/**
+ * Splits a row of equally spaced code modules into grid cells.
+ * Module k covers [k * pitch, k * pitch + blockWidth], so modules overlap for block sizes above 100%
+ * and leave gaps below. Every resulting cell is covered by the same set of modules.
+ * @param {number} count number of modules
+ * @param {number} pitch distance between the start of two neighbouring modules
+ * @param {number} blockWidth width of a single module
+ * @return {Object} coords: cell boundaries relative to the first module, modules: indices of the modules covering each cell
+ */
+export const getModuleCells = (count, pitch, blockWidth) => {
+  const raw = [];
+  for (let k = 0; k < count; k += 1) {
+    raw.push(k * pitch, k * pitch + blockWidth);
+  }
+  raw.sort((a, b) => a - b);
+
+  const coords = [];
+  raw.forEach((c) => {
+    if (coords.length === 0 || c - coords[coords.length - 1] > COORD_EPSILON) {
+      coords.push(c);
+    }
+  });
+
+  const modules = [];
+  for (let c = 0; c < coords.length - 1; c += 1) {
+    const mid = (coords[c] + coords[c + 1]) / 2;
+    const covering = [];
+    for (let k = Math.max(0, Math.floor((mid - blockWidth) / pitch)); k < count && k * pitch < mid; k += 1) {
+      if (mid < k * pitch + blockWidth) {
+        covering.push(k);
+      }
+    }
+    modules.push(covering);
+  }
+
+  return { coords, modules };
+};
+
+/**
+ * Traces the outlines of all 4-connected regions of filled cells.
+ * Outlines keep the filled cells on their left, so outer outlines run counter-clockwise and
+ * outlines of holes clockwise. Only the corner points of the outlines are returned.
+ * @param {number} sizeI number of cells along i
+ * @param {number} sizeJ number of cells along j
+ * @param {Function} isFilled (i, j) => true if the cell belongs to a region
+ * @return {Object[]} regions as { outline, holes, cell } with points as [i, j] grid coordinates
+ */
+export const getGridContours = (sizeI, sizeJ, isFilled) => {
+  const filledAt = (i, j) => i >= 0 && j >= 0 && i < sizeI && j < sizeJ && isFilled(i, j);
+
+  // label the 4-connected regions
+  const labels = new Int32Array(sizeI * sizeJ).fill(-1);
+  const regions = [];
+  for (let i = 0; i < sizeI; i += 1) {
+    for (let j = 0; j < sizeJ; j += 1) {
+      if (labels[i * sizeJ + j] === -1 && filledAt(i, j)) {
+        const label = regions.length;
+        regions.push({ outline: null, holes: [], cell: [i, j] });
+        const stack = [[i, j]];
+        labels[i * sizeJ + j] = label;
+        while (stack.length > 0) {
+          const [ci, cj] = stack.pop();
+          [[ci - 1, cj], [ci + 1, cj], [ci, cj - 1], [ci, cj + 1]].forEach(([ni, nj]) => {
+            if (filledAt(ni, nj) && labels[ni * sizeJ + nj] === -1) {
+              labels[ni * sizeJ + nj] = label;
+              stack.push([ni, nj]);
+            }
+          });
+        }
+      }
+    }
+  }
+
+  // boundary edges of every cell, counter-clockwise around the cell
+  const outgoing = new Map();
+  const edges = [];
+  const addEdge = (from, to, label) => {
+    const edge = {
+      from, to, direction: [to[0] - from[0], to[1] - from[1]], label, used: false,
+    };
+    const key = from[0] * (sizeJ + 1) + from[1];
+    if (!outgoing.has(key)) {
+      outgoing.set(key, []);
+    }
+    outgoing.get(key).push(edge);
+    edges.push(edge);
+  };
+  for (let i = 0; i < sizeI; i += 1) {
+    for (let j = 0; j < sizeJ; j += 1) {
+      const label = labels[i * sizeJ + j];
+      if (label !== -1) {
+        if (!filledAt(i, j - 1)) addEdge([i, j], [i + 1, j], label);
+        if (!filledAt(i + 1, j)) addEdge([i + 1, j], [i + 1, j + 1], label);
+        if (!filledAt(i, j + 1)) addEdge([i + 1, j + 1], [i, j + 1], label);
+        if (!filledAt(i - 1, j)) addEdge([i, j + 1], [i, j], label);
+      }
+    }
+  }
+
+  edges.forEach((start) => {
+    if (start.used) {
+      return;
+    }
+    const points = [];
+    let edge = start;
+    while (!edge.used) {
+      edge.used = true;
+      points.push(edge.from);
+      const candidates = outgoing.get(edge.to[0] * (sizeJ + 1) + edge.to[1]).filter((e) => !e.used || e === start);
+      const [dx, dy] = edge.direction;
+      // where two regions touch diagonally, turn left to stay on the current region
+      edge = candidates.find((e) => e.direction[0] === -dy && e.direction[1] === dx) || candidates[0];
+    }
+
+    // only keep the corners
+    const corners = points.filter((point, index) => {
+      const prev = points[(index + points.length - 1) % points.length];
+      const next = points[(index + 1) % points.length];
+      return (point[0] - prev[0]) * (next[1] - point[1]) - (point[1] - prev[1]) * (next[0] - point[0]) !== 0;
+    });
+
+    let area = 0;
+    corners.forEach((point, index) => {
+      const next = corners[(index + 1) % corners.length];
+      area += point[0] * next[1] - next[0] * point[1];
+    });
+    if (area > 0) {
+      regions[start.label].outline = corners;
+    } else {
+      regions[start.label].holes.push(corners);
+    }
+  });
+
+  return regions;
+};
+
+/**
+ * Rounds the corners of an axis aligned outline as returned by getGridContours.
+ * Corners around filled area (left turns) and corners around empty area (right turns)
+ * can use different radii. The radii must not exceed half the length of the shortest edge.
+ * @param {number[][]} points corner points of the outline
+ * @param {number} convexRadius radius of the corners around filled area
+ * @param {number} concaveRadius radius of the corners around empty area
+ * @param {number} segments number of segments per rounded corner
+ * @return {number[][]} points of the rounded outline
+ */
+export const getRoundedOutline = (points, convexRadius, concaveRadius, segments) => {
+  const rounded = [];
+  points.forEach((point, index) => {
+    const prev = points[(index + points.length - 1) % points.length];
+    const next = points[(index + 1) % points.length];
+    const incoming = [Math.sign(point[0] - prev[0]), Math.sign(point[1] - prev[1])];
+    const outgoing = [Math.sign(next[0] - point[0]), Math.sign(next[1] - point[1])];
+    const isConvex = incoming[0] * outgoing[1] - incoming[1] * outgoing[0] > 0;
+    const radius = isConvex ? convexRadius : concaveRadius;
+    if (radius <= 0) {
+      rounded.push(point);
+      return;
+    }
+    // quarter circle from the end of the incoming edge to the start of the outgoing edge
+    const center = [
+      point[0] - incoming[0] * radius + outgoing[0] * radius,
+      point[1] - incoming[1] * radius + outgoing[1] * radius,
+    ];
+    for (let k = 0; k <= segments; k += 1) {
+      const angle = (k / segments) * (Math.PI / 2);
+      rounded.push([
+        center[0] - outgoing[0] * radius * Math.cos(angle) + incoming[0] * radius * Math.sin(angle),
+        center[1] - outgoing[1] * radius * Math.cos(angle) + incoming[1] * radius * Math.sin(angle),
+      ]);
+    }
+  });
+
+  // neighbouring arcs meet where both radii add up to the edge length
+  return rounded.filter((point, index) => {
+    const next = rounded[(index + 1) % rounded.length];
+    return Math.abs(point[0] - next[0]) > 1e-9 || Math.abs(point[1] - next[1]) > 1e-9;
+  });
+};
+
+/**
+ * Splits a triangle at all points lying inside its edges, so it shares these vertices with its neighbouring faces.
+ * The triangulation drops collinear points of its contours, which would otherwise leave T-junctions.
+ * @param {THREE.Vector2[]} triangle - Corners of the triangle
+ * @param {THREE.Vector2[]} points - Points the triangle has to be split at
+ * @param {THREE.Vector2[][]} result - Resulting triangles, with the winding of the given triangle
+ */
+export const splitTriangleAtPoints = (triangle, points, result) => {
+  const epsilon = 1e-7;
+  for (let k = 0; k < 3; k += 1) {
+    const a = triangle[k];
+    const b = triangle[(k + 1) % 3];
+    const c = triangle[(k + 2) % 3];
+    const edge = b.clone().sub(a);
+    const length = edge.length();
+    const split = points.find((point) => {
+      const offset = point.clone().sub(a);
+      const t = offset.dot(edge) / (length * length);
+      return t * length > epsilon && (1 - t) * length > epsilon && Math.abs(edge.cross(offset)) / length < epsilon;
+    });
+    if (split) {
+      splitTriangleAtPoints([a, split, c], points, result);
+      splitTriangleAtPoints([split, b, c], points, result);
+      return;
+    }
+  }
+  result.push(triangle);
+};
+
+/**
+ * Appends the triangles of a planar, convex polygon to positions.
+ * The polygon may contain collinear points, so anything but a quad is fanned around its centroid.
+ * The winding is corrected so the face normal points towards the given direction.
+ */
+const pushConvexPolygon = (positions, ring, normal) => {
+  // Newell's method for the polygon normal
+  let nx = 0;
+  let ny = 0;
+  let nz = 0;
+  for (let k = 0; k < ring.length; k += 1) {
+    const a = ring[k];
+    const b = ring[(k + 1) % ring.length];
+    nx += (a[1] - b[1]) * (a[2] + b[2]);
+    ny += (a[2] - b[2]) * (a[0] + b[0]);
+    nz += (a[0] - b[0]) * (a[1] + b[1]);
+  }
+  const points = (nx * normal[0] + ny * normal[1] + nz * normal[2]) < 0 ? ring.slice().reverse() : ring;
+
+  if (points.length === 3) {
+    positions.push(...points[0], ...points[1], ...points[2]);
+    return;
+  }
+  if (points.length === 4) {
+    positions.push(...points[0], ...points[1], ...points[2]);
+    positions.push(...points[0], ...points[2], ...points[3]);
+    return;
+  }
+
+  const center = [0, 0, 0];
+  points.forEach((p) => {
+    center[0] += p[0] / points.length;
+    center[1] += p[1] / points.length;
+    center[2] += p[2] / points.length;
+  });
+  for (let k = 0; k < points.length; k += 1) {
+    positions.push(...center, ...points[k], ...points[(k + 1) % points.length]);
+  }
+};
+
+/**
+ * Clips a polygon to one side of an axis aligned line, see Sutherland-Hodgman
+ * @param {THREE.Vector2[]} polygon points of the polygon
+ * @param {string} axis 'x' for a line of constant x, 'y' for a line of constant y
+ * @param {number} value position of the line
+ * @param {number} side 1 keeps the part above the line, -1 the part below
+ * @return {THREE.Vector2[]} points of the clipped polygon, empty if nothing is left
+ */
+const clipPolygon = (polygon, axis, value, side) => {
+  const other = axis === 'x' ? 'y' : 'x';
+  const isKept = (point) => side * (point[axis] - value) >= 0;
+  const clipped = [];
+  polygon.forEach((point, index) => {
+    const next = polygon[(index + 1) % polygon.length];
+    if (isKept(point)) {
+      clipped.push(point.clone());
+    }
+    if (isKept(point) !== isKept(next)) {
+      const crossing = new THREE.Vector2();
+      crossing[axis] = value;
+      crossing[other] = point[other] + ((value - point[axis]) / (next[axis] - point[axis])) * (next[other] - point[other]);
+      clipped.push(crossing);
+    }
+  });
+  return clipped;
+};
+
+/**
+ * @param {THREE.Vector2} point point to test
+ * @param {THREE.Vector2[]} polygon points of the polygon
+ * @return {boolean} true if the point lies inside the polygon
+ */
+const isInsidePolygon = (point, polygon) => {
+  let isInside = false;
+  polygon.forEach((a, index) => {
+    const b = polygon[(index + 1) % polygon.length];
+    if ((a.y > point.y) !== (b.y > point.y) && point.x < a.x + ((point.y - a.y) / (b.y - a.y)) * (b.x - a.x)) {
+      isInside = !isInside;
+    }
+  });
+  return isInside;
+};
+
+/**
+ * Splits the area between a rectangle and a surrounding outline into pieces left, right, below and above the rectangle.
+ * The outline may touch or cut into the rectangle, e.g. for an inner area without margin around the code, then the
+ * frame is left out where the outline runs along or inside the rectangle.
+ * @param {THREE.Vector2[]} outline counter-clockwise outline
+ * @param {number[]} box [x0, x1, y0, y1] bounds of the rectangle
+ * @return {THREE.Vector2[][]} counter-clockwise pieces, slivers along the sides of the rectangle are dropped
+ */
+const getFramePieces = (outline, [x0, x1, y0, y1]) => {
+  const regions = [
+    [['x', x0, -1]],
+    [['x', x1, 1]],
+    [['x', x0, 1], ['x', x1, -1], ['y', y0, -1]],
+    [['x', x0, 1], ['x', x1, -1], ['y', y1, 1]],
+  ];
+  return regions.map((lines) => {
+    let piece = outline;
+    lines.forEach(([axis, value, side]) => {
+      piece = clipPolygon(piece, axis, value, side);
+    });
+    // points next to the rectangle are moved onto it, so slivers along its sides collapse
+    piece.forEach((point) => lines.forEach(([axis, value]) => {
+      if (Math.abs(point[axis] - value) < FRAME_EPSILON) {
+        point[axis] = value;
+      }
+    }));
+    return piece.filter((point, index) => point.distanceTo(piece[(index + 1) % piece.length]) > COORD_EPSILON);
+  }).filter((piece) => piece.length >= 3 && THREE.ShapeUtils.area(piece) > FRAME_EPSILON);
+};
+
+/**
+ * Adds grid lines, e.g. where a frame meets the border of the grid between two grid points
+ * @param {number[]} coords sorted grid line coordinates
+ * @param {number[]} values coordinates of the lines to add
+ * @return {Object} coords: all grid line coordinates, cells: index of the given cell every resulting cell lies in
+ */
+const addGridLines = (coords, values) => {
+  const added = values.filter((value) => value > coords[0] && value < coords[coords.length - 1]
+    && coords.every((c) => Math.abs(c - value) > COORD_EPSILON));
+  const all = [...new Set([...coords, ...added])].sort((a, b) => a - b)
+    .filter((c, index, sorted) => index === 0 || c - sorted[index - 1] > COORD_EPSILON);
+  const cells = [];
+  let cell = 0;
+  for (let c = 0; c < all.length - 1; c += 1) {
+    while (cell < coords.length - 2 && coords[cell + 1] <= (all[c] + all[c + 1]) / 2) {
+      cell += 1;
+    }
+    cells.push(cell);
+  }
+  return { coords: all, cells };
+};
+
+/**
+ * Builds a single watertight geometry for a heightfield defined on a rectilinear grid.
+ * Cell (i, j) spans xs[i]..xs[i + 1] and ys[j]..ys[j + 1] and is extruded from baseZ to its height.
+ * Cells of equal height are merged into rectangles and neighbouring cells share their side walls,
+ * so there are no internal or coincident faces. All faces are split at the corners of neighbouring
+ * faces, so the mesh has no T-junctions either. Cells touching only at a corner are joined by a thin pillar,
+ * so every edge belongs to exactly two faces.
+ * An optional frame fills the area between the grid and a surrounding outline, which is
+ * used for inverted codes where the whole inner area is raised except for the dark modules.
+ * The outline may touch the grid, e.g. without margin around the code. The frame is left out where the outline
+ * runs along the border of the grid, and cells outside of the outline are kept.
+ * @param {number[]} gridXs grid line coordinates along x
+ * @param {number[]} gridYs grid line coordinates along y
+ * @param {Function} getCellHeight (i, j) => top z of the cell, or null if the cell is empty
+ * @param {number} baseZ z coordinate of the bottom face
+ * @param {Object} [frame] { outline: THREE.Vector2[] around the grid, height: top z of the frame }
+ * @return {THREE.BufferGeometry} non-indexed geometry
+ */
+export const getHeightfieldGeometry = (gridXs, gridYs, getCellHeight, baseZ, frame = null) => {
+  const box = [gridXs[0], gridXs[gridXs.length - 1], gridYs[0], gridYs[gridYs.length - 1]];
+  let pieces = [];
+  if (frame) {
+    // drop repeated points, the outline of a shape usually ends with its start point
+    const outline = frame.outline.filter((p, index, all) => !p.equals(all[(index + 1) % all.length]));
+    if (THREE.ShapeUtils.isClockWise(outline)) {
+      outline.reverse();
+    }
+    pieces = getFramePieces(outline, box);
+  }
+  const isOnBorder = (value, axis) => Math.abs(value - box[axis]) < COORD_EPSILON || Math.abs(value - box[axis + 1]) < COORD_EPSILON;
+  const corners = pieces.flat();
+
+  // the frame meets the grid at grid points, so the grid gets extra lines where the outline crosses its border
+  const frameX = addGridLines(gridXs, corners.filter((point) => isOnBorder(point.y, 2)).map((point) => point.x));
+  const frameY = addGridLines(gridYs, corners.filter((point) => isOnBorder(point.x, 0)).map((point) => point.y));
+  corners.forEach((point) => {
+    point.x = frameX.coords.find((x) => Math.abs(x - point.x) < COORD_EPSILON) ?? point.x;
+    point.y = frameY.coords.find((y) => Math.abs(y - point.y) < COORD_EPSILON) ?? point.y;
+  });
+  const getFrameGridHeight = (i, j) => getCellHeight(frameX.cells[i], frameY.cells[j]);
+
+  const isFrameAt = (point) => pieces.some((piece) => isInsidePolygon(point, piece));
+  const isGridAt = (point) => point.x > box[0] && point.x < box[1] && point.y > box[2] && point.y < box[3];
+
+  // nearly equal heights, e.g. of city mode, take the first one of them as level
+  const levels = new Map();
+  const snappedHeights = new Map();
+  const snapHeight = (height) => {
+    if (!snappedHeights.has(height)) {
+      const key = Math.round(height / LEVEL_EPSILON);
+      const level = [key, key - 1, key + 1].map((k) => levels.get(k))
+        .find((value) => value !== undefined && Math.abs(value - height) < LEVEL_EPSILON);
+      if (level === undefined) {
+        levels.set(key, height);
+      }
+      snappedHeights.set(height, level ?? height);
+    }
+    return snappedHeights.get(height);
+  };
+  snapHeight(baseZ);
+  if (frame) {
+    snapHeight(frame.height);
+  }
+
+  const getHeightAt = (xs, ys, getHeight) => {
+    const sizeI = xs.length - 1;
+    const sizeJ = ys.length - 1;
+    const heights = new Float64Array(sizeI * sizeJ).fill(baseZ);
+    for (let i = 0; i < sizeI; i += 1) {
+      for (let j = 0; j < sizeJ; j += 1) {
+        const height = getHeight(i, j);
+        if (height !== null && height > baseZ) {
+          heights[i * sizeJ + j] = snapHeight(height);
+        }
+      }
+    }
+    // cells around the grid are sampled just outside of its border, they have the height of the frame where it is
+    const outsideHeights = new Map();
+    return (i, j) => {
+      if (i >= 0 && j >= 0 && i < sizeI && j < sizeJ) {
+        return heights[i * sizeJ + j];
+      }
+      const key = `${i},${j}`;
+      if (!outsideHeights.has(key)) {
+        const x = i < 0 ? box[0] - FRAME_SAMPLE : (i >= sizeI ? box[1] + FRAME_SAMPLE : (xs[i] + xs[i + 1]) / 2);
+        const y = j < 0 ? box[2] - FRAME_SAMPLE : (j >= sizeJ ? box[3] + FRAME_SAMPLE : (ys[j] + ys[j + 1]) / 2);
+        outsideHeights.set(key, isFrameAt(new THREE.Vector2(x, y)) ? frame.height : baseZ);
+      }
+      return outsideHeights.get(key);
+    };
+  };
+
+  // cells touching only at a corner, like diagonal neighbours of a checkerboard, would share the vertical edge there
+  // between four faces, so one of the lower cells gets a thin pillar in its corner, up to the lower one of the higher cells
+  const frameHeightAt = getHeightAt(frameX.coords, frameY.coords, getFrameGridHeight);
+  const pillars = [];
+  for (let i = 0; i < frameX.coords.length; i += 1) {
+    for (let j = 0; j < frameY.coords.length; j += 1) {
+      const a = frameHeightAt(i - 1, j - 1);
+      const b = frameHeightAt(i, j - 1);
+      const c = frameHeightAt(i - 1, j);
+      const d = frameHeightAt(i, j);
+      let lowerCells = [];
+      if (Math.min(a, d) > Math.max(b, c)) {
+        lowerCells = [[i, j - 1, Math.min(a, d)], [i - 1, j, Math.min(a, d)]];
+      } else if (Math.min(b, c) > Math.max(a, d)) {
+        lowerCells = [[i, j, Math.min(b, c)], [i - 1, j - 1, Math.min(b, c)]];
+      }
+      // cells outside of the grid can not hold a pillar
+      const cell = lowerCells.find(([k, l]) => k >= 0 && l >= 0 && k < frameX.coords.length - 1 && l < frameY.coords.length - 1);
+      if (cell) {
+        pillars.push({
+          x: frameX.coords[i], y: frameY.coords[j], dx: cell[0] < i ? -1 : 1, dy: cell[1] < j ? -1 : 1, height: cell[2],
+        });
+      }
+    }
+  }
+  const cellsX = addGridLines(frameX.coords, pillars.map((pillar) => pillar.x + pillar.dx * PILLAR_WIDTH));
+  const cellsY = addGridLines(frameY.coords, pillars.map((pillar) => pillar.y + pillar.dy * PILLAR_WIDTH));
+  const xs = cellsX.coords;
+  const ys = cellsY.coords;
+  const pillarHeights = new Map();
+  pillars.forEach((pillar) => {
+    const i = xs.findIndex((x) => Math.abs(x - pillar.x) < COORD_EPSILON);
+    const j = ys.findIndex((y) => Math.abs(y - pillar.y) < COORD_EPSILON);
+    pillarHeights.set(`${pillar.dx < 0 ? i - 1 : i},${pillar.dy < 0 ? j - 1 : j}`, pillar.height);
+  });
+  const getHeight = (i, j) => pillarHeights.get(`${i},${j}`) ?? getFrameGridHeight(cellsX.cells[i], cellsY.cells[j]);
+  const heightAt = getHeightAt(xs, ys, getHeight);
+  const sizeI = xs.length - 1;
+  const sizeJ = ys.length - 1;
+
+  // pillars are kept as rectangles of their own, so they do not cut thin strips off their neighbours
+  const isPillar = (i, j) => pillarHeights.has(`${i},${j}`);
+  const topRects = getGreedyRectangles(sizeI, sizeJ, (i, j) => (heightAt(i, j) > baseZ ? `${heightAt(i, j)},${isPillar(i, j)}` : null));
+  const bottomRects = getGreedyRectangles(sizeI, sizeJ, (i, j) => (heightAt(i, j) > baseZ ? isPillar(i, j) : null));
+
+  // every face has to contain all rectangle corners lying on its outline
+  const splitPoints = new Uint8Array((sizeI + 1) * (sizeJ + 1));
+  const isSplit = (i, j) => splitPoints[i * (sizeJ + 1) + j] === 1;
+  [...topRects, ...bottomRects].forEach((rect) => {
+    splitPoints[rect.i0 * (sizeJ + 1) + rect.j0] = 1;
+    splitPoints[rect.i0 * (sizeJ + 1) + rect.j1] = 1;
+    splitPoints[rect.i1 * (sizeJ + 1) + rect.j0] = 1;
+    splitPoints[rect.i1 * (sizeJ + 1) + rect.j1] = 1;
+  });
+
+  // the inner edge of the frame runs through every grid point on the border of the grid
+  const gridOutline = [];
+  if (pieces.length > 0) {
+    for (let i = 0; i < sizeI; i += 1) gridOutline.push([i, 0]);
+    for (let j = 0; j < sizeJ; j += 1) gridOutline.push([sizeI, j]);
+    for (let i = sizeI; i > 0; i -= 1) gridOutline.push([i, sizeJ]);
+    for (let j = sizeJ; j > 0; j -= 1) gridOutline.push([0, j]);
+    gridOutline.forEach(([i, j]) => {
+      splitPoints[i * (sizeJ + 1) + j] = 1;
+    });
+  }
+
+  const positions = [];
+
+  const getRectOutline = (rect) => {
+    const outline = [];
+    for (let i = rect.i0; i < rect.i1; i += 1) {
+      if (i === rect.i0 || isSplit(i, rect.j0)) outline.push([i, rect.j0]);
+    }
+    for (let j = rect.j0; j < rect.j1; j += 1) {
+      if (j === rect.j0 || isSplit(rect.i1, j)) outline.push([rect.i1, j]);
+    }
+    for (let i = rect.i1; i > rect.i0; i -= 1) {
+      if (i === rect.i1 || isSplit(i, rect.j1)) outline.push([i, rect.j1]);
+    }
+    for (let j = rect.j1; j > rect.j0; j -= 1) {
+      if (j === rect.j1 || isSplit(rect.i0, j)) outline.push([rect.i0, j]);
+    }
+    return outline;
+  };
+
+  topRects.forEach((rect) => {
+    const ring = getRectOutline(rect).map(([i, j]) => [xs[i], ys[j], heightAt(rect.i0, rect.j0)]);
+    pushConvexPolygon(positions, ring, [0, 0, 1]);
+  });
+  bottomRects.forEach((rect) => {
+    const ring = getRectOutline(rect).map(([i, j]) => [xs[i], ys[j], baseZ]);
+    pushConvexPolygon(positions, ring, [0, 0, -1]);
+  });
+
+  // heights of the four cells around a grid point, walls need a vertex at each of them
+  const getLevels = (i, j, low, high) => [heightAt(i - 1, j - 1), heightAt(i - 1, j), heightAt(i, j - 1), heightAt(i, j)]
+    .filter((z, index, all) => z > low && z < high && all.indexOf(z) === index)
+    .sort((a, b) => a - b);
+
+  const pushWall = (start, end, low, high, normal) => {
+    const ring = [
+      [xs[start[0]], ys[start[1]], low],
+      [xs[end[0]], ys[end[1]], low],
+    ];
+    getLevels(end[0], end[1], low, high).forEach((z) => ring.push([xs[end[0]], ys[end[1]], z]));
+    ring.push([xs[end[0]], ys[end[1]], high]);
+    ring.push([xs[start[0]], ys[start[1]], high]);
+    getLevels(start[0], start[1], low, high).reverse().forEach((z) => ring.push([xs[start[0]], ys[start[1]], z]));
+    pushConvexPolygon(positions, ring, normal);
+  };
+
+  // walls on grid lines of constant i, between cells (i - 1, j) and (i, j)
+  for (let i = 0; i <= sizeI; i += 1) {
+    let j = 0;
+    while (j < sizeJ) {
+      const a = heightAt(i - 1, j);
+      const b = heightAt(i, j);
+      if (a === b) {
+        j += 1;
+      } else {
+        let end = j + 1;
+        while (end < sizeJ && !isSplit(i, end) && heightAt(i - 1, end) === a && heightAt(i, end) === b) {
+          end += 1;
+        }
+        pushWall([i, j], [i, end], Math.min(a, b), Math.max(a, b), [a < b ? -1 : 1, 0, 0]);
+        j = end;
+      }
+    }
+  }
+
+  // walls on grid lines of constant j, between cells (i, j - 1) and (i, j)
+  for (let j = 0; j <= sizeJ; j += 1) {
+    let i = 0;
+    while (i < sizeI) {
+      const a = heightAt(i, j - 1);
+      const b = heightAt(i, j);
+      if (a === b) {
+        i += 1;
+      } else {
+        let end = i + 1;
+        while (end < sizeI && !isSplit(end, j) && heightAt(end, j - 1) === a && heightAt(end, j) === b) {
+          end += 1;
+        }
+        pushWall([i, j], [end, j], Math.min(a, b), Math.max(a, b), [0, a < b ? -1 : 1, 0]);
+        i = end;
+      }
+    }
+  }
+
+  if (pieces.length > 0) {
+    const vertices = [...corners, ...gridOutline.map(([i, j]) => new THREE.Vector2(xs[i], ys[j]))];
+    const triangles = [];
+    pieces.forEach((piece) => {
+      THREE.ShapeUtils.triangulateShape(piece, []).forEach((triangle) => {
+        splitTriangleAtPoints(triangle.map((index) => piece[index]), vertices, triangles);
+      });
+    });
+    triangles.forEach(([a, b, c]) => {
+      pushConvexPolygon(positions, [[a.x, a.y, frame.height], [b.x, b.y, frame.height], [c.x, c.y, frame.height]], [0, 0, 1]);
+      pushConvexPolygon(positions, [[a.x, a.y, baseZ], [b.x, b.y, baseZ], [c.x, c.y, baseZ]], [0, 0, -1]);
+    });
+
+    // walls along the outline, where the frame does not continue in another piece or in the grid
+    pieces.forEach((piece) => piece.forEach((a, index) => {
+      const b = piece[(index + 1) % piece.length];
+      const normal = [b.y - a.y, a.x - b.x, 0];
+      const length = a.distanceTo(b);
+      const beside = new THREE.Vector2(
+        (a.x + b.x) / 2 + (normal[0] / length) * FRAME_SAMPLE,
+        (a.y + b.y) / 2 + (normal[1] / length) * FRAME_SAMPLE,
+      );
+      if (!isGridAt(beside) && !isFrameAt(beside)) {
+        pushConvexPolygon(positions, [[a.x, a.y, baseZ], [b.x, b.y, baseZ], [b.x, b.y, frame.height], [a.x, a.y, frame.height]], normal);
+      }
+    }));
+  }
+
+  // planar uvs, so the geometry can be merged with the extruded and primitive geometries
+  const uvs = [];
+  for (let k = 0; k < positions.length; k += 3) {
+    uvs.push(positions[k], positions[k + 1]);
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+  geometry.computeVertexNormals();
+  return geometry;
+};
@@ -0,0 +1,81 @@
+import { describe, expect, it } from 'vitest';
+import * as THREE from 'three';
+import { getHeightfieldGeometry } from './gridGeometry';
+import { checkGeometry } from './meshCheck';
+import { createQRCode } from './qrEncoder';
+
+/**
+ * Counts the faces at every edge of a non-indexed geometry, vertices are matched by their position
+ * @param {THREE.BufferGeometry} geometry - Geometry to check
+ * @return {Object} - { open, nonManifold } number of edges with one face and with more than two faces
+ */
+const countEdgeFaces = (geometry) => {
+  const positions = geometry.getAttribute('position');
+  const getKey = (index) => `${positions.getX(index)},${positions.getY(index)},${positions.getZ(index)}`;
+  const faces = new Map();
+  for (let t = 0; t < positions.count; t += 3) {
+    for (let k = 0; k < 3; k += 1) {
+      const a = getKey(t + k);
+      const b = getKey(t + ((k + 1) % 3));
+      const edge = a < b ? `${a}|${b}` : `${b}|${a}`;
+      faces.set(edge, (faces.get(edge) || 0) + 1);
+    }
+  }
+  const counts = [...faces.values()];
+  return {
+    open: counts.filter((count) => count === 1).length,
+    nonManifold: counts.filter((count) => count > 2).length,
+  };
+};
+
+/**
+ * @param {number} version - QR code version
+ * @return {Object} - { size, isDark } with isDark(i, j) telling if the module is dark
+ */
+const getQRCode = (version) => {
+  const qrcode = createQRCode('https://example.com/qrcode2stl', 'M', { version, versionMode: 'fixed' });
+  return { size: qrcode.size, isDark: (i, j) => !!qrcode.modules[i * qrcode.size + j] };
+};
+
+describe('getHeightfieldGeometry', () => {
+  it.each([3, 40])('builds a manifold solid for the modules of a version %i QR code', (version) => {
+    const { size, isDark } = getQRCode(version);
+    const coords = Array.from({ length: size + 1 }, (v, i) => i);
+    const geometry = getHeightfieldGeometry(coords, coords, (i, j) => (isDark(i, j) ? 1 : null), 0);
+
+    expect(countEdgeFaces(geometry)).toEqual({ open: 0, nonManifold: 0 });
+  });
+
+  it('builds a manifold solid for modules of different heights', () => {
+    const { size, isDark } = getQRCode(10);
+    const coords = Array.from({ length: size + 1 }, (v, i) => i);
+    const geometry = getHeightfieldGeometry(coords, coords, (i, j) => (isDark(i, j) ? 1 + ((i * 7 + j * 3) % 5) : null), 0);
+
+    expect(countEdgeFaces(geometry)).toEqual({ open: 0, nonManifold: 0 });
+  });
+
+  it('merges nearly equal heights, so no walls collapse when the vertices are welded', () => {
+    const { size, isDark } = getQRCode(10);
+    const coords = Array.from({ length: size + 1 }, (v, i) => i);
+    const geometry = getHeightfieldGeometry(coords, coords, (i, j) => (isDark(i, j) ? 1 + ((i * 7 + j * 3) % 5) * 1e-5 : null), 0);
+    const result = checkGeometry(geometry);
+
+    expect(result.nonManifoldEdges).toBe(0);
+    expect(result.degenerateTriangles).toBe(0);
+  });
+
+  it.each([0, 2])('builds a manifold solid for an inverted QR code with a margin of %i', (margin) => {
+    const { size, isDark } = getQRCode(3);
+    const coords = Array.from({ length: size + 1 }, (v, i) => i - size / 2);
+    const half = size / 2 + margin;
+    const outline = [
+      new THREE.Vector2(-half, -half),
+      new THREE.Vector2(half, -half),
+      new THREE.Vector2(half, half),
+      new THREE.Vector2(-half, half),
+    ];
+    const geometry = getHeightfieldGeometry(coords, coords, (i, j) => (isDark(i, j) ? null : 1), 0, { outline, height: 1 });
+
+    expect(countEdgeFaces(geometry)).toEqual({ open: 0, nonManifold: 0 });
+  });
+});
@@ -0,0 +1,754 @@
+import * as THREE from 'three';
+
+// vertices closer than this are welded into one (in mm)
+const WELD_TOLERANCE = 1e-4;
+// triangles with a smaller area count as degenerate (in mm²)
+const MIN_TRIANGLE_AREA = 1e-10;
+// sample points are moved this far into their shell, shells that overlap less are not reported (in mm)
+const OVERLAP_DEPTH = 1e-3;
+// triangles are split at the vertices of their neighbours at most this often
+const MAX_SPLIT_PASSES = 4;
+
+// counted issues in the order they are listed in the report
+export const MESH_ISSUES = ['openEdges', 'nonManifoldEdges', 'flippedEdges', 'degenerateTriangles', 'overlappingFaces', 'overlappingShells'];
+
+/**
+ * Welds the vertices of a geometry that lie within the tolerance of each other
+ * @param {THREE.BufferGeometry} geometry - Indexed or non-indexed geometry
+ * @return {Object} - { vertices, triangles } with the coordinates of the welded vertices
+ * and three vertex indices per triangle
+ */
+const weldGeometry = (geometry) => {
+  const source = geometry.index !== null ? geometry.toNonIndexed() : geometry;
+  const position = source.getAttribute('position');
+  const count = position ? position.count - (position.count % 3) : 0;
+  // with cells twice the tolerance, close vertices lie in the same cell or the neighbour on the nearer side
+  const cellSize = 2 * WELD_TOLERANCE;
+  // vertices are hashed by their cell, vertices of different cells sharing a hash are told apart by their distance
+  const hashCell = (x, y, z) => (Math.imul(x, 73856093) ^ Math.imul(y, 19349663) ^ Math.imul(z, 83492791));
+  const cells = new Map();
+  const vertices = [];
+  const triangles = new Array(count);
+  for (let i = 0; i < count; i += 1) {
+    const x = position.getX(i);
+    const y = position.getY(i);
+    const z = position.getZ(i);
+    const cx = Math.floor(x / cellSize);
+    const cy = Math.floor(y / cellSize);
+    const cz = Math.floor(z / cellSize);
+    const sx = x / cellSize - cx < 0.5 ? -1 : 1;
+    const sy = y / cellSize - cy < 0.5 ? -1 : 1;
+    const sz = z / cellSize - cz < 0.5 ? -1 : 1;
+    let id;
+    for (let n = 0; n < 8 && id === undefined; n += 1) {
+      const bucket = cells.get(hashCell(cx + (n & 1) * sx, cy + ((n >> 1) & 1) * sy, cz + ((n >> 2) & 1) * sz));
+      if (bucket) {
+        id = bucket.find((other) => Math.hypot(vertices[other * 3] - x, vertices[other * 3 + 1] - y, vertices[other * 3 + 2] - z) <= WELD_TOLERANCE);
+      }
+    }
+    if (id === undefined) {
+      id = vertices.length / 3;
+      vertices.push(x, y, z);
+      const hash = hashCell(cx, cy, cz);
+      if (!cells.has(hash)) {
+        cells.set(hash, []);
+      }
+      cells.get(hash).push(id);
+    }
+    triangles[i] = id;
+  }
+  return { vertices, triangles };
+};
+
+/**
+ * @param {number[]} vertices - Vertex coordinates
+ * @param {number} id - Index of the vertex
+ * @return {THREE.Vector3} - The vertex
+ */
+const getVertex = (vertices, id) => new THREE.Vector3(vertices[id * 3], vertices[id * 3 + 1], vertices[id * 3 + 2]);
+
+/**
+ * Collects the triangles using each edge
+ * @param {number[]} triangles - Three vertex indices per triangle
+ * @param {number} vertexCount - Number of vertices
+ * @return {Map} - Key of the undirected edge => indices of the triangles using the edge
+ */
+const getEdges = (triangles, vertexCount) => {
+  const edges = new Map();
+  for (let t = 0; t < triangles.length / 3; t += 1) {
+    for (let k = 0; k < 3; k += 1) {
+      const a = triangles[t * 3 + k];
+      const b = triangles[t * 3 + ((k + 1) % 3)];
+      if (a !== b) {
+        const key = Math.min(a, b) * vertexCount + Math.max(a, b);
+        const list = edges.get(key);
+        if (list) {
+          list.push(t);
+        } else {
+          edges.set(key, [t]);
+        }
+      }
+    }
+  }
+  return edges;
+};
+
+/**
+ * @param {number[]} triangles - Three vertex indices per triangle
+ * @param {number} t - Index of the triangle
+ * @param {number} a - First vertex of the edge
+ * @param {number} b - Second vertex of the edge
+ * @return {boolean} - True if the triangle runs along the edge from a to b
+ */
+const usesEdgeForward = (triangles, t, a, b) => [0, 1, 2]
+  .some((k) => triangles[t * 3 + k] === a && triangles[t * 3 + ((k + 1) % 3)] === b);
+
+/**
+ * @param {number[]} vertices - Vertex coordinates
+ * @param {number[]} triangles - Three vertex indices per triangle
+ * @param {number} t - Index of the triangle
+ * @return {THREE.Vector3} - Normal of the triangle scaled to twice its area
+ */
+const getAreaNormal = (vertices, triangles, t) => {
+  const a = getVertex(vertices, triangles[t * 3]);
+  const b = getVertex(vertices, triangles[t * 3 + 1]);
+  const c = getVertex(vertices, triangles[t * 3 + 2]);
+  return b.sub(a).cross(c.sub(a));
+};
+
+/**
+ * @param {number[]} triangles - Three vertex indices per triangle
+ * @param {number} t - Index of the triangle
+ * @return {string} - Key shared by all triangles with the same vertices, regardless of their order
+ */
+const getFaceKey = (triangles, t) => triangles.slice(t * 3, t * 3 + 3).sort((a, b) => a - b).join(',');
+
+/**
+ * @param {number[]} triangles - Three vertex indices per triangle
+ * @param {number} t - Index of the triangle
+ * @return {boolean} - True if the vertices of the triangle are in ascending order after rotating it
+ */
+const hasEvenOrder = (triangles, t) => {
+  const [a, b, c] = triangles.slice(t * 3, t * 3 + 3);
+  return (a < b && b < c) || (b < c && c < a) || (c < a && a < b);
+};
+
+/**
+ * Pairs the triangles around a non-manifold edge that bound the same solid. The triangles are sorted
+ * by their angle around the edge, every triangle is paired with the next one on the side of its solid.
+ * @param {number[]} vertices - Vertex coordinates
+ * @param {number[]} triangles - Three vertex indices per triangle
+ * @param {number[]} list - Indices of the triangles using the edge
+ * @param {number} a - First vertex of the edge
+ * @param {number} b - Second vertex of the edge
+ * @return {number[][]} - Pairs of triangle indices
+ */
+const pairAroundEdge = (vertices, triangles, list, a, b) => {
+  const start = getVertex(vertices, a);
+  const axis = getVertex(vertices, b).sub(start).normalize();
+  const u = new THREE.Vector3(1, 0, 0).cross(axis);
+  if (u.lengthSq() < 0.01) {
+    u.set(0, 1, 0).cross(axis);
+  }
+  u.normalize();
+  const v = axis.clone().cross(u);
+  const faces = list.map((t) => {
+    const c = [0, 1, 2].map((k) => triangles[t * 3 + k]).find((id) => id !== a && id !== b);
+    const offset = getVertex(vertices, c).sub(start);
+    const angle = Math.atan2(offset.dot(v), offset.dot(u));
+    // the solid lies behind the triangle, on the side its normal points away from
+    const opensTowardsLargerAngles = getAreaNormal(vertices, triangles, t).dot(axis.clone().cross(offset)) < 0;
+    return { t, angle, opensTowardsLargerAngles };
+  // touching solids have triangles in the same plane, the one closing a solid comes before the one opening the next
+  }).sort((p, q) => (Math.abs(p.angle - q.angle) > 1e-4 ? p.angle - q.angle : p.opensTowardsLargerAngles - q.opensTowardsLargerAngles));
+  return faces
+    .map((face, i) => [face, faces[(i + 1) % faces.length]])
+    .filter(([face, next]) => face.opensTowardsLargerAngles && !next.opensTowardsLargerAngles)
+    .map(([face, next]) => [face.t, next.t]);
+};
+
+/**
+ * Splits the triangles into shells of triangles that are connected across their edges. At non-manifold
+ * edges only the triangles bounding the same solid are connected, so solids that only touch or cut
+ * through each other end up in different shells.
+ * @param {number[]} vertices - Vertex coordinates
+ * @param {number[]} triangles - Three vertex indices per triangle
+ * @param {Map} edges - See getEdges()
+ * @return {number[][]} - Indices of the triangles of every shell
+ */
+const getShells = (vertices, triangles, edges) => {
+  const vertexCount = vertices.length / 3;
+  const parents = Array.from({ length: triangles.length / 3 }, (v, i) => i);
+  const find = (i) => {
+    let root = i;
+    while (parents[root] !== root) {
+      root = parents[root];
+    }
+    let node = i;
+    while (parents[node] !== root) {
+      [parents[node], node] = [root, parents[node]];
+    }
+    return root;
+  };
+  edges.forEach((list, key) => {
+    if (list.length === 2) {
+      parents[find(list[1])] = find(list[0]);
+    } else if (list.length > 2) {
+      pairAroundEdge(vertices, triangles, list, Math.floor(key / vertexCount), key % vertexCount).forEach(([p, q]) => {
+        parents[find(q)] = find(p);
+      });
+    }
+  });
+  const shells = new Map();
+  parents.forEach((parent, t) => {
+    const root = find(t);
+    if (!shells.has(root)) {
+      shells.set(root, []);
+    }
+    shells.get(root).push(t);
+  });
+  return [...shells.values()];
+};
+
+/**
+ * @param {number[]} triangles - Three vertex indices per triangle
+ * @param {number[]} shell - Indices of the triangles of the shell
+ * @param {number} vertexCount - Number of vertices
+ * @return {boolean} - True if every edge of the shell is shared by two of its triangles
+ */
+const isClosedShell = (triangles, shell, vertexCount) => {
+  const edges = getEdges(shell.flatMap((t) => triangles.slice(t * 3, t * 3 + 3)), vertexCount);
+  return [...edges.values()].every((list) => list.length === 2);
+};
+
+/**
+ * Builds a grid over the top view of a shell, so vertical rays only test the triangles above and below them
+ * @param {number[]} vertices - Vertex coordinates
+ * @param {number[]} triangles - Three vertex indices per triangle
+ * @param {number[]} shell - Indices of the triangles of the shell
+ * @param {THREE.Box3} box - Bounding box of the shell
+ * @return {Function} - (point) => true if the point lies inside the shell
+ */
+const getInsideTest = (vertices, triangles, shell, box) => {
+  const size = Math.max(1, Math.min(128, Math.ceil(Math.sqrt(shell.length))));
+  const cellX = Math.max((box.max.x - box.min.x) / size, WELD_TOLERANCE);
+  const cellY = Math.max((box.max.y - box.min.y) / size, WELD_TOLERANCE);
+  const toCell = (value, min, cell) => Math.min(size - 1, Math.max(0, Math.floor((value - min) / cell)));
+  const cells = Array.from({ length: size * size }, () => []);
+  shell.forEach((t) => {
+    const xs = [0, 1, 2].map((k) => vertices[triangles[t * 3 + k] * 3]);
+    const ys = [0, 1, 2].map((k) => vertices[triangles[t * 3 + k] * 3 + 1]);
+    const i0 = toCell(Math.min(...xs), box.min.x, cellX);
+    const i1 = toCell(Math.max(...xs), box.min.x, cellX);
+    const j0 = toCell(Math.min(...ys), box.min.y, cellY);
+    const j1 = toCell(Math.max(...ys), box.min.y, cellY);
+    for (let i = i0; i <= i1; i += 1) {
+      for (let j = j0; j <= j1; j += 1) {
+        cells[i * size + j].push(t);
+      }
+    }
+  });
+
+  return (point) => {
+    let above = 0;
+    let below = 0;
+    cells[toCell(point.x, box.min.x, cellX) * size + toCell(point.y, box.min.y, cellY)].forEach((t) => {
+      const [ax, ay, az, bx, by, bz, cx, cy, cz] = [0, 1, 2]
+        .flatMap((k) => vertices.slice(triangles[t * 3 + k] * 3, triangles[t * 3 + k] * 3 + 3));
+      const area = (bx - ax) * (cy - ay) - (by - ay) * (cx - ax);
+      if (Math.abs(area) < MIN_TRIANGLE_AREA) {
+        return;
+      }
+      const u = ((bx - point.x) * (cy - point.y) - (by - point.y) * (cx - point.x)) / area;
+      const v = ((cx - point.x) * (ay - point.y) - (cy - point.y) * (ax - point.x)) / area;
+      const w = 1 - u - v;
+      if (u >= 0 && v >= 0 && w >= 0) {
+        if (u * az + v * bz + w * cz > point.z) {
+          above += 1;
+        } else {
+          below += 1;
+        }
+      }
+    });
+    // both rays have to agree, so points on the surface of the shell do not count as inside
+    return above % 2 === 1 && below % 2 === 1;
+  };
+};
+
+/**
+ * Counts the shells that reach into another closed shell of the same mesh. Points just inside the triangles
+ * of a shell are tested against the other shells, so shells that only touch are not counted.
+ * Cavities lie inside of their solid on purpose and are skipped.
+ * @param {number[]} vertices - Vertex coordinates
+ * @param {number[]} triangles - Three vertex indices per triangle
+ * @param {Map} edges - See getEdges()
+ * @return {number} - Number of overlapping shells
+ */
+const countOverlappingShells = (vertices, triangles, edges) => {
+  const vertexCount = vertices.length / 3;
+  const shells = getShells(vertices, triangles, edges).map((list) => {
+    const box = new THREE.Box3();
+    let volume = 0;
+    list.forEach((t) => {
+      const a = getVertex(vertices, triangles[t * 3]);
+      const b = getVertex(vertices, triangles[t * 3 + 1]);
+      const c = getVertex(vertices, triangles[t * 3 + 2]);
+      box.expandByPoint(a).expandByPoint(b).expandByPoint(c);
+      volume += a.dot(b.clone().cross(c)) / 6;
+    });
+    return {
+      triangles: list, box, volume, isClosed: isClosedShell(triangles, list, vertexCount), isInside: null,
+    };
+  // shells with a negative volume are the walls of cavities, e.g. of a hidden NFC indentation
+  }).filter((shell) => shell.volume > 0);
+
+  // samples are hashed into cells, so only the samples within the bounding box of another shell are tested
+  const modelBox = new THREE.Box3();
+  shells.forEach((shell) => modelBox.union(shell.box));
+  const cellSize = Math.max(modelBox.getSize(new THREE.Vector3()).length() / 64, WELD_TOLERANCE);
+  const toCell = (value) => Math.floor(value / cellSize);
+
+  // the center and points close to the corners of every triangle, moved just inside the shell
+  const getSamples = (shell) => {
+    if (!shell.samples) {
+      shell.samples = new Map();
+      shell.triangles.forEach((t) => {
+        const normal = getAreaNormal(vertices, triangles, t);
+        if (normal.length() < MIN_TRIANGLE_AREA) {
+          return;
+        }
+        const offset = normal.normalize().multiplyScalar(-OVERLAP_DEPTH);
+        const corners = [0, 1, 2].map((k) => getVertex(vertices, triangles[t * 3 + k]));
+        [[1, 1, 1], [8, 1, 1], [1, 8, 1], [1, 1, 8]].forEach((weights) => {
+          const point = corners
+            .reduce((sum, corner, k) => sum.addScaledVector(corner, weights[k] / (weights[0] + weights[1] + weights[2])), new THREE.Vector3())
+            .add(offset);
+          const key = `${toCell(point.x)},${toCell(point.y)},${toCell(point.z)}`;
+          if (!shell.samples.has(key)) {
+            shell.samples.set(key, []);
+          }
+          shell.samples.get(key).push(point);
+        });
+      });
+    }
+    return shell.samples;
+  };
+
+  // calls the callback with the samples of a shell in the cells touching the box, until it returns true
+  const someSamplesIn = (shell, box, callback) => {
+    const samples = getSamples(shell);
+    const min = [box.min.x, box.min.y, box.min.z].map(toCell);
+    const max = [box.max.x, box.max.y, box.max.z].map(toCell);
+    const cellCount = (max[0] - min[0] + 1) * (max[1] - min[1] + 1) * (max[2] - min[2] + 1);
+    // small boxes look up their cells, large boxes go through the cells of the shell instead
+    if (cellCount < samples.size) {
+      for (let i = min[0]; i <= max[0]; i += 1) {
+        for (let j = min[1]; j <= max[1]; j += 1) {
+          for (let k = min[2]; k <= max[2]; k += 1) {
+            if ((samples.get(`${i},${j},${k}`) || []).some(callback)) {
+              return true;
+            }
+          }
+        }
+      }
+      return false;
+    }
+    return [...samples.entries()].some(([key, points]) => {
+      const cell = key.split(',').map(Number);
+      return cell.every((value, k) => value >= min[k] && value <= max[k]) && points.some(callback);
+    });
+  };
+
+  const isOverlapping = (shell, other) => {
+    if (!other.isClosed) {
+      return false;
+    }
+    const box = other.box.clone().expandByScalar(-OVERLAP_DEPTH);
+    if (!box.intersectsBox(shell.box)) {
+      return false;
+    }
+    if (!other.isInside) {
+      other.isInside = getInsideTest(vertices, triangles, other.triangles, other.box);
+    }
+    return someSamplesIn(shell, box, (point) => box.containsPoint(point) && other.isInside(point));
+  };
+
+  // sweep along x so only shells with overlapping bounding boxes are compared
+  const sorted = [...shells].sort((a, b) => a.box.min.x - b.box.min.x);
+  const overlapping = new Set();
+  sorted.forEach((shell, index) => {
+    for (let i = index + 1; i < sorted.length && sorted[i].box.min.x < shell.box.max.x; i += 1) {
+      const other = sorted[i];
+      // shells already counted are not compared again
+      if (!(overlapping.has(shell) && overlapping.has(other)) && (isOverlapping(shell, other) || isOverlapping(other, shell))) {
+        overlapping.add(shell);
+        overlapping.add(other);
+      }
+    }
+  });
+  return overlapping.size;
+};
+
+/**
+ * Counts the issues of a welded mesh that make slicers report it as not manifold
+ * @param {Object} mesh - { vertices, triangles }, see weldGeometry()
+ * @return {Object} - Number of triangles and the number of every issue in MESH_ISSUES
+ */
+const countIssues = ({ vertices, triangles }) => {
+  const edges = getEdges(triangles, vertices.length / 3);
+  const result = {
+    triangles: triangles.length / 3,
+    openEdges: 0,
+    nonManifoldEdges: 0,
+    flippedEdges: 0,
+    degenerateTriangles: 0,
+    overlappingFaces: 0,
+    overlappingShells: 0,
+  };
+  edges.forEach((list, key) => {
+    if (list.length === 1) {
+      result.openEdges += 1;
+    } else if (list.length > 2) {
+      result.nonManifoldEdges += 1;
+    } else {
+      const a = Math.floor(key / (vertices.length / 3));
+      const b = key % (vertices.length / 3);
+      // neighbouring triangles of a consistently wound surface use their common edge in opposite directions
+      if (usesEdgeForward(triangles, list[0], a, b) === usesEdgeForward(triangles, list[1], a, b)) {
+        result.flippedEdges += 1;
+      }
+    }
+  });
+
+  const faces = new Set();
+  for (let t = 0; t < triangles.length / 3; t += 1) {
+    if (getAreaNormal(vertices, triangles, t).length() / 2 < MIN_TRIANGLE_AREA) {
+      result.degenerateTriangles += 1;
+    } else {
+      const key = getFaceKey(triangles, t);
+      if (faces.has(key)) {
+        result.overlappingFaces += 1;
+      }
+      faces.add(key);
+    }
+  }
+
+  result.overlappingShells = countOverlappingShells(vertices, triangles, edges);
+  return result;
+};
+
+/**
+ * Checks a geometry for the issues that make slicers report a model as not manifold:
+ * open and non-manifold edges, flipped triangles, degenerate triangles, faces that lie on top of each other
+ * and shells that overlap each other.
+ * @param {THREE.BufferGeometry} geometry - Geometry to check
+ * @return {Object} - Number of triangles and the number of every issue in MESH_ISSUES
+ */
+export const checkGeometry = (geometry) => countIssues(weldGeometry(geometry));
+
+/**
+ * Removes collapsed triangles and faces that lie on top of each other. Two faces with opposite directions
+ * are the touching walls of two solids and both are removed, so the solids become one.
+ * @param {number[]} triangles - Three vertex indices per triangle
+ * @return {number[]} - The remaining triangles
+ */
+const removeCoincidentFaces = (triangles) => {
+  const faces = new Map();
+  for (let t = 0; t < triangles.length / 3; t += 1) {
+    const [a, b, c] = triangles.slice(t * 3, t * 3 + 3);
+    if (a !== b && b !== c && a !== c) {
+      const key = getFaceKey(triangles, t);
+      if (!faces.has(key)) {
+        faces.set(key, { even: [], odd: [] });
+      }
+      faces.get(key)[hasEvenOrder(triangles, t) ? 'even' : 'odd'].push(t);
+    }
+  }
+  const kept = [];
+  faces.forEach(({ even, odd }) => {
+    const pairs = Math.min(even.length, odd.length);
+    const remaining = even.length > pairs ? even : odd;
+    if (remaining.length > pairs) {
+      kept.push(remaining[0]);
+    }
+  });
+  return kept.sort((a, b) => a - b).flatMap((t) => triangles.slice(t * 3, t * 3 + 3));
+};
+
+/**
+ * Splits triangles at vertices that lie on their open edges, so the edges of neighbouring triangles
+ * that end in the middle of an edge (T-junctions, e.g. left by boolean operations) are connected again.
+ * @param {number[]} vertices - Vertex coordinates
+ * @param {number[]} triangles - Three vertex indices per triangle
+ * @return {number[]} - The split triangles
+ */
+const splitTJunctions = (vertices, triangles) => {
+  let result = triangles;
+  for (let pass = 0; pass < MAX_SPLIT_PASSES; pass += 1) {
+    const vertexCount = vertices.length / 3;
+    const openEdges = [];
+    getEdges(result, vertexCount).forEach((list, key) => {
+      if (list.length === 1) {
+        openEdges.push({ t: list[0], a: Math.floor(key / vertexCount), b: key % vertexCount });
+      }
+    });
+    if (openEdges.length === 0) {
+      return result;
+    }
+
+    // hash the vertices of the open edges, only they can lie on another open edge. Cells as large as
+    // the average open edge keep both the cells per edge and the vertices per cell few.
+    const totalLength = openEdges.reduce((sum, { a, b }) => sum + getVertex(vertices, a).distanceTo(getVertex(vertices, b)), 0);
+    const cellSize = Math.max(totalLength / openEdges.length, WELD_TOLERANCE);
+    const toCell = (value) => Math.floor(value / cellSize);
+    const cells = new Map();
+    new Set(openEdges.flatMap(({ a, b }) => [a, b])).forEach((id) => {
+      const key = [0, 1, 2].map((k) => toCell(vertices[id * 3 + k])).join(',');
+      if (!cells.has(key)) {
+        cells.set(key, []);
+      }
+      cells.get(key).push(id);
+    });
+
+    const splits = new Map();
+    openEdges.forEach(({ t, a, b }) => {
+      if (splits.has(t)) {
+        return;
+      }
+      const start = getVertex(vertices, a);
+      const direction = getVertex(vertices, b).sub(start);
+      const lengthSq = direction.lengthSq();
+      const min = [0, 1, 2].map((k) => toCell(Math.min(vertices[a * 3 + k], vertices[b * 3 + k]) - WELD_TOLERANCE));
+      const max = [0, 1, 2].map((k) => toCell(Math.max(vertices[a * 3 + k], vertices[b * 3 + k]) + WELD_TOLERANCE));
+      const points = [];
+      for (let i = min[0]; i <= max[0]; i += 1) {
+        for (let j = min[1]; j <= max[1]; j += 1) {
+          for (let k = min[2]; k <= max[2]; k += 1) {
+            (cells.get(`${i},${j},${k}`) || []).forEach((id) => {
+              const offset = getVertex(vertices, id).sub(start);
+              const along = offset.dot(direction) / lengthSq;
+              if (along > 0 && along < 1 && offset.addScaledVector(direction, -along).length() < WELD_TOLERANCE) {
+                points.push({ id, along });
+              }
+            });
+          }
+        }
+      }
+      if (points.length > 0) {
+        // keep the direction of the edge in the triangle
+        const forward = usesEdgeForward(result, t, a, b);
+        points.sort((p, q) => (forward ? p.along - q.along : q.along - p.along));
+        splits.set(t, {
+          start: forward ? a : b, end: forward ? b : a, points: points.map(({ id }) => id),
+        });
+      }
+    });
+    if (splits.size === 0) {
+      return result;
+    }
+
+    const next = [];
+    for (let t = 0; t < result.length / 3; t += 1) {
+      const split = splits.get(t);
+      if (split) {
+        // fan from the corner opposite of the split edge
+        const k = [0, 1, 2].find((i) => result[t * 3 + i] === split.start);
+        const opposite = result[t * 3 + ((k + 2) % 3)];
+        const chain = [split.start, ...split.points, split.end];
+        for (let i = 0; i + 1 < chain.length; i += 1) {
+          next.push(chain[i], chain[i + 1], opposite);
+        }
+      } else {
+        next.push(result[t * 3], result[t * 3 + 1], result[t * 3 + 2]);
+      }
+    }
+    result = next;
+  }
+  return result;
+};
+
+/**
+ * Winds all triangles of every surface the same way as the majority of their neighbours
+ * @param {number[]} vertices - Vertex coordinates
+ * @param {number[]} triangles - Three vertex indices per triangle, changed in place
+ */
+const orientTriangles = (vertices, triangles) => {
+  const vertexCount = vertices.length / 3;
+  const edges = getEdges(triangles, vertexCount);
+  const neighbours = Array.from({ length: triangles.length / 3 }, () => []);
+  edges.forEach((list, key) => {
+    // the direction across non-manifold edges is ambiguous
+    if (list.length === 2) {
+      const edge = { a: Math.floor(key / vertexCount), b: key % vertexCount };
+      neighbours[list[0]].push({ t: list[1], ...edge });
+      neighbours[list[1]].push({ t: list[0], ...edge });
+    }
+  });
+  const flip = (t) => {
+    [triangles[t * 3 + 1], triangles[t * 3 + 2]] = [triangles[t * 3 + 2], triangles[t * 3 + 1]];
+  };
+
+  const visited = new Uint8Array(triangles.length / 3);
+  for (let first = 0; first < visited.length; first += 1) {
+    if (!visited[first]) {
+      visited[first] = 1;
+      const component = [first];
+      const flipped = [];
+      for (let i = 0; i < component.length; i += 1) {
+        const t = component[i];
+        neighbours[t].forEach(({ t: other, a, b }) => {
+          if (!visited[other]) {
+            visited[other] = 1;
+            if (usesEdgeForward(triangles, t, a, b) === usesEdgeForward(triangles, other, a, b)) {
+              flip(other);
+              flipped.push(other);
+            }
+            component.push(other);
+          }
+        });
+      }
+      // most triangles were wound correctly, this keeps the inward facing walls of cavities as they are
+      if (flipped.length * 2 > component.length) {
+        component.forEach(flip);
+      }
+    }
+  }
+};
+
+/**
+ * Repairs the issues found by checkGeometry() as far as possible: welds close vertices, removes degenerate
+ * and coincident triangles, connects T-junctions and winds all triangles consistently.
+ * Overlapping shells are kept, they need a boolean union.
+ * @param {THREE.BufferGeometry} geometry - Geometry to repair
+ * @return {THREE.BufferGeometry} - The repaired non-indexed geometry
+ */
+export const repairGeometry = (geometry) => {
+  const { vertices, triangles } = weldGeometry(geometry);
+  const triangleList = splitTJunctions(vertices, removeCoincidentFaces(triangles));
+  orientTriangles(vertices, triangleList);
+
+  const positions = [];
+  for (let t = 0; t < triangleList.length / 3; t += 1) {
+    if (getAreaNormal(vertices, triangleList, t).length() / 2 >= MIN_TRIANGLE_AREA) {
+      [0, 1, 2].forEach((k) => positions.push(...vertices.slice(triangleList[t * 3 + k] * 3, triangleList[t * 3 + k] * 3 + 3)));
+    }
+  }
+  const repaired = new THREE.BufferGeometry();
+  repaired.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  repaired.computeVertexNormals();
+  return repaired;
+};
+
+/**
+ * @param {Object} result - Result of checkGeometry()
+ * @return {number} - Total number of issues
+ */
+const countAll = (result) => MESH_ISSUES.reduce((sum, issue) => sum + result[issue], 0);
+
+/**
+ * @param {THREE.Mesh} mesh - Placed mesh
+ * @return {Float32Array} - Coordinates of the triangles of the mesh with its matrix applied
+ */
+const getPlacedPositions = (mesh) => {
+  mesh.updateMatrix();
+  const placed = new THREE.BufferGeometry();
+  placed.setAttribute('position', mesh.geometry.getAttribute('position').clone());
+  placed.setIndex(mesh.geometry.index);
+  return (placed.index !== null ? placed.toNonIndexed() : placed).applyMatrix4(mesh.matrix).getAttribute('position').array;
+};
+
+/**
+ * Finds the parts of every combined mesh. Every tag of a group generated as separate tags has its own
+ * combined mesh (tag1-combined) of the parts with its prefix, the combined mesh of the group joins the tags.
+ * @param {string[]} names - Names of the parts of a model
+ * @param {string[]} separateParts - Names of parts that are exported beside the combined meshes, also with the prefix of a tag
+ * @return {Object[]} - { name, members } of every combined mesh with the names of its parts, the tags before the group
+ */
+export const getCombinedMembers = (names, separateParts = []) => {
+  const assigned = new Set(names.filter((name) => separateParts.some((part) => name === part || name.endsWith(`-${part}`))));
+  return names.filter((name) => name.endsWith('combined'))
+    .sort((a, b) => b.length - a.length)
+    .map((name) => {
+      const prefix = name.slice(0, -'combined'.length);
+      const members = names.filter((member) => member !== name && member.startsWith(prefix) && !assigned.has(member));
+      members.forEach((member) => assigned.add(member));
+      return { name, members };
+    });
+};
+
+/**
+ * Merges the triangles of placed meshes
+ * @param {THREE.Mesh[]} meshes - Placed meshes
+ * @param {THREE.Matrix4} matrix - Matrix of the merged mesh, the triangles are moved back from its placement
+ * @return {THREE.BufferGeometry} - The merged geometry
+ */
+const mergePlacedMeshes = (meshes, matrix) => {
+  const chunks = meshes.map(getPlacedPositions);
+  const merged = new Float32Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+  chunks.reduce((offset, chunk) => {
+    merged.set(chunk, offset);
+    return offset + chunk.length;
+  }, 0);
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(merged, 3));
+  geometry.applyMatrix4(matrix.clone().invert());
+  geometry.computeVertexNormals();
+  return geometry;
+};
+
+/**
+ * Checks every part of a model, repairs the parts with issues and checks them again.
+ * Parts exported under several names are checked once. Combined meshes that merge the other parts are rebuilt
+ * from the repaired parts and checked as they are, parts touching each other cannot be repaired.
+ * @param {Object} parts - Part meshes of the model by name, the geometries of repaired parts are replaced
+ * @param {Object} options - separateParts are exported beside the combined meshes, see getCombinedMembers().
+ * joined is true if a solid union built the combined meshes, they are checked and repaired like the other parts.
+ * @return {Object[]} - { name, triangles, found, remaining } for every checked part with the issues found
+ * before and remaining after the repair, see MESH_ISSUES
+ */
+export const checkAndRepairParts = (parts, { separateParts = [], joined = false } = {}) => {
+  const combined = joined ? [] : getCombinedMembers(Object.keys(parts), separateParts);
+  const combinedNames = new Set(combined.map(({ name }) => name));
+  const checked = new Set();
+  const repaired = new Set();
+  const report = [];
+  Object.keys(parts).forEach((name) => {
+    const mesh = parts[name];
+    if (combinedNames.has(name) || checked.has(mesh) || !mesh.geometry.getAttribute('position')) {
+      return;
+    }
+    checked.add(mesh);
+    const found = checkGeometry(mesh.geometry);
+    let remaining = found;
+    if (countAll(found) > 0) {
+      const geometry = repairGeometry(mesh.geometry);
+      const result = checkGeometry(geometry);
+      // keep the original geometry if the repair did not help
+      if (countAll(result) < countAll(found)) {
+        mesh.geometry = geometry;
+        repaired.add(mesh);
+        remaining = result;
+      }
+    }
+    report.push({
+      name, triangles: remaining.triangles, found, remaining,
+    });
+  });
+  combined.forEach(({ name, members }) => {
+    const mesh = parts[name];
+    const meshes = [...new Set(members.map((member) => parts[member]))]
+      .filter((member) => member.geometry.getAttribute('position'));
+    if (meshes.some((member) => repaired.has(member))) {
+      mesh.updateMatrix();
+      mesh.geometry = mergePlacedMeshes(meshes, mesh.matrix);
+      repaired.add(mesh);
+    }
+    if (mesh.geometry.getAttribute('position')) {
+      const result = checkGeometry(mesh.geometry);
+      report.push({
+        name, triangles: result.triangles, found: result, remaining: result,
+      });
+    }
+  });
+  return report;
+};
@@ -0,0 +1,45 @@
+import { describe, expect, it } from 'vitest';
+import * as THREE from 'three';
+import * as BufferGeometryUtils from 'three/examples/jsm/utils/BufferGeometryUtils.js';
+import { checkAndRepairParts, checkGeometry } from './meshCheck';
+
+/**
+ * @param {number[]} positions - Coordinates of the triangles
+ * @return {THREE.BufferGeometry} - Geometry with only a position attribute like the parts of a model
+ */
+const getGeometry = (positions) => {
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  return geometry;
+};
+
+/**
+ * @param {THREE.Mesh} mesh - Placed mesh
+ * @return {THREE.BufferGeometry} - Geometry of the mesh with its matrix applied
+ */
+const getPlaced = (mesh) => {
+  mesh.updateMatrix();
+  return mesh.geometry.clone().applyMatrix4(mesh.matrix);
+};
+
+describe('checkAndRepairParts', () => {
+  it('rebuilds the combined mesh from the repaired parts and checks it', () => {
+    const base = new THREE.Mesh(getGeometry(new THREE.BoxGeometry(10, 10, 2).toNonIndexed().getAttribute('position').array));
+    // a duplicate triangle is repaired by removing it
+    const { array } = new THREE.BoxGeometry(2, 2, 2).toNonIndexed().getAttribute('position');
+    const code = new THREE.Mesh(getGeometry([...array, ...array.slice(0, 9)]));
+    code.position.set(20, 0, 0);
+    const combined = new THREE.Mesh(BufferGeometryUtils.mergeGeometries([base, code].map(getPlaced)));
+    const parts = { base, code, combined };
+    // the model is turned over after combining the parts, like a face down model
+    Object.values(parts).forEach((mesh) => mesh.applyMatrix4(new THREE.Matrix4().makeRotationX(Math.PI)));
+
+    const report = checkAndRepairParts(parts);
+
+    expect(report.map((part) => part.name)).toEqual(['base', 'code', 'combined']);
+    expect(report[1].found.overlappingFaces).toBe(1);
+    expect(report[1].remaining.overlappingFaces).toBe(0);
+    expect(report[2].found).toMatchObject({ triangles: 24, overlappingFaces: 0, openEdges: 0 });
+    expect(checkGeometry(combined.geometry)).toMatchObject({ triangles: 24, overlappingFaces: 0, openEdges: 0 });
+  });
+});
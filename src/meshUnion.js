@@ -0,0 +1,197 @@
+import * as THREE from 'three';
+import { CSG } from 'three-csg-ts';
+import { getCombinedMembers, repairGeometry } from './meshCheck';
+
+// polygons and solids further apart than this do not touch (in mm)
+const TOUCH_TOLERANCE = 1e-4;
+// clipped polygons that kept this share of their area are kept unsplit
+const UNCLIPPED_AREA_RATIO = 1 - 1e-9;
+// planes tried for every node of a BSP tree, and polygons the planes are rated with
+const SPLIT_CANDIDATES = 8;
+const SPLIT_SAMPLES = 64;
+
+/**
+ * @param {Polygon} polygon - Convex polygon of three-csg-ts
+ * @return {number} - Area of the polygon
+ */
+const getPolygonArea = (polygon) => {
+  const area = new THREE.Vector3();
+  const first = polygon.vertices[0].pos;
+  for (let i = 1; i + 1 < polygon.vertices.length; i += 1) {
+    const a = polygon.vertices[i].pos;
+    const b = polygon.vertices[i + 1].pos;
+    area.x += (a.y - first.y) * (b.z - first.z) - (a.z - first.z) * (b.y - first.y);
+    area.y += (a.z - first.z) * (b.x - first.x) - (a.x - first.x) * (b.z - first.z);
+    area.z += (a.x - first.x) * (b.y - first.y) - (a.y - first.y) * (b.x - first.x);
+  }
+  return area.length() / 2;
+};
+
+/**
+ * @param {Polygon[]} polygons - Polygons of three-csg-ts
+ * @return {THREE.Box3} - Bounding box of the polygons
+ */
+const getPolygonsBox = (polygons) => {
+  const box = new THREE.Box3();
+  polygons.forEach((polygon) => polygon.vertices.forEach(({ pos }) => box.expandByPoint(pos)));
+  return box;
+};
+
+/**
+ * Builds a BSP tree that only separates space, its nodes keep no polygons. The splitting plane of every node
+ * is picked from a few polygons so it cuts few others and halves the rest. Dense codes have thousands
+ * of walls, taking the first polygon like three-csg-ts does splits them over and over.
+ * @param {Polygon[]} polygons - Polygons of a closed solid
+ * @return {Object} - The root node of the tree, { plane, front, back } with the subtrees or null
+ */
+const buildTree = (polygons) => {
+  const node = { plane: null, front: null, back: null };
+  const step = (count) => Math.max(1, Math.floor(polygons.length / count));
+  let bestScore = Infinity;
+  for (let c = 0; c < polygons.length; c += step(SPLIT_CANDIDATES)) {
+    const { plane } = polygons[c];
+    const sides = { front: 0, back: 0, spanning: 0 };
+    for (let s = 0; s < polygons.length; s += step(SPLIT_SAMPLES)) {
+      const distances = polygons[s].vertices.map(({ pos }) => plane.normal.dot(pos) - plane.w);
+      const isFront = distances.some((distance) => distance > TOUCH_TOLERANCE);
+      const isBack = distances.some((distance) => distance < -TOUCH_TOLERANCE);
+      if (isFront && isBack) {
+        sides.spanning += 1;
+      } else if (isFront || isBack) {
+        sides[isFront ? 'front' : 'back'] += 1;
+      }
+    }
+    const score = sides.spanning * 8 + Math.abs(sides.front - sides.back);
+    if (score < bestScore) {
+      bestScore = score;
+      node.plane = plane.clone();
+    }
+  }
+  const coplanar = [];
+  const front = [];
+  const back = [];
+  polygons.forEach((polygon) => node.plane.splitPolygon(polygon, coplanar, coplanar, front, back));
+  if (front.length > 0) {
+    node.front = buildTree(front);
+  }
+  if (back.length > 0) {
+    node.back = buildTree(back);
+  }
+  return node;
+};
+
+/**
+ * Removes the parts of polygons that lie inside a tree, ported from Node.clipPolygons() of three-csg-ts
+ * (MIT License, Copyright (c) 2020 Jiro Digital Ltd), whose node class is not part of its public API.
+ * Space behind a node without a back subtree is inside the solid.
+ * @param {Object} node - Root node of the tree, see buildTree()
+ * @param {Polygon[]} polygons - Polygons to clip
+ * @return {Polygon[]} - The fragments of the polygons outside the solid of the tree
+ */
+const clipPolygons = (node, polygons) => {
+  let front = [];
+  let back = [];
+  polygons.forEach((polygon) => node.plane.splitPolygon(polygon, front, back, front, back));
+  if (node.front) {
+    front = clipPolygons(node.front, front);
+  }
+  back = node.back ? clipPolygons(node.back, back) : [];
+  return front.concat(back);
+};
+
+/**
+ * @param {THREE.Mesh} mesh - Mesh with its matrix applied to the polygons
+ * @return {Polygon[]} - The triangles of the mesh as polygons of three-csg-ts
+ */
+const getPolygons = (mesh) => {
+  const geometry = mesh.geometry.index !== null ? mesh.geometry.toNonIndexed() : mesh.geometry.clone();
+  geometry.applyMatrix4(mesh.matrix);
+  geometry.clearGroups();
+  geometry.computeVertexNormals();
+  // three-csg-ts indexes non-indexed geometries with 16 bit, which wraps around for dense codes
+  geometry.setIndex(Array.from({ length: geometry.getAttribute('position').count }, (value, i) => i));
+  return CSG.fromGeometry(geometry).polygons.filter((polygon) => Number.isFinite(polygon.plane.w));
+};
+
+/**
+ * Removes the polygons of a solid that lie inside the tree of another solid. Only polygons near the other solid
+ * are clipped, and polygons that are split by the tree but not clipped stay whole, which keeps large faces
+ * like the top of the base from breaking up into fragments at every plane of a dense code.
+ * @param {Object} solid - { polygons, box } of the clipped solid
+ * @param {Object} other - { tree, box } of the other solid
+ * @param {boolean} removeCoplanar - Also remove polygons lying on faces of the other solid that point the same way
+ */
+const clipSolid = (solid, other, removeCoplanar) => {
+  const clip = (polygon) => {
+    if (!getPolygonsBox([polygon]).intersectsBox(other.box)) {
+      return [polygon];
+    }
+    let fragments = clipPolygons(other.tree, [polygon]);
+    if (removeCoplanar) {
+      // flipped polygons on equal faces count as inside, like in the union of three-csg-ts
+      fragments.forEach((fragment) => fragment.flip());
+      fragments = clipPolygons(other.tree, fragments);
+      fragments.forEach((fragment) => fragment.flip());
+    }
+    const area = fragments.reduce((sum, fragment) => sum + getPolygonArea(fragment), 0);
+    return area >= getPolygonArea(polygon) * UNCLIPPED_AREA_RATIO ? [polygon] : fragments;
+  };
+  // eslint-disable-next-line no-param-reassign
+  solid.polygons = solid.polygons.flatMap(clip);
+};
+
+/**
+ * Joins meshes into one watertight solid with a boolean union. Every mesh is clipped only against the meshes
+ * it touches, so many disjoint parts like the modules of a code do not split each other.
+ * @param {THREE.Mesh[]} meshes - Closed meshes, their matrices are applied
+ * @param {THREE.Material} material - Material of the joined mesh
+ * @return {THREE.Mesh} - The joined mesh
+ */
+export const unionMeshes = (meshes, material) => {
+  const solids = [];
+  meshes.forEach((mesh) => {
+    const polygons = mesh.geometry.getAttribute('position') ? getPolygons(mesh) : [];
+    if (polygons.length === 0) {
+      return;
+    }
+    const solid = {
+      polygons,
+      tree: buildTree(polygons),
+      box: getPolygonsBox(polygons).expandByScalar(TOUCH_TOLERANCE),
+    };
+    solids.filter((other) => other.box.intersectsBox(solid.box)).forEach((other) => {
+      clipSolid(other, solid, false);
+      clipSolid(solid, other, true);
+    });
+    solids.push(solid);
+  });
+  const joined = CSG.fromPolygons(solids.flatMap((solid) => solid.polygons));
+  return new THREE.Mesh(repairGeometry(CSG.toGeometry(joined, new THREE.Matrix4())), material);
+};
+
+/**
+ * Replaces the combined meshes of a model with the union of their parts. Every tag of a group generated as
+ * separate tags has its own combined mesh (tag1-combined) of the parts with its prefix, the combined mesh
+ * of the group joins the tags.
+ * @param {Object} parts - Part meshes of the model by name, the combined meshes are replaced
+ * @param {string[]} separateParts - Names of parts that are exported beside the combined meshes, also with the prefix of a tag
+ * @param {THREE.Matrix4|null} viewMatrix - Turns a model placed at an angle back into a flat tag for the union, whose faces
+ * along the axes are split and joined more precisely, see BaseTag3D.getViewMatrix()
+ */
+export const joinCombinedParts = (parts, separateParts = [], viewMatrix = null) => {
+  // the tags are joined before the group
+  getCombinedMembers(Object.keys(parts), separateParts).forEach(({ name: combinedName, members }) => {
+    // meshes exported under several names are joined once
+    let meshes = [...new Set(members.map((name) => parts[name]))];
+    meshes.forEach((mesh) => mesh.updateMatrix());
+    if (viewMatrix) {
+      meshes = meshes.map((mesh) => new THREE.Mesh(mesh.geometry.clone().applyMatrix4(viewMatrix.clone().multiply(mesh.matrix))));
+    }
+    const joined = unionMeshes(meshes, parts[combinedName].material);
+    if (viewMatrix) {
+      joined.geometry.applyMatrix4(viewMatrix.clone().invert());
+    }
+    // eslint-disable-next-line no-param-reassign
+    parts[combinedName] = joined;
+  });
+};
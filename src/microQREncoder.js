@@ -0,0 +1,315 @@
+/* eslint-disable no-bitwise */
+import { getGaloisField, getErrorCorrection } from './reedSolomon';
+
+/**
+ * Micro QR symbols as [name, version, error correction level, data bits, error correction codewords].
+ * M1 only detects errors, M1 and M3 end with a data codeword of 4 bits.
+ */
+const SYMBOLS = [
+  ['M1', 1, null, 20, 2],
+  ['M2', 2, 'L', 40, 5],
+  ['M2', 2, 'M', 32, 6],
+  ['M3', 3, 'L', 84, 6],
+  ['M3', 3, 'M', 68, 8],
+  ['M4', 4, 'L', 128, 8],
+  ['M4', 4, 'M', 112, 10],
+  ['M4', 4, 'Q', 80, 14],
+];
+
+const ERROR_CORRECTION_LEVELS = ['L', 'M', 'Q'];
+
+// modes with the versions supporting them and the length of the character count indicator per version
+const MODES = {
+  numeric: { minVersion: 1, countBits: [3, 4, 5, 6] },
+  alphanumeric: { minVersion: 2, countBits: [0, 3, 4, 5] },
+  byte: { minVersion: 3, countBits: [0, 0, 4, 5] },
+};
+const MODE_INDICATORS = { numeric: 0, alphanumeric: 1, byte: 2 };
+
+const ALPHANUMERIC_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+
+// QR codes use GF(256) with the prime polynomial x^8 + x^4 + x^3 + x^2 + 1
+const GF256 = getGaloisField(8, 0x11d);
+
+/**
+ * Appends bits to a bit array
+ * @param {number[]} bits - Bit array to append to
+ * @param {number} value - Value to append
+ * @param {number} length - Number of bits, most significant bit first
+ */
+const appendBits = (bits, value, length) => {
+  for (let i = length - 1; i >= 0; i -= 1) {
+    bits.push((value >> i) & 1);
+  }
+};
+
+/**
+ * @param {string} text - Content of the symbol
+ * @return {Object} - { mode, data } with the most compact mode for the whole text and the data to encode in it
+ */
+const getSegment = (text) => {
+  if (/^\d*$/.test(text)) {
+    return { mode: 'numeric', data: text };
+  }
+  if (Array.from(text).every((char) => ALPHANUMERIC_CHARSET.includes(char))) {
+    return { mode: 'alphanumeric', data: text };
+  }
+  return { mode: 'byte', data: Array.from(new TextEncoder().encode(text)) };
+};
+
+/**
+ * @param {string} mode - One of numeric, alphanumeric and byte
+ * @param {number} length - Number of characters (or bytes)
+ * @return {number} - Number of bits needed to encode the characters without mode and count indicators
+ */
+const getDataBits = (mode, length) => {
+  if (mode === 'numeric') {
+    return Math.floor(length / 3) * 10 + [0, 4, 7][length % 3];
+  }
+  if (mode === 'alphanumeric') {
+    return Math.floor(length / 2) * 11 + (length % 2) * 6;
+  }
+  return length * 8;
+};
+
+/**
+ * @param {Array} symbol - Micro QR symbol, see SYMBOLS
+ * @param {string} mode - One of numeric, alphanumeric and byte
+ * @return {number} - Maximum number of characters (or bytes) of the mode that fit into the symbol
+ */
+const getCapacity = (symbol, mode) => {
+  const [, version, , dataBits] = symbol;
+  if (version < MODES[mode].minVersion) {
+    return 0;
+  }
+  const headerBits = (version - 1) + MODES[mode].countBits[version - 1];
+  let capacity = (1 << MODES[mode].countBits[version - 1]) - 1;
+  while (capacity > 0 && headerBits + getDataBits(mode, capacity) > dataBits) {
+    capacity -= 1;
+  }
+  return capacity;
+};
+
+/**
+ * @param {Object} segment - Segment, see getSegment()
+ * @param {number} version - Micro QR version 1 to 4
+ * @return {number[]} - Bits of the mode indicator, the character count and the data
+ */
+const encodeSegment = (segment, version) => {
+  const { mode, data } = segment;
+  const bits = [];
+  appendBits(bits, MODE_INDICATORS[mode], version - 1);
+  appendBits(bits, data.length, MODES[mode].countBits[version - 1]);
+  if (mode === 'numeric') {
+    for (let i = 0; i < data.length; i += 3) {
+      const group = data.substr(i, 3);
+      appendBits(bits, Number(group), [0, 4, 7, 10][group.length]);
+    }
+  } else if (mode === 'alphanumeric') {
+    for (let i = 0; i < data.length; i += 2) {
+      if (i + 1 < data.length) {
+        appendBits(bits, ALPHANUMERIC_CHARSET.indexOf(data[i]) * 45 + ALPHANUMERIC_CHARSET.indexOf(data[i + 1]), 11);
+      } else {
+        appendBits(bits, ALPHANUMERIC_CHARSET.indexOf(data[i]), 6);
+      }
+    }
+  } else {
+    data.forEach((byte) => appendBits(bits, byte, 8));
+  }
+  return bits;
+};
+
+/**
+ * Adds the terminator and the pad codewords and splits the bits into codewords
+ * @param {number[]} bits - Encoded data
+ * @param {Array} symbol - Micro QR symbol, see SYMBOLS
+ * @return {number[]} - Data codewords, a final codeword of 4 bits is stored in the upper half of the byte
+ */
+const getDataCodewords = (bits, symbol) => {
+  const [, version, , dataBits] = symbol;
+  const padded = bits.slice();
+  // the terminator is shortened or left out if the symbol is full
+  appendBits(padded, 0, Math.min(2 * version + 1, dataBits - padded.length));
+  while (padded.length % 8 !== 0 && padded.length < dataBits) {
+    padded.push(0);
+  }
+  for (let i = 0; dataBits - padded.length >= 8; i += 1) {
+    appendBits(padded, i % 2 === 0 ? 0xec : 0x11, 8);
+  }
+  // the final codeword of M1 and M3 symbols is padded with 0000
+  appendBits(padded, 0, dataBits - padded.length);
+
+  const codewords = [];
+  for (let i = 0; i < padded.length; i += 8) {
+    let codeword = 0;
+    for (let j = 0; j < 8; j += 1) {
+      codeword = (codeword << 1) | (padded[i + j] || 0);
+    }
+    codewords.push(codeword);
+  }
+  return codewords;
+};
+
+/**
+ * Micro QR mask patterns, indexed by their reference
+ */
+const MASKS = [
+  (row) => row % 2 === 0,
+  (row, col) => (Math.floor(row / 2) + Math.floor(col / 3)) % 2 === 0,
+  (row, col) => (((row * col) % 2) + ((row * col) % 3)) % 2 === 0,
+  (row, col) => (((row + col) % 2) + ((row * col) % 3)) % 2 === 0,
+];
+
+/**
+ * @param {number} symbolNumber - Index of the symbol in SYMBOLS
+ * @param {number} mask - Reference of the mask pattern
+ * @return {number} - 15 bits of format information, BCH encoded and masked
+ */
+const getFormatBits = (symbolNumber, mask) => {
+  const data = (symbolNumber << 2) | mask;
+  let remainder = data << 10;
+  for (let i = 14; i >= 10; i -= 1) {
+    if (remainder & (1 << i)) {
+      remainder ^= 0x537 << (i - 10);
+    }
+  }
+  return ((data << 10) | remainder) ^ 0x4445;
+};
+
+/**
+ * Places the finder pattern, its separator and the timing patterns
+ * @param {number} size - Width of the symbol in modules
+ * @return {Object} - { modules, isFunction } as row-major arrays
+ */
+const getFunctionPatterns = (size) => {
+  const modules = new Array(size * size).fill(0);
+  const isFunction = new Array(size * size).fill(false);
+  const set = (row, col, dark) => {
+    modules[row * size + col] = dark ? 1 : 0;
+    isFunction[row * size + col] = true;
+  };
+  for (let row = 0; row < 8; row += 1) {
+    for (let col = 0; col < 8; col += 1) {
+      const ring = Math.max(Math.abs(row - 3), Math.abs(col - 3));
+      set(row, col, ring !== 2 && ring !== 4);
+    }
+  }
+  for (let i = 8; i < size; i += 1) {
+    set(0, i, i % 2 === 0);
+    set(i, 0, i % 2 === 0);
+  }
+  // reserve the format information next to the separator
+  for (let i = 1; i <= 8; i += 1) {
+    set(8, i, false);
+    set(i, 8, false);
+  }
+  return { modules, isFunction };
+};
+
+/**
+ * Places the codewords in the zigzag pattern starting in the bottom right corner
+ * @param {number[]} modules - Row-major modules
+ * @param {boolean[]} isFunction - Modules reserved for function patterns
+ * @param {number} size - Width of the symbol in modules
+ * @param {number[]} bits - Bits of all codewords
+ */
+const placeBits = (modules, isFunction, size, bits) => {
+  let i = 0;
+  let upwards = true;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    for (let step = 0; step < size; step += 1) {
+      const row = upwards ? size - 1 - step : step;
+      for (let col = right; col >= right - 1; col -= 1) {
+        if (!isFunction[row * size + col]) {
+          modules[row * size + col] = bits[i] || 0;
+          i += 1;
+        }
+      }
+    }
+    upwards = !upwards;
+  }
+};
+
+/**
+ * Rates a masked symbol, Micro QR codes prefer many dark modules along the right and the bottom edge
+ * @param {number[]} modules - Row-major modules
+ * @param {number} size - Width of the symbol in modules
+ * @return {number} - Score of the mask, higher is better
+ */
+const getMaskScore = (modules, size) => {
+  let right = 0;
+  let bottom = 0;
+  for (let i = 1; i < size; i += 1) {
+    right += modules[i * size + size - 1];
+    bottom += modules[(size - 1) * size + i];
+  }
+  return Math.min(right, bottom) * 16 + Math.max(right, bottom);
+};
+
+/**
+ * Generates a Micro QR code. The smallest symbol with at least the requested error correction level
+ * is chosen, M1 symbols are only used for error correction level L since they can only detect errors.
+ * @param {string} text - Content of the symbol
+ * @param {string} errorCorrectionLevel - L, M or Q, H is not available for Micro QR codes and falls back to Q
+ * @return {Object} - { size, modules, version, errorCorrectionLevel, mode, length, capacity } with modules being
+ * the row-major bitmask, length the number of encoded characters and capacity the maximum number for the mode
+ */
+export const createMicroQR = (text, errorCorrectionLevel = 'L') => {
+  const segment = getSegment(text);
+  const minLevel = ERROR_CORRECTION_LEVELS.indexOf(errorCorrectionLevel === 'H' ? 'Q' : errorCorrectionLevel);
+  const symbolNumber = SYMBOLS.findIndex((symbol) => {
+    const level = symbol[2] ? ERROR_CORRECTION_LEVELS.indexOf(symbol[2]) : 0;
+    return level >= minLevel && segment.data.length <= getCapacity(symbol, segment.mode);
+  });
+  if (symbolNumber === -1) {
+    throw new Error('The text is too long for a Micro QR code, please use a regular QR code');
+  }
+  const symbol = SYMBOLS[symbolNumber];
+  const [name, version, level, dataBits, ecLength] = symbol;
+  const size = 2 * version + 9;
+
+  const dataCodewords = getDataCodewords(encodeSegment(segment, version), symbol);
+  const ecCodewords = getErrorCorrection(dataCodewords, ecLength, GF256, 0);
+  const bits = [];
+  dataCodewords.forEach((codeword, i) => {
+    if (i === dataCodewords.length - 1 && dataBits % 8 !== 0) {
+      appendBits(bits, codeword >> 4, 4);
+    } else {
+      appendBits(bits, codeword, 8);
+    }
+  });
+  ecCodewords.forEach((codeword) => appendBits(bits, codeword, 8));
+
+  const { modules, isFunction } = getFunctionPatterns(size);
+  placeBits(modules, isFunction, size, bits);
+
+  let best = null;
+  MASKS.forEach((mask, maskNo) => {
+    const masked = modules.map((module, i) => {
+      const row = Math.floor(i / size);
+      const col = i % size;
+      return !isFunction[i] && mask(row, col) ? module ^ 1 : module;
+    });
+    const formatBits = getFormatBits(symbolNumber, maskNo);
+    for (let i = 0; i < 8; i += 1) {
+      masked[(i + 1) * size + 8] = (formatBits >> i) & 1;
+      masked[8 * size + i + 1] = (formatBits >> (14 - i)) & 1;
+    }
+    const score = getMaskScore(masked, size);
+    if (best === null || score > best.score) {
+      best = { score, modules: masked };
+    }
+  });
+
+  return {
+    size,
+    modules: best.modules,
+    version: name,
+    errorCorrectionLevel: level,
+    mode: segment.mode,
+    length: segment.data.length,
+    capacity: getCapacity(symbol, segment.mode),
+  };
+};
+
+export default createMicroQR;
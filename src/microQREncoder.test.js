@@ -0,0 +1,20 @@
+import { describe, expect, it } from 'vitest';
+import { createMicroQR } from './microQREncoder';
+import { decodeModules } from './decodeTestUtils';
+
+describe('createMicroQR', () => {
+  it.each([
+    ['M1', 'L', '12345'],
+    ['M2', 'L', 'AB-12'],
+    ['M2', 'M', '0123456'],
+    ['M3', 'M', 'id=42'],
+    ['M4', 'L', 'https://ex.am/p'],
+    ['M4', 'Q', 'TAG 0042'],
+  ])('reads back %s with error correction level %s', async (name, level, text) => {
+    const symbol = createMicroQR(text, level);
+    const results = await decodeModules(symbol.modules, symbol.size, ['MicroQRCode']);
+
+    expect(symbol.version).toBe(name);
+    expect(results.map((result) => result.text)).toEqual([text]);
+  });
+});
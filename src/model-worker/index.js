@@ -1,10 +1,33 @@
+import * as THREE from 'three';
 import WorkerUrl from './worker.js?worker&url';
 
 const worker = new Worker(WorkerUrl, { type: 'module' });
 
 const send = (message) => worker.postMessage(message);
 
+/**
+ * Checks and repairs the parts of the last generated model
+ * @return {Promise<Object>} - { meshCheck, geometries } the report of checkAndRepairParts() and the repaired geometries by part name
+ */
+const checkMesh = () => new Promise((resolve) => {
+  const onMessage = (event) => {
+    if (event.data.type !== 'meshCheck') {
+      return;
+    }
+    worker.removeEventListener('message', onMessage);
+    const loader = new THREE.BufferGeometryLoader();
+    const { meshCheck, geometries } = event.data;
+    Object.keys(geometries).forEach((name) => {
+      geometries[name] = loader.parse(geometries[name]);
+    });
+    resolve({ meshCheck, geometries });
+  };
+  worker.addEventListener('message', onMessage);
+  send({ type: 'checkMesh' });
+});
+
 export default {
   worker,
   send,
+  checkMesh,
 };
@@ -1,17 +1,59 @@
 import * as THREE from 'three';
 import QRCode3D from '../qrcode3d';
+import QRCodeGroup3D from '../qrcodeGroup3D';
 import BaseTag3D from '../base';
 import SpotifyCode3D from '../spotifyCode3D';
+import DataMatrix3D from '../dataMatrix3D';
+import Aztec3D from '../aztec3D';
+import Barcode3D from '../barcode3D';
+import { verifyScannability } from '../scanVerification';
+import { checkAndRepairParts } from '../meshCheck';
+import { joinCombinedParts } from '../meshUnion';
+
+// parts of the last generated model, checked when the menu asks for it
+let lastParts = null;
+let isLastUnion = false;
+let lastSeparateParts = [];
+
+/**
+ * Checks and repairs the parts of the last generated model
+ * @return {Object} - { meshCheck, geometries } the report and the JSON of the repaired geometries by part name
+ */
+const checkLastParts = () => {
+  const geometries = Object.fromEntries(Object.keys(lastParts).map((name) => [name, lastParts[name].geometry]));
+  const meshCheck = checkAndRepairParts(lastParts, { separateParts: lastSeparateParts, joined: isLastUnion });
+  const repaired = Object.keys(lastParts).filter((name) => lastParts[name].geometry !== geometries[name]);
+  return {
+    meshCheck,
+    geometries: Object.fromEntries(repaired.map((name) => [name, lastParts[name].geometry.toJSON()])),
+  };
+};
 
 // eslint-disable-next-line no-restricted-globals
 addEventListener('message', async (event) => {
+  // slicers complain about open or non-manifold meshes, the check repairs what can be repaired before the export
+  if (event.data.type === 'checkMesh') {
+    postMessage({ type: 'meshCheck', ...checkLastParts() });
+    return;
+  }
+
+  // dual extrusion is a setting of the menu, not a saved option of the model
+  const options = event.data.dualExtrusion ? { ...event.data.options, dualExtrusion: true } : event.data.options;
   let generator;
   if (event.data.mode === 'QR') {
-    generator = new QRCode3D(event.data.qrCodeBitMask, event.data.options);
+    generator = new QRCode3D(event.data.qrCodeBitMask, options);
+  } else if (event.data.mode === 'QRGroup') {
+    generator = new QRCodeGroup3D(event.data.qrCodeBitMasks, options);
   } else if (event.data.mode === 'Spotify') {
-    generator = new SpotifyCode3D(event.data.spotifyCodeShapes, event.data.options);
+    generator = new SpotifyCode3D(event.data.spotifyCodeShapes, options);
+  } else if (event.data.mode === 'DataMatrix') {
+    generator = new DataMatrix3D(event.data.dataMatrixBitMask, options);
+  } else if (event.data.mode === 'Aztec') {
+    generator = new Aztec3D(event.data.aztecBitMask, options);
+  } else if (event.data.mode === 'Barcode') {
+    generator = new Barcode3D(event.data.barcode, options);
   } else if (event.data.mode === 'Text') {
-    generator = new BaseTag3D(event.data.options);
+    generator = new BaseTag3D(options);
   } else {
     return;
   }
@@ -20,6 +62,31 @@ addEventListener('message', async (event) => {
   console.timeEnd('3D Model Generation');
   const parts = generator.getPartMeshes();
 
+  // render and decode the model before the meshes are serialized
+  let scanVerification = null;
+  if (event.data.expectedText !== undefined) {
+    scanVerification = await verifyScannability(parts, generator.materialBase, event.data.expectedText, {
+      recessTop: generator.isDebossed() ? generator.options.base.depth : null,
+      // face down and standing models are decoded from the side of the code
+      viewMatrix: generator.getViewMatrix(),
+    });
+  }
+
+  // a foot exported on its own is not part of the combined mesh
+  const separateParts = generator.hasSeparateStand() ? ['stand'] : [];
+  // the merged parts overlap each other, print services want one solid without inner faces
+  if (event.data.solidUnion) {
+    console.time('Solid Union');
+    joinCombinedParts(parts, separateParts, generator.getViewMatrix());
+    console.timeEnd('Solid Union');
+  }
+
+  lastParts = { ...parts };
+  isLastUnion = !!event.data.solidUnion;
+  lastSeparateParts = separateParts;
+  // the check takes longer than generating large codes, so it only runs on request, e.g. for batch exports
+  const meshCheck = event.data.checkMesh ? checkLastParts().meshCheck : null;
+
   let count = 0;
   Object.keys(parts).forEach((key) => {
     // No need to convert geometry since we're already using BufferGeometry
@@ -38,5 +105,8 @@ addEventListener('message', async (event) => {
     meshCount: count,
     meshes: parts,
     iconCompatibilityStatus: iconCompatibilityStatus,
+    scanVerification: scanVerification,
+    meshCheck,
+    standCheck: generator.getStandCheck(),
   });
 });
@@ -0,0 +1,882 @@
+/* eslint-disable no-bitwise */
+import { getGaloisField, getErrorCorrection } from './reedSolomon';
+
+const ERROR_CORRECTION_LEVELS = ['L', 'M', 'Q', 'H'];
+// error correction level as stored in the format information
+const FORMAT_LEVEL_BITS = { L: 1, M: 0, Q: 3, H: 2 };
+
+// error correction codewords per block, indexed by error correction level and version
+const EC_CODEWORDS_PER_BLOCK = {
+  L: [0, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  M: [0, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  Q: [0, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  H: [0, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+};
+
+// number of error correction blocks, indexed by error correction level and version
+const EC_BLOCKS = {
+  L: [0, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  M: [0, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  Q: [0, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  H: [0, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81],
+};
+
+// mode indicators and the length of the character count indicator for versions 1-9, 10-26 and 27-40
+const MODES = {
+  numeric: { indicator: 1, countBits: [10, 12, 14] },
+  alphanumeric: { indicator: 2, countBits: [9, 11, 13] },
+  byte: { indicator: 4, countBits: [8, 16, 16] },
+  kanji: { indicator: 8, countBits: [8, 10, 12] },
+};
+const ECI_INDICATOR = 7;
+const STRUCTURED_APPEND_INDICATOR = 3;
+// mode indicator, symbol position, total number of symbols and parity
+const STRUCTURED_APPEND_HEADER_BITS = 20;
+export const MAX_STRUCTURED_APPEND_SYMBOLS = 16;
+// lead bytes of the double byte Shift JIS codes that kanji mode can encode
+const SJIS_LEAD_BYTES = [[0x81, 0x9f], [0xe0, 0xeb]];
+
+// ECI assignment numbers of the supported character sets
+const ECI_ASSIGNMENTS = {
+  'iso-8859-1': 3,
+  'shift-jis': 20,
+  'utf-8': 26,
+};
+
+const ALPHANUMERIC_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+
+// QR codes use GF(256) with the prime polynomial x^8 + x^4 + x^3 + x^2 + 1
+const GF256 = getGaloisField(8, 0x11d);
+
+/**
+ * Appends bits to a bit array
+ * @param {number[]} bits - Bit array to append to
+ * @param {number} value - Value to append
+ * @param {number} length - Number of bits, most significant bit first
+ */
+const appendBits = (bits, value, length) => {
+  for (let i = length - 1; i >= 0; i -= 1) {
+    bits.push((value >> i) & 1);
+  }
+};
+
+/**
+ * @param {number} version - QR code version 1 to 40
+ * @return {number} - Number of modules available for data and error correction codewords, including remainder bits
+ */
+const getRawDataModules = (version) => {
+  let modules = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const alignmentCount = Math.floor(version / 7) + 2;
+    modules -= (25 * alignmentCount - 10) * alignmentCount - 55;
+    if (version >= 7) {
+      modules -= 36;
+    }
+  }
+  return modules;
+};
+
+/**
+ * @param {number} version - QR code version 1 to 40
+ * @param {string} errorCorrectionLevel - L, M, Q or H
+ * @return {number} - Number of data codewords of the symbol
+ */
+const getDataCodewordCount = (version, errorCorrectionLevel) => Math.floor(getRawDataModules(version) / 8)
+  - EC_CODEWORDS_PER_BLOCK[errorCorrectionLevel][version] * EC_BLOCKS[errorCorrectionLevel][version];
+
+/**
+ * @param {string} mode - One of numeric, alphanumeric, byte and kanji
+ * @param {number} version - QR code version 1 to 40
+ * @return {number} - Length of the character count indicator
+ */
+const getCountBits = (mode, version) => {
+  if (version <= 9) {
+    return MODES[mode].countBits[0];
+  }
+  return MODES[mode].countBits[version <= 26 ? 1 : 2];
+};
+
+// Shift JIS codes by character, built on the first use from the decoder of the browser
+let sjisCodes = null;
+
+/**
+ * @param {string} char - Single character
+ * @return {number|undefined} - Double byte Shift JIS code of the character, undefined if it has none
+ */
+const toSJIS = (char) => {
+  if (!sjisCodes) {
+    sjisCodes = new Map();
+    const decoder = new TextDecoder('shift_jis');
+    SJIS_LEAD_BYTES.forEach(([first, last]) => {
+      for (let lead = first; lead <= last; lead += 1) {
+        for (let trail = 0x40; trail <= 0xfc; trail += 1) {
+          const decoded = trail === 0x7f ? '\ufffd' : decoder.decode(new Uint8Array([lead, trail]));
+          // characters with several codes keep the first one
+          if (decoded !== '\ufffd' && !sjisCodes.has(decoded)) {
+            sjisCodes.set(decoded, (lead << 8) | trail);
+          }
+        }
+      }
+    });
+  }
+  return sjisCodes.get(char);
+};
+
+/**
+ * @param {string} char - Single character
+ * @param {string} charset - Character set of byte segments, one of utf-8, iso-8859-1 and shift-jis
+ * @return {number[]} - Bytes of the character in the character set
+ */
+const getCharBytes = (char, charset) => {
+  const code = char.codePointAt(0);
+  if (charset === 'iso-8859-1') {
+    if (code > 0xff) {
+      throw new Error(`The character "${char}" is not part of ISO-8859-1`);
+    }
+    return [code];
+  }
+  if (charset === 'shift-jis') {
+    if (code < 0x80) {
+      return [code];
+    }
+    const sjis = toSJIS(char);
+    if (sjis === undefined) {
+      throw new Error(`The character "${char}" is not part of Shift JIS`);
+    }
+    return [sjis >> 8, sjis & 0xff];
+  }
+  return Array.from(new TextEncoder().encode(char));
+};
+
+/**
+ * @param {string} char - Single character
+ * @param {string} mode - One of numeric, alphanumeric, byte and kanji
+ * @return {boolean} - Whether the character can be encoded in the mode
+ */
+const isEncodable = (char, mode) => {
+  if (mode === 'numeric') {
+    return char >= '0' && char <= '9';
+  }
+  if (mode === 'alphanumeric') {
+    return ALPHANUMERIC_CHARSET.includes(char);
+  }
+  if (mode === 'kanji') {
+    const sjis = toSJIS(char);
+    return sjis !== undefined && ((sjis >= 0x8140 && sjis <= 0x9ffc) || (sjis >= 0xe040 && sjis <= 0xebbf));
+  }
+  return true;
+};
+
+/**
+ * @param {Object} segment - Segment as { mode, chars, bytes }
+ * @return {number} - Number of bits needed to encode the characters without mode and count indicators
+ */
+const getSegmentDataBits = (segment) => {
+  const length = segment.chars.length;
+  if (segment.mode === 'numeric') {
+    return Math.floor(length / 3) * 10 + [0, 4, 7][length % 3];
+  }
+  if (segment.mode === 'alphanumeric') {
+    return Math.floor(length / 2) * 11 + (length % 2) * 6;
+  }
+  if (segment.mode === 'kanji') {
+    return length * 13;
+  }
+  return segment.bytes.length * 8;
+};
+
+/**
+ * @param {Object} segment - Segment as { mode, chars, bytes }
+ * @return {number} - Value of the character count indicator
+ */
+const getSegmentLength = (segment) => (segment.mode === 'byte' ? segment.bytes.length : segment.chars.length);
+
+/**
+ * Creates a segment of the characters
+ * @param {string} mode - One of numeric, alphanumeric, byte and kanji
+ * @param {string[]} chars - Characters of the segment
+ * @param {string} charset - Character set of byte segments
+ * @return {Object} - Segment as { mode, chars, bytes }
+ */
+const makeSegment = (mode, chars, charset) => ({
+  mode,
+  chars,
+  bytes: mode === 'byte' ? chars.flatMap((char) => getCharBytes(char, charset)) : null,
+});
+
+/**
+ * Splits the text into numeric, alphanumeric and byte segments so that the encoded data is as short as possible.
+ * Costs are calculated in sixths of a bit, since numeric and alphanumeric characters use 10/3 and 11/2 bits.
+ * @param {string[]} chars - Characters of the text
+ * @param {number} version - QR code version, the length of the count indicators depends on it
+ * @param {string} charset - Character set of byte segments
+ * @return {Object[]} - Segments as { mode, chars, bytes }
+ */
+const getOptimalSegments = (chars, version, charset) => {
+  const modes = ['byte', 'alphanumeric', 'numeric'];
+  const charCosts = { alphanumeric: 33, numeric: 20 };
+  const headCosts = modes.map((mode) => (4 + getCountBits(mode, version)) * 6);
+  // mode of each character on the cheapest path ending with the mode
+  const charModes = [];
+  let costs = headCosts.slice();
+
+  chars.forEach((char) => {
+    const nextCosts = [];
+    const nextModes = [];
+    modes.forEach((mode, j) => {
+      if (mode === 'byte') {
+        nextCosts[j] = costs[j] + getCharBytes(char, charset).length * 8 * 6;
+        nextModes[j] = mode;
+      } else if (isEncodable(char, mode)) {
+        nextCosts[j] = costs[j] + charCosts[mode];
+        nextModes[j] = mode;
+      }
+    });
+    // start a new segment after the character to switch modes
+    modes.forEach((mode, j) => {
+      modes.forEach((previousMode, k) => {
+        if (nextModes[k] === undefined) {
+          return;
+        }
+        const cost = Math.ceil(nextCosts[k] / 6) * 6 + headCosts[j];
+        if (nextModes[j] === undefined || cost < nextCosts[j]) {
+          nextCosts[j] = cost;
+          nextModes[j] = nextModes[k];
+        }
+      });
+    });
+    charModes.push(nextModes);
+    costs = nextCosts;
+  });
+
+  // follow the cheapest path backwards
+  let j = costs.indexOf(Math.min(...costs));
+  const segments = [];
+  for (let i = chars.length - 1; i >= 0; i -= 1) {
+    const mode = charModes[i][j];
+    j = modes.indexOf(mode);
+    if (segments.length > 0 && segments[0].mode === mode) {
+      segments[0].chars.unshift(chars[i]);
+    } else {
+      segments.unshift({ mode, chars: [chars[i]] });
+    }
+  }
+  return segments.map((segment) => makeSegment(segment.mode, segment.chars, charset));
+};
+
+/**
+ * @param {Object} encoding - Encoding options, see createQRCode()
+ * @return {string} - Character set of byte segments
+ */
+const getCharset = (encoding) => (encoding.eci && encoding.eci !== 'none' ? encoding.eci : 'utf-8');
+
+/**
+ * @param {string[]} chars - Characters of the text
+ * @param {number} version - QR code version 1 to 40
+ * @param {Object} encoding - Encoding options, see createQRCode()
+ * @return {Object[]} - Segments as { mode, chars, bytes }
+ */
+const getSegments = (chars, version, encoding) => {
+  const charset = getCharset(encoding);
+  const mode = encoding.mode || 'auto';
+  if (mode === 'auto') {
+    return getOptimalSegments(chars, version, charset);
+  }
+  const invalid = chars.find((char) => !isEncodable(char, mode));
+  if (invalid !== undefined) {
+    throw new Error(`The character "${invalid}" can not be encoded in ${mode} mode`);
+  }
+  return [makeSegment(mode, chars, charset)];
+};
+
+/**
+ * @param {Object[]} segments - Segments as { mode, chars, bytes }
+ * @param {number} version - QR code version 1 to 40
+ * @param {Object} encoding - Encoding options, see createQRCode()
+ * @param {number} headerBits - Number of bits in front of the segments, e.g. for structured append
+ * @return {number|null} - Number of bits of the encoded segments, null if a segment is too long for its count indicator
+ */
+const getTotalBits = (segments, version, encoding, headerBits) => {
+  let bits = headerBits + (encoding.eci && encoding.eci !== 'none' ? 12 : 0);
+  for (let i = 0; i < segments.length; i += 1) {
+    const countBits = getCountBits(segments[i].mode, version);
+    if (getSegmentLength(segments[i]) >= (1 << countBits)) {
+      return null;
+    }
+    bits += 4 + countBits + getSegmentDataBits(segments[i]);
+  }
+  return bits;
+};
+
+/**
+ * Chooses the version of the symbol and splits the text into segments
+ * @param {string} text - Content of the symbol
+ * @param {string} errorCorrectionLevel - L, M, Q or H
+ * @param {Object} encoding - Encoding options, see createQRCode()
+ * @param {number} headerBits - Number of bits in front of the segments, e.g. for structured append
+ * @param {number} versionLimit - Largest version that may be chosen
+ * @return {Object} - { version, segments, usedBits, capacityBits }
+ */
+const getLayout = (text, errorCorrectionLevel, encoding, headerBits = 0, versionLimit = 40) => {
+  const chars = Array.from(text);
+  const requestedVersion = Number(encoding.version) || 0;
+  const minVersion = Math.max(requestedVersion, 1);
+  const maxVersion = requestedVersion && encoding.versionMode === 'fixed' ? requestedVersion : versionLimit;
+
+  let layout = null;
+  for (let version = minVersion; version <= maxVersion; version += 1) {
+    const segments = getSegments(chars, version, encoding);
+    const usedBits = getTotalBits(segments, version, encoding, headerBits);
+    const capacityBits = getDataCodewordCount(version, errorCorrectionLevel) * 8;
+    layout = {
+      version,
+      segments,
+      usedBits,
+      capacityBits,
+    };
+    if (usedBits !== null && usedBits <= capacityBits) {
+      return layout;
+    }
+  }
+  if (requestedVersion && encoding.versionMode === 'fixed') {
+    throw new Error(`The text is too long for a version ${requestedVersion} QR code with error correction level ${errorCorrectionLevel}`);
+  }
+  throw new Error('The amount of data is too big to be stored in a QR Code');
+};
+
+/**
+ * @param {Object} layout - Version and segments, see getLayout()
+ * @param {string} errorCorrectionLevel - L, M, Q or H
+ * @param {Object} encoding - Encoding options, see createQRCode()
+ * @param {Object|null} structuredAppend - Position of the symbol, see createQRCode()
+ * @return {number[]} - Data codewords including terminator and padding
+ */
+const getDataCodewords = (layout, errorCorrectionLevel, encoding, structuredAppend) => {
+  const { version, segments, capacityBits } = layout;
+  const bits = [];
+  if (structuredAppend) {
+    appendBits(bits, STRUCTURED_APPEND_INDICATOR, 4);
+    appendBits(bits, structuredAppend.index, 4);
+    appendBits(bits, structuredAppend.total - 1, 4);
+    appendBits(bits, structuredAppend.parity, 8);
+  }
+  if (encoding.eci && encoding.eci !== 'none') {
+    appendBits(bits, ECI_INDICATOR, 4);
+    appendBits(bits, ECI_ASSIGNMENTS[encoding.eci], 8);
+  }
+  segments.forEach((segment) => {
+    appendBits(bits, MODES[segment.mode].indicator, 4);
+    appendBits(bits, getSegmentLength(segment), getCountBits(segment.mode, version));
+    if (segment.mode === 'numeric') {
+      const digits = segment.chars.join('');
+      for (let i = 0; i < digits.length; i += 3) {
+        const group = digits.substr(i, 3);
+        appendBits(bits, Number(group), [0, 4, 7, 10][group.length]);
+      }
+    } else if (segment.mode === 'alphanumeric') {
+      const { chars } = segment;
+      for (let i = 0; i < chars.length; i += 2) {
+        if (i + 1 < chars.length) {
+          appendBits(bits, ALPHANUMERIC_CHARSET.indexOf(chars[i]) * 45 + ALPHANUMERIC_CHARSET.indexOf(chars[i + 1]), 11);
+        } else {
+          appendBits(bits, ALPHANUMERIC_CHARSET.indexOf(chars[i]), 6);
+        }
+      }
+    } else if (segment.mode === 'kanji') {
+      segment.chars.forEach((char) => {
+        const sjis = toSJIS(char) - (toSJIS(char) <= 0x9ffc ? 0x8140 : 0xc140);
+        appendBits(bits, (sjis >> 8) * 0xc0 + (sjis & 0xff), 13);
+      });
+    } else {
+      segment.bytes.forEach((byte) => appendBits(bits, byte, 8));
+    }
+  });
+
+  appendBits(bits, 0, Math.min(4, capacityBits - bits.length));
+  appendBits(bits, 0, (8 - (bits.length % 8)) % 8);
+  for (let i = 0; bits.length < capacityBits; i += 1) {
+    appendBits(bits, i % 2 === 0 ? 0xec : 0x11, 8);
+  }
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((codeword, bit) => (codeword << 1) | bit, 0));
+  }
+  return codewords;
+};
+
+/**
+ * Splits the data codewords into blocks, adds the error correction codewords and interleaves the blocks
+ * @param {number[]} data - Data codewords
+ * @param {number} version - QR code version 1 to 40
+ * @param {string} errorCorrectionLevel - L, M, Q or H
+ * @return {number[]} - All codewords in the order they are placed in the symbol
+ */
+const getInterleavedCodewords = (data, version, errorCorrectionLevel) => {
+  const blockCount = EC_BLOCKS[errorCorrectionLevel][version];
+  const ecLength = EC_CODEWORDS_PER_BLOCK[errorCorrectionLevel][version];
+  const totalCodewords = Math.floor(getRawDataModules(version) / 8);
+  // the first blocks are one data codeword shorter than the others
+  const shortBlockCount = blockCount - (totalCodewords % blockCount);
+  const shortBlockDataLength = Math.floor(totalCodewords / blockCount) - ecLength;
+
+  const dataBlocks = [];
+  const ecBlocks = [];
+  let offset = 0;
+  for (let i = 0; i < blockCount; i += 1) {
+    const length = shortBlockDataLength + (i < shortBlockCount ? 0 : 1);
+    const block = data.slice(offset, offset + length);
+    offset += length;
+    dataBlocks.push(block);
+    ecBlocks.push(getErrorCorrection(block, ecLength, GF256, 0));
+  }
+
+  const codewords = [];
+  for (let i = 0; i <= shortBlockDataLength; i += 1) {
+    dataBlocks.forEach((block) => {
+      if (i < block.length) {
+        codewords.push(block[i]);
+      }
+    });
+  }
+  for (let i = 0; i < ecLength; i += 1) {
+    ecBlocks.forEach((block) => codewords.push(block[i]));
+  }
+  return codewords;
+};
+
+/**
+ * @param {number} version - QR code version 1 to 40
+ * @return {number[]} - Row and column positions of the alignment pattern centers
+ */
+const getAlignmentPositions = (version) => {
+  if (version === 1) {
+    return [];
+  }
+  const size = 4 * version + 17;
+  const count = Math.floor(version / 7) + 2;
+  const step = version === 32 ? 26 : Math.ceil((4 * version + 4) / (2 * count - 2)) * 2;
+  const positions = [6];
+  for (let position = size - 7; positions.length < count; position -= step) {
+    positions.splice(1, 0, position);
+  }
+  return positions;
+};
+
+/**
+ * @param {number} data - Data bits
+ * @param {number} dataLength - Number of data bits
+ * @param {number} generator - BCH generator polynomial
+ * @param {number} generatorDegree - Degree of the generator polynomial
+ * @return {number} - Data bits followed by the BCH error correction bits
+ */
+const getBCHCode = (data, dataLength, generator, generatorDegree) => {
+  let remainder = data << generatorDegree;
+  for (let i = dataLength + generatorDegree - 1; i >= generatorDegree; i -= 1) {
+    if (remainder & (1 << i)) {
+      remainder ^= generator << (i - generatorDegree);
+    }
+  }
+  return (data << generatorDegree) | remainder;
+};
+
+/**
+ * Places the format information around the finder patterns, with the always dark module next to the lower one
+ * @param {Function} set - Function setting the module at row and column
+ * @param {number} size - Width of the symbol in modules
+ * @param {string} errorCorrectionLevel - L, M, Q or H
+ * @param {number} mask - Reference of the mask pattern
+ */
+const placeFormatBits = (set, size, errorCorrectionLevel, mask) => {
+  const bits = getBCHCode((FORMAT_LEVEL_BITS[errorCorrectionLevel] << 3) | mask, 5, 0x537, 10) ^ 0x5412;
+  const bit = (i) => (bits >> i) & 1;
+  for (let i = 0; i <= 5; i += 1) {
+    set(i, 8, bit(i));
+  }
+  set(7, 8, bit(6));
+  set(8, 8, bit(7));
+  set(8, 7, bit(8));
+  for (let i = 9; i < 15; i += 1) {
+    set(8, 14 - i, bit(i));
+  }
+  for (let i = 0; i < 8; i += 1) {
+    set(8, size - 1 - i, bit(i));
+  }
+  for (let i = 8; i < 15; i += 1) {
+    set(size - 15 + i, 8, bit(i));
+  }
+  set(size - 8, 8, 1);
+};
+
+/**
+ * Places the finder, timing and alignment patterns and the version information
+ * and reserves the modules of the format information
+ * @param {number} version - QR code version 1 to 40
+ * @return {Object} - { modules, isFunction } as row-major arrays
+ */
+const getFunctionPatterns = (version) => {
+  const size = 4 * version + 17;
+  const modules = new Array(size * size).fill(0);
+  const isFunction = new Array(size * size).fill(false);
+  const set = (row, col, dark) => {
+    modules[row * size + col] = dark ? 1 : 0;
+    isFunction[row * size + col] = true;
+  };
+
+  for (let i = 0; i < size; i += 1) {
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+  // finder patterns including their separators
+  [[3, 3], [3, size - 4], [size - 4, 3]].forEach(([centerRow, centerCol]) => {
+    for (let dy = -4; dy <= 4; dy += 1) {
+      for (let dx = -4; dx <= 4; dx += 1) {
+        const row = centerRow + dy;
+        const col = centerCol + dx;
+        if (row >= 0 && row < size && col >= 0 && col < size) {
+          const ring = Math.max(Math.abs(dx), Math.abs(dy));
+          set(row, col, ring !== 2 && ring !== 4);
+        }
+      }
+    }
+  });
+  const positions = getAlignmentPositions(version);
+  positions.forEach((centerRow, i) => {
+    positions.forEach((centerCol, j) => {
+      // skip the corners with finder patterns
+      const last = positions.length - 1;
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) {
+        return;
+      }
+      for (let dy = -2; dy <= 2; dy += 1) {
+        for (let dx = -2; dx <= 2; dx += 1) {
+          set(centerRow + dy, centerCol + dx, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    });
+  });
+  placeFormatBits(set, size, 'L', 0);
+  if (version >= 7) {
+    const bits = getBCHCode(version, 6, 0x1f25, 12);
+    for (let i = 0; i < 18; i += 1) {
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      set(a, b, (bits >> i) & 1);
+      set(b, a, (bits >> i) & 1);
+    }
+  }
+  return { modules, isFunction };
+};
+
+/**
+ * Returns the data modules in the zigzag order starting in the bottom right corner, skipping the vertical timing pattern
+ * @param {boolean[]} isFunction - Modules reserved for function patterns
+ * @param {number} size - Width of the symbol in modules
+ * @return {number[]} - Row-major indices of the data modules in placement order
+ */
+const getPlacementOrder = (isFunction, size) => {
+  const order = [];
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) {
+      right = 5;
+    }
+    const upwards = ((right + 1) & 2) === 0;
+    for (let step = 0; step < size; step += 1) {
+      const row = upwards ? size - 1 - step : step;
+      for (let col = right; col >= right - 1; col -= 1) {
+        if (!isFunction[row * size + col]) {
+          order.push(row * size + col);
+        }
+      }
+    }
+  }
+  return order;
+};
+
+/**
+ * Places the codewords in the zigzag pattern, the remainder bits stay light
+ * @param {number[]} modules - Row-major modules
+ * @param {boolean[]} isFunction - Modules reserved for function patterns
+ * @param {number} size - Width of the symbol in modules
+ * @param {number[]} codewords - All codewords
+ */
+const placeCodewords = (modules, isFunction, size, codewords) => {
+  getPlacementOrder(isFunction, size).forEach((module, i) => {
+    if (i < codewords.length * 8) {
+      modules[module] = (codewords[i >> 3] >> (7 - (i & 7))) & 1;
+    }
+  });
+};
+
+/**
+ * QR code mask patterns, indexed by their reference
+ */
+const MASKS = [
+  (row, col) => (row + col) % 2 === 0,
+  (row) => row % 2 === 0,
+  (row, col) => col % 3 === 0,
+  (row, col) => (row + col) % 3 === 0,
+  (row, col) => (Math.floor(row / 2) + Math.floor(col / 3)) % 2 === 0,
+  (row, col) => ((row * col) % 2) + ((row * col) % 3) === 0,
+  (row, col) => (((row * col) % 2) + ((row * col) % 3)) % 2 === 0,
+  (row, col) => (((row + col) % 2) + ((row * col) % 3)) % 2 === 0,
+];
+
+/**
+ * Rates a masked symbol with the penalty rules of the QR code specification
+ * @param {number[]} modules - Row-major modules
+ * @param {number} size - Width of the symbol in modules
+ * @return {number} - Penalty of the mask, lower is better
+ */
+const getMaskPenalty = (modules, size) => {
+  let penalty = 0;
+  // runs of five or more modules of the same color and patterns looking like finders, in rows and columns
+  for (let line = 0; line < size; line += 1) {
+    [(i) => modules[line * size + i], (i) => modules[i * size + line]].forEach((get) => {
+      let run = 0;
+      let previous = null;
+      let pattern = 0;
+      for (let i = 0; i < size; i += 1) {
+        const module = get(i);
+        if (module === previous) {
+          run += 1;
+        } else {
+          if (run >= 5) {
+            penalty += run - 2;
+          }
+          previous = module;
+          run = 1;
+        }
+        pattern = ((pattern << 1) & 0x7ff) | module;
+        if (i >= 10 && (pattern === 0x5d0 || pattern === 0x05d)) {
+          penalty += 40;
+        }
+      }
+      if (run >= 5) {
+        penalty += run - 2;
+      }
+    });
+  }
+  // 2x2 blocks of the same color
+  for (let row = 0; row < size - 1; row += 1) {
+    for (let col = 0; col < size - 1; col += 1) {
+      const sum = modules[row * size + col] + modules[row * size + col + 1]
+        + modules[(row + 1) * size + col] + modules[(row + 1) * size + col + 1];
+      if (sum === 0 || sum === 4) {
+        penalty += 3;
+      }
+    }
+  }
+  // deviation of the share of dark modules from 50%
+  const dark = modules.reduce((sum, module) => sum + module, 0);
+  penalty += Math.abs(Math.ceil((dark * 100) / modules.length / 5) - 10) * 10;
+  return penalty;
+};
+
+/**
+ * Calculates how much of the capacity of the symbol the text uses, without generating the symbol
+ * @param {string} text - Content of the symbol
+ * @param {string} errorCorrectionLevel - L, M, Q or H
+ * @param {Object} encoding - Encoding options, see createQRCode()
+ * @return {Object} - { version, size, segments, usedBits, capacityBits } with segments as { mode, length }
+ */
+export const getQRCodeCapacity = (text, errorCorrectionLevel = 'M', encoding = {}) => {
+  const layout = getLayout(text, errorCorrectionLevel, encoding);
+  return {
+    version: layout.version,
+    size: 4 * layout.version + 17,
+    segments: layout.segments.map((segment) => ({ mode: segment.mode, length: getSegmentLength(segment) })),
+    usedBits: layout.usedBits,
+    capacityBits: layout.capacityBits,
+  };
+};
+
+/**
+ * Generates a QR code (model 2)
+ * @param {string} text - Content of the symbol
+ * @param {string} errorCorrectionLevel - L, M, Q or H
+ * @param {Object} encoding - { version, versionMode, maskPattern, mode, eci }. version 0 chooses the smallest version,
+ * otherwise versionMode 'minimum' uses it as the smallest allowed version and 'fixed' uses exactly this version.
+ * maskPattern -1 chooses the mask with the lowest penalty, mode 'auto' splits the text into optimal numeric,
+ * alphanumeric and byte segments, otherwise the whole text is encoded in numeric, alphanumeric, byte or kanji mode.
+ * eci 'none' encodes bytes as UTF-8 without ECI header, 'utf-8', 'iso-8859-1' and 'shift-jis' add the header.
+ * @param {Object|null} structuredAppend - { index, total, parity } to make the symbol part of a structured append sequence
+ * @return {Object} - { size, modules, version, errorCorrectionLevel, maskPattern, segments, usedBits, capacityBits }
+ * with modules being the row-major bitmask
+ */
+export const createQRCode = (text, errorCorrectionLevel = 'M', encoding = {}, structuredAppend = null) => {
+  if (!ERROR_CORRECTION_LEVELS.includes(errorCorrectionLevel)) {
+    throw new Error(`Unknown error correction level ${errorCorrectionLevel}`);
+  }
+  if (text === '') {
+    throw new Error('No input text');
+  }
+  const layout = getLayout(text, errorCorrectionLevel, encoding, structuredAppend ? STRUCTURED_APPEND_HEADER_BITS : 0);
+  const { version } = layout;
+  const size = 4 * version + 17;
+
+  const dataCodewords = getDataCodewords(layout, errorCorrectionLevel, encoding, structuredAppend);
+  const codewords = getInterleavedCodewords(dataCodewords, version, errorCorrectionLevel);
+  const { modules, isFunction } = getFunctionPatterns(version);
+  placeCodewords(modules, isFunction, size, codewords);
+
+  const maskPattern = Number(encoding.maskPattern);
+  const candidates = maskPattern >= 0 && maskPattern < MASKS.length ? [maskPattern] : MASKS.map((mask, i) => i);
+  let best = null;
+  candidates.forEach((maskNo) => {
+    const masked = modules.map((module, i) => {
+      const row = Math.floor(i / size);
+      const col = i % size;
+      return !isFunction[i] && MASKS[maskNo](row, col) ? module ^ 1 : module;
+    });
+    placeFormatBits((row, col, dark) => {
+      masked[row * size + col] = dark ? 1 : 0;
+    }, size, errorCorrectionLevel, maskNo);
+    const penalty = candidates.length > 1 ? getMaskPenalty(masked, size) : 0;
+    if (best === null || penalty < best.penalty) {
+      best = { penalty, modules: masked, maskPattern: maskNo };
+    }
+  });
+
+  return {
+    size,
+    modules: best.modules,
+    version,
+    errorCorrectionLevel,
+    maskPattern: best.maskPattern,
+    segments: layout.segments.map((segment) => ({ mode: segment.mode, length: getSegmentLength(segment) })),
+    usedBits: layout.usedBits,
+    capacityBits: layout.capacityBits,
+  };
+};
+
+/**
+ * Maps the modules of a QR code to its codewords and error correction blocks. The error correction level is read
+ * from the first copy of the format information.
+ * @param {number[]} modules - Row-major modules of the symbol
+ * @return {Object|null} - { errorCorrectionLevel, codewords, blocks, correctable } with codewords holding the codeword
+ * of every module (-1 for function patterns and remainder bits), blocks the error correction block of every codeword
+ * in placement order and correctable the number of erroneous codewords one block can correct.
+ * Null if the modules are not a QR code.
+ */
+export const getCodewordMap = (modules) => {
+  const size = Math.sqrt(modules.length);
+  const version = (size - 17) / 4;
+  if (!Number.isInteger(version) || version < 1 || version > 40) {
+    return null;
+  }
+
+  // the first 15 modules set by placeFormatBits() are the first copy, least significant bit first
+  let formatBits = 0;
+  let bit = 0;
+  placeFormatBits((row, col) => {
+    if (bit < 15) {
+      formatBits |= (modules[row * size + col] ? 1 : 0) << bit;
+    }
+    bit += 1;
+  }, size, 'L', 0);
+  const levelBits = ((formatBits ^ 0x5412) >> 13) & 3;
+  const errorCorrectionLevel = ERROR_CORRECTION_LEVELS.find((level) => FORMAT_LEVEL_BITS[level] === levelBits);
+
+  const totalCodewords = Math.floor(getRawDataModules(version) / 8);
+  const codewords = new Int16Array(size * size).fill(-1);
+  const { isFunction } = getFunctionPatterns(version);
+  getPlacementOrder(isFunction, size).forEach((module, i) => {
+    if (i < totalCodewords * 8) {
+      codewords[module] = i >> 3;
+    }
+  });
+
+  // same interleaving as getInterleavedCodewords()
+  const blockCount = EC_BLOCKS[errorCorrectionLevel][version];
+  const ecLength = EC_CODEWORDS_PER_BLOCK[errorCorrectionLevel][version];
+  const shortBlockCount = blockCount - (totalCodewords % blockCount);
+  const shortBlockDataLength = Math.floor(totalCodewords / blockCount) - ecLength;
+  const blocks = [];
+  for (let i = 0; i <= shortBlockDataLength; i += 1) {
+    for (let block = 0; block < blockCount; block += 1) {
+      if (i < shortBlockDataLength + (block < shortBlockCount ? 0 : 1)) {
+        blocks.push(block);
+      }
+    }
+  }
+  for (let i = 0; i < ecLength; i += 1) {
+    for (let block = 0; block < blockCount; block += 1) {
+      blocks.push(block);
+    }
+  }
+
+  return {
+    errorCorrectionLevel,
+    codewords,
+    blocks,
+    correctable: Math.floor(ecLength / 2),
+  };
+};
+
+/**
+ * Splits the text into as few symbols as possible for structured append. The text is divided into parts of equal
+ * length and all symbols use the version of the largest part, so every symbol has the same size.
+ * @param {string} text - Content of all symbols
+ * @param {string} errorCorrectionLevel - L, M, Q or H
+ * @param {Object} encoding - Encoding options, see createQRCode()
+ * @param {number} maxVersion - Largest version of a single symbol, ignored for a fixed version
+ * @return {Object} - { parts, parity, version, size, usedBits, capacityBits } with parts being the text of every symbol
+ * and usedBits the bits used by the fullest symbol
+ */
+export const getStructuredAppendLayout = (text, errorCorrectionLevel = 'M', encoding = {}, maxVersion = 40) => {
+  const chars = Array.from(text);
+  const charset = getCharset(encoding);
+  // XOR of all bytes of the text, identifies the symbols belonging together
+  const parity = chars.reduce((value, char) => getCharBytes(char, charset).reduce((result, byte) => result ^ byte, value), 0);
+  // fails early for characters that can not be encoded in the chosen mode
+  getSegments(chars, 1, encoding);
+  const versionLimit = encoding.version && encoding.versionMode === 'fixed' ? encoding.version : maxVersion;
+
+  for (let count = 1; count <= Math.min(MAX_STRUCTURED_APPEND_SYMBOLS, chars.length); count += 1) {
+    const parts = [];
+    for (let i = 0; i < count; i += 1) {
+      parts.push(chars.slice(Math.floor((i * chars.length) / count), Math.floor(((i + 1) * chars.length) / count)).join(''));
+    }
+    try {
+      const layouts = parts.map((part) => getLayout(part, errorCorrectionLevel, encoding,
+        count > 1 ? STRUCTURED_APPEND_HEADER_BITS : 0, versionLimit));
+      const version = Math.max(...layouts.map((layout) => layout.version));
+      return {
+        parts,
+        parity,
+        version,
+        size: 4 * version + 17,
+        usedBits: Math.max(...layouts.map((layout) => layout.usedBits)),
+        capacityBits: getDataCodewordCount(version, errorCorrectionLevel) * 8,
+      };
+    } catch (e) {
+      // at least one part is too long, try with one more symbol
+    }
+  }
+  throw new Error(`The text does not fit into ${MAX_STRUCTURED_APPEND_SYMBOLS} QR codes of version ${versionLimit}`);
+};
+
+/**
+ * Generates the linked symbols of a structured append sequence, see getStructuredAppendLayout().
+ * Texts that fit into a single symbol result in a regular QR code.
+ * @param {string} text - Content of all symbols
+ * @param {string} errorCorrectionLevel - L, M, Q or H
+ * @param {Object} encoding - Encoding options, see createQRCode()
+ * @param {number} maxVersion - Largest version of a single symbol
+ * @return {Object[]} - QR codes, see createQRCode()
+ */
+export const createStructuredAppend = (text, errorCorrectionLevel = 'M', encoding = {}, maxVersion = 40) => {
+  const { parts, parity, version } = getStructuredAppendLayout(text, errorCorrectionLevel, encoding, maxVersion);
+  const symbolEncoding = { ...encoding, version, versionMode: 'fixed' };
+  if (parts.length === 1) {
+    return [createQRCode(text, errorCorrectionLevel, symbolEncoding)];
+  }
+  return parts.map((part, index) => createQRCode(part, errorCorrectionLevel, symbolEncoding, {
+    index,
+    total: parts.length,
+    parity,
+  }));
+};
+
+export default createQRCode;
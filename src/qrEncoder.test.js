@@ -0,0 +1,74 @@
+import { describe, expect, it } from 'vitest';
+import { createQRCode, createStructuredAppend } from './qrEncoder';
+import { decodeModules } from './decodeTestUtils';
+
+/**
+ * @param {Object} qrCode - QR code, see createQRCode()
+ * @return {Promise<Object>} - zxing result of the only symbol found
+ */
+const decode = async (qrCode) => {
+  const results = await decodeModules(qrCode.modules, qrCode.size, ['QRCode']);
+  expect(results).toHaveLength(1);
+  return results[0];
+};
+
+describe('createQRCode', () => {
+  it.each([
+    ['L', 1, 'hello'],
+    ['M', 7, 'https://example.com/a/longer/path?with=query&and=parameters'],
+    ['Q', 15, 'QR CODE 12345 '.repeat(20)],
+    ['H', 40, '0123456789'.repeat(100)],
+  ])('reads back error correction level %s at version %i', async (level, version, text) => {
+    const qrCode = createQRCode(text, level, { version, versionMode: 'fixed' });
+    const result = await decode(qrCode);
+
+    expect(qrCode.version).toBe(version);
+    expect(result.text).toBe(text);
+    expect(result.eccLevel).toBe(level);
+    expect(result.version).toBe(String(version));
+  });
+
+  it.each([
+    ['numeric', '31415926535897932384'],
+    ['alphanumeric', 'HELLO WORLD $%*+-./:'],
+    ['byte', 'Grüße aus Köln!'],
+    ['kanji', '点茗漢字'],
+    ['auto', 'ORDER 0012345678901234 for Müller'],
+  ])('reads back %s mode', async (mode, text) => {
+    const qrCode = createQRCode(text, 'M', { mode });
+    const result = await decode(qrCode);
+
+    expect(result.text).toBe(text);
+    if (mode !== 'auto') {
+      expect(qrCode.segments.map((segment) => segment.mode)).toEqual([mode]);
+    }
+  });
+
+  it.each(['utf-8', 'iso-8859-1', 'shift-jis'])('reads back bytes with the %s ECI header', async (eci) => {
+    const text = eci === 'shift-jis' ? 'テスト' : 'Crème brûlée';
+    const result = await decode(createQRCode(text, 'M', { mode: 'byte', eci }));
+
+    expect(result.text).toBe(text);
+  });
+
+  it.each([0, 3, 7])('reads back mask pattern %i', async (maskPattern) => {
+    const qrCode = createQRCode('mask', 'L', { maskPattern });
+
+    expect(qrCode.maskPattern).toBe(maskPattern);
+    expect((await decode(qrCode)).text).toBe('mask');
+  });
+});
+
+describe('createStructuredAppend', () => {
+  it('splits a long text into linked symbols that read back in order', async () => {
+    const text = 'BEGIN:VCARD\nVERSION:3.0\nFN:Erika Mustermann\nTEL:+49 30 1234567\nEMAIL:erika@example.com\nEND:VCARD';
+    const symbols = createStructuredAppend(text, 'M', {}, 3);
+    const results = await Promise.all(symbols.map(decode));
+
+    expect(symbols.length).toBeGreaterThan(1);
+    expect(new Set(symbols.map((symbol) => symbol.version))).toEqual(new Set([3]));
+    expect(results.map((result) => [result.sequenceIndex, result.sequenceSize])).toEqual(symbols.map((symbol, i) => [i, symbols.length]));
+    expect(new Set(results.map((result) => result.sequenceId)).size).toBe(1);
+    expect(results.map((result) => result.text).join('')).toBe(text);
+  });
+});
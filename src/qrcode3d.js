@@ -2,7 +2,57 @@ import * as THREE from 'three';
 import * as BufferGeometryUtils from 'three/addons/utils/BufferGeometryUtils.js';
 import { CSG } from 'three-csg-ts';
 import BaseTag3D from './base';
-import { getRoundedRectShape, getBoundingBoxSize, subtractMesh } from './utils';
+import {
+  getRoundedRectShape, getBoundingBoxSize, subtractMesh, getTopEdgeExtrudeGeometry, getEdgeExtrudeGeometry,
+} from './utils';
+import {
+  getModuleCells, getHeightfieldGeometry, getGridContours, getRoundedOutline,
+} from './gridGeometry';
+import { getCodewordMap } from './qrEncoder';
+import { getCityDepthFunction } from './cityMode';
+
+// corners where diagonally touching modules meet are cut by this fraction of the top edge size,
+// shorter cuts would make the inset outline of the bevel cross itself
+const PINCH_CUT_RATIO = 0.6;
+// gap between styled modules of full size (in mm), touching modules would share edges or single points
+const MODULE_GAP = 0.01;
+// number of times the icon is scaled down to keep the finder, timing and format areas free
+const MAX_ICON_SHRINK_STEPS = 20;
+
+/**
+ * Tests a triangle against an axis aligned rectangle using the separating axis theorem, touching counts as no overlap
+ * @param {number[][]} triangle - Corners of the triangle as [x, y]
+ * @param {number} minX - Lower x coordinate of the rectangle
+ * @param {number} minY - Lower y coordinate of the rectangle
+ * @param {number} maxX - Upper x coordinate of the rectangle
+ * @param {number} maxY - Upper y coordinate of the rectangle
+ * @return {boolean} - True if the interiors overlap
+ */
+const triangleIntersectsRect = (triangle, minX, minY, maxX, maxY) => {
+  const epsilon = 1e-9;
+  const xs = triangle.map(([x]) => x);
+  const ys = triangle.map(([, y]) => y);
+  if (Math.max(...xs) <= minX + epsilon || Math.min(...xs) >= maxX - epsilon
+    || Math.max(...ys) <= minY + epsilon || Math.min(...ys) >= maxY - epsilon) {
+    return false;
+  }
+  const corners = [[minX, minY], [maxX, minY], [maxX, maxY], [minX, maxY]];
+  for (let i = 0; i < 3; i += 1) {
+    const [ax, ay] = triangle[i];
+    const [bx, by] = triangle[(i + 1) % 3];
+    const normalX = ay - by;
+    const normalY = bx - ax;
+    const project = ([x, y]) => normalX * x + normalY * y;
+    const triangleValues = triangle.map(project);
+    const rectValues = corners.map(project);
+    const scale = Math.hypot(normalX, normalY) * epsilon;
+    if (Math.max(...triangleValues) <= Math.min(...rectValues) + scale
+      || Math.max(...rectValues) <= Math.min(...triangleValues) + scale) {
+      return false;
+    }
+  }
+  return true;
+};
 
 /**
  * Class used for generating the 3D model from a bitmask that contains the QR Code Data.
@@ -14,7 +64,10 @@ class QRCode3D extends BaseTag3D {
     this.bitMask = qrCodeBitmask;
     this.maskWidth = Math.sqrt(this.bitMask.length);
     this.iconMesh = null;
+    // modules cleared for the icon, see knockOutIcon()
+    this.iconModules = null;
     this.qrcodeMesh = null;
+    this.eyesMesh = null;
     this.exportedMeshes = super.getPartMeshes();
     // the width of the actual qr code blocks
     this.blockWidth = (this.availableWidth / this.maskWidth) * (this.options.code.blockSizeMultiplier / 100);
@@ -28,6 +81,13 @@ class QRCode3D extends BaseTag3D {
     };
   }
 
+  /**
+   * @return {number} - Distance from the edges of the base to the code
+   */
+  getContentMargin() {
+    return this.options.code.margin;
+  }
+
   /**
    * @return {THREE.Mesh} the 3D mesh of the icon
    */
@@ -867,38 +927,594 @@ class QRCode3D extends BaseTag3D {
   }
 
   /**
+   * @param {number} x - Row of the module in the bitmask
+   * @param {number} y - Column of the module in the bitmask
+   * @return {boolean} - True if the module belongs to a finder pattern with its separator, a timing pattern or the
+   * format and version information. These modules are never cleared for the icon.
+   */
+  isProtectedModule(x, y) {
+    const size = this.maskWidth;
+    if (x === 6 || y === 6) {
+      return true;
+    }
+    if ((x < 9 && y < 9) || (x < 9 && y >= size - 8) || (x >= size - 8 && y < 9)) {
+      return true;
+    }
+    // the version information of version 7 and up
+    return size >= 45 && ((x < 6 && y >= size - 11 && y < size - 8) || (y < 6 && x >= size - 11 && x < size - 8));
+  }
+
+  /**
+   * Finds the modules that intersect the outline of the icon, every module is grown by code.iconPadding modules
+   * on each side before testing it against the triangles of the icon
+   * @return {Uint8Array} - 1 for every module covered by the icon, indexed like the bitmask
+   */
+  getIconModules() {
+    const covered = new Uint8Array(this.bitMask.length);
+    const pitch = this.availableWidth / this.maskWidth;
+    const padding = Math.max(0, Number(this.options.code.iconPadding) || 0) * pitch;
+    const half = this.availableWidth / 2;
+    const geometry = this.iconMesh.geometry.index !== null
+      ? this.iconMesh.geometry.toNonIndexed() : this.iconMesh.geometry.clone();
+    geometry.applyMatrix4(this.iconMesh.matrix);
+    const positions = geometry.getAttribute('position');
+    const toModule = (value) => Math.floor((value + half) / pitch);
+
+    for (let i = 0; i + 2 < positions.count; i += 3) {
+      const triangle = [0, 1, 2].map((k) => [positions.getX(i + k), positions.getY(i + k)]);
+      const [[ax, ay], [bx, by], [cx, cy]] = triangle;
+      // the side walls of the extruded icon have no footprint
+      if (Math.abs((bx - ax) * (cy - ay) - (by - ay) * (cx - ax)) < 1e-9) {
+        continue;
+      }
+      const minX = Math.max(0, toModule(Math.min(ax, bx, cx) - padding));
+      const maxX = Math.min(this.maskWidth - 1, toModule(Math.max(ax, bx, cx) + padding));
+      const minY = Math.max(0, toModule(Math.min(ay, by, cy) - padding));
+      const maxY = Math.min(this.maskWidth - 1, toModule(Math.max(ay, by, cy) + padding));
+      for (let x = minX; x <= maxX; x += 1) {
+        for (let y = minY; y <= maxY; y += 1) {
+          if (!covered[x * this.maskWidth + y] && triangleIntersectsRect(triangle,
+            x * pitch - half - padding, y * pitch - half - padding,
+            (x + 1) * pitch - half + padding, (y + 1) * pitch - half + padding)) {
+            covered[x * this.maskWidth + y] = 1;
+          }
+        }
+      }
+    }
+    return covered;
+  }
+
+  /**
+   * Decides which modules are cleared for the icon. An icon reaching into the finder, timing or format
+   * areas is scaled down in steps of 10% until these modules stay free.
+   */
+  knockOutIcon() {
+    const touchesProtectedModules = (modules) => modules.some((covered, i) => covered
+      && this.isProtectedModule(Math.floor(i / this.maskWidth), i % this.maskWidth));
+
+    let modules = this.getIconModules();
+    let scale = 1;
+    for (let step = 0; step < MAX_ICON_SHRINK_STEPS && touchesProtectedModules(modules); step += 1) {
+      scale *= 0.9;
+      // scale around the center of the icon so it stays in place
+      const center = new THREE.Box3().setFromObject(this.iconMesh).getCenter(new THREE.Vector3());
+      ['x', 'y'].forEach((axis) => {
+        this.iconMesh.scale[axis] *= 0.9;
+        this.iconMesh.position[axis] = center[axis] + (this.iconMesh.position[axis] - center[axis]) * 0.9;
+      });
+      this.iconMesh.updateMatrix();
+      modules = this.getIconModules();
+    }
+    modules.forEach((covered, i) => {
+      if (covered && this.isProtectedModule(Math.floor(i / this.maskWidth), i % this.maskWidth)) {
+        modules[i] = 0;
+      }
+    });
+
+    this.iconModules = modules;
+    this.iconCompatibilityStatus.knockout = this.getIconKnockoutStatus(modules, scale);
+  }
+
+  /**
+   * Estimates the damage done by the icon. Every codeword with at least one cleared module counts as destroyed,
+   * the fullest error correction block decides whether the code can still be read.
+   * @param {Uint8Array} modules - Cleared modules, see getIconModules()
+   * @param {number} scale - Factor the icon was scaled down by to keep the protected modules free
+   * @return {Object} - { coveredModules, iconSizeRatio, iconSizeLimited, destroyedCodewords, totalCodewords,
+   * destroyedPercent, errorCorrectionUsage } with errorCorrectionUsage in percent of the correctable codewords
+   */
+  getIconKnockoutStatus(modules, scale) {
+    const status = {
+      coveredModules: modules.reduce((sum, covered) => sum + covered, 0),
+      iconSizeRatio: Math.round(this.options.code.iconSizeRatio * scale * 10) / 10,
+      iconSizeLimited: scale < 1,
+      destroyedCodewords: null,
+      totalCodewords: null,
+      destroyedPercent: null,
+      errorCorrectionUsage: null,
+    };
+    const codewordMap = getCodewordMap(this.bitMask);
+    if (!codewordMap) {
+      return status;
+    }
+
+    const destroyed = new Set();
+    modules.forEach((covered, i) => {
+      if (covered && codewordMap.codewords[i] >= 0) {
+        destroyed.add(codewordMap.codewords[i]);
+      }
+    });
+    const blockCount = Math.max(...codewordMap.blocks) + 1;
+    const destroyedPerBlock = new Array(blockCount).fill(0);
+    destroyed.forEach((codeword) => {
+      destroyedPerBlock[codewordMap.blocks[codeword]] += 1;
+    });
+
+    status.destroyedCodewords = destroyed.size;
+    status.totalCodewords = codewordMap.blocks.length;
+    status.destroyedPercent = Math.round((destroyed.size / codewordMap.blocks.length) * 1000) / 10;
+    status.errorCorrectionUsage = Math.round((Math.max(...destroyedPerBlock) / codewordMap.correctable) * 100);
+    return status;
+  }
+
+  /**
+   * @param {number} x - Row of the module in the bitmask
+   * @param {number} y - Column of the module in the bitmask
+   * @return {boolean} - True if the module is cleared for the icon
+   */
+  isModuleCoveredByIcon(x, y) {
+    return !!this.iconModules && this.iconModules[x * this.maskWidth + y] === 1;
+  }
+
+  /**
+   * @return {Object|null} - { u, v, radius } of the icon in the coordinates of the city mode, see getCityDepthFunction()
+   */
+  getCityIcon() {
+    if (!this.iconMesh) {
+      return null;
+    }
+    const { knockout } = this.iconCompatibilityStatus;
+    const iconSizeRatio = knockout ? knockout.iconSizeRatio : this.options.code.iconSizeRatio;
+    // the icon is centered and its longer side is iconSizeRatio percent of the code width
+    return { u: 0, v: 0, radius: iconSizeRatio / 100 };
+  }
+
+  /**
+   * Determines the extrusion depth of every module, 0 for modules that are not printed
+   * @param {boolean} flat - True to give all modules the code depth, even in city mode
+   * @return {Float64Array} - Depths indexed like the bitmask
+   */
+  getModuleDepths(flat = false) {
+    const depths = new Float64Array(this.bitMask.length);
+    const getCityDepth = this.isCityMode() && !flat ? getCityDepthFunction(this.options.code, this.getCityIcon()) : null;
+    // eyes with custom styles are generated separately
+    const eyeModules = new Uint8Array(this.bitMask.length);
+    if (this.hasCustomEyes()) {
+      this.getEyePatterns().forEach((pattern) => {
+        for (let x = pattern.x; x < pattern.x + pattern.size; x += 1) {
+          eyeModules.fill(1, x * this.maskWidth + pattern.y, x * this.maskWidth + pattern.y + pattern.size);
+        }
+      });
+    }
+    for (let x = 0; x < this.maskWidth; x += 1) {
+      for (let y = 0; y < this.maskWidth; y += 1) {
+        if (this.bitMask[x * this.maskWidth + y] && !eyeModules[x * this.maskWidth + y]
+          && !this.isModuleCoveredByIcon(x, y)) {
+          let blockDepth = this.options.code.depth;
+          if (getCityDepth) {
+            // rows run from the top to the bottom of the code, columns from left to right
+            blockDepth = getCityDepth(((y + 0.5) / this.maskWidth) * 2 - 1, 1 - ((x + 0.5) / this.maskWidth) * 2);
+          }
+          depths[x * this.maskWidth + y] = blockDepth;
+        }
+      }
+    }
+    return depths;
+  }
+
+  /**
+   * Builds the raised modules as one watertight solid. Neighbouring modules of the same depth are
+   * merged into rectangles and share their side walls instead of overlapping as single boxes.
+   * @param {Float64Array} depths - Depth of every module, see getModuleDepths()
+   * @return {THREE.Mesh} - The mesh of all modules
+   */
+  getModuleReliefMesh(depths) {
+    const pitch = this.availableWidth / this.maskWidth;
+    const { coords, modules } = getModuleCells(this.maskWidth, pitch, this.blockWidth);
+    const gridCoords = coords.map((c) => c - this.availableWidth / 2);
+    const baseZ = this.options.base.depth;
+
+    const geometry = getHeightfieldGeometry(gridCoords, gridCoords, (i, j) => {
+      let depth = 0;
+      modules[i].forEach((x) => {
+        modules[j].forEach((y) => {
+          depth = Math.max(depth, depths[x * this.maskWidth + y]);
+        });
+      });
+      return depth > 0 ? baseZ + depth : null;
+    }, baseZ);
+
+    return new THREE.Mesh(geometry, this.materialDetail);
+  }
+
+  /**
+   * Checks whether the modules at the given position form a position or alignment pattern,
+   * i.e. concentric squares with a dark outer ring, a light ring and a dark center
+   * @param {number} x - First row of the pattern
+   * @param {number} y - First column of the pattern
+   * @param {number} size - Width of the pattern in modules (7 for finder, 5 for alignment patterns)
+   * @return {boolean} - True if the bitmask contains the pattern at this position
+   */
+  isPatternAt(x, y, size) {
+    if (x < 0 || y < 0 || x + size > this.maskWidth || y + size > this.maskWidth) {
+      return false;
+    }
+    const half = (size - 1) / 2;
+    for (let dx = 0; dx < size; dx += 1) {
+      for (let dy = 0; dy < size; dy += 1) {
+        const ring = Math.max(Math.abs(dx - half), Math.abs(dy - half));
+        if (!!this.bitMask[(x + dx) * this.maskWidth + y + dy] !== (ring !== half - 1)) {
+          return false;
+        }
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Returns the finder patterns of the code, which are kept square for styled modules so the code can still be located
+   * @return {Object[]} - Patterns as { x, y, size } in modules, x and y being the first row and column
+   */
+  getFinderPatterns() {
+    return [[0, 0], [this.maskWidth - 7, 0], [0, this.maskWidth - 7]]
+      .filter(([x, y]) => this.isPatternAt(x, y, 7))
+      .map(([x, y]) => ({ x, y, size: 7 }));
+  }
+
+  /**
+   * Returns the alignment patterns of the code. Candidates are taken from the positions defined for
+   * the QR code version and only kept if the bitmask actually contains the pattern.
+   * @return {Object[]} - Patterns as { x, y, size } in modules, x and y being the first row and column
+   */
+  getAlignmentPatterns() {
+    const version = (this.maskWidth - 17) / 4;
+    if (!Number.isInteger(version) || version < 2 || version > 40) {
+      return [];
+    }
+    const count = Math.floor(version / 7) + 2;
+    const interval = this.maskWidth === 145 ? 26 : Math.ceil((this.maskWidth - 13) / (2 * count - 2)) * 2;
+    const coords = [this.maskWidth - 7];
+    for (let i = 1; i < count - 1; i += 1) {
+      coords.push(coords[i - 1] - interval);
+    }
+    coords.push(6);
+
+    const finders = this.getFinderPatterns();
+    const patterns = [];
+    coords.forEach((cx) => {
+      coords.forEach((cy) => {
+        const pattern = { x: cx - 2, y: cy - 2, size: 5 };
+        const overlapsFinder = finders.some((finder) => pattern.x < finder.x + finder.size && finder.x < pattern.x + pattern.size
+          && pattern.y < finder.y + finder.size && finder.y < pattern.y + pattern.size);
+        if (!overlapsFinder && this.isPatternAt(pattern.x, pattern.y, pattern.size)) {
+          patterns.push(pattern);
+        }
+      });
+    });
+    return patterns;
+  }
+
+  /**
+   * @return {Object[]} - All finder and alignment patterns that are rendered as styled eyes, except those hidden by the icon
+   */
+  getEyePatterns() {
+    return [...this.getFinderPatterns(), ...this.getAlignmentPatterns()].filter((pattern) => {
+      for (let x = pattern.x; x < pattern.x + pattern.size; x += 1) {
+        for (let y = pattern.y; y < pattern.y + pattern.size; y += 1) {
+          if (this.isModuleCoveredByIcon(x, y)) {
+            return false;
+          }
+        }
+      }
+      return true;
+    });
+  }
+
+  /**
+   * @return {boolean} - True if the eyes are rendered with their own styles and as a separate part
+   */
+  hasCustomEyes() {
+    return !!this.options.code.customEyes && !this.isInverted();
+  }
+
+  /**
+   * @param {number} x - Row of the module in the bitmask
+   * @param {number} y - Column of the module in the bitmask
+   * @return {boolean} - True if the module is part of a finder pattern
+   */
+  isFinderPatternModule(x, y) {
+    return this.getFinderPatterns().some((pattern) => x >= pattern.x && x < pattern.x + pattern.size
+      && y >= pattern.y && y < pattern.y + pattern.size);
+  }
+
+  /**
+   * Returns the outline of a single eye frame or pupil
+   * @param {string} style - One of square, rounded, circle and leaf
+   * @param {number} x - Lower x coordinate of the outline
+   * @param {number} y - Lower y coordinate of the outline
+   * @param {number} size - Width of the outline
+   * @param {boolean} flipLeaf - Round the other two corners for leaf shaped eyes
+   * @return {THREE.Vector2[]} - Counter-clockwise points of the outline
+   */
+  getEyeOutline(style, x, y, size, flipLeaf) {
+    // radius of the corners at (x, y), (x + size, y), (x + size, y + size) and (x, y + size)
+    let radii = [0, 0, 0, 0];
+    if (style === 'rounded') {
+      radii = [0.25, 0.25, 0.25, 0.25];
+    } else if (style === 'circle') {
+      radii = [0.5, 0.5, 0.5, 0.5];
+    } else if (style === 'leaf') {
+      radii = flipLeaf ? [0.35, 0, 0.35, 0] : [0, 0.35, 0, 0.35];
+    }
+
+    const corners = [[x, y, 1, 1], [x + size, y, -1, 1], [x + size, y + size, -1, -1], [x, y + size, 1, -1]];
+    const segments = 8;
+    const points = [];
+    corners.forEach(([cx, cy, dx, dy], index) => {
+      const radius = radii[index] * size;
+      if (radius === 0) {
+        points.push(new THREE.Vector2(cx, cy));
+        return;
+      }
+      const centerX = cx + dx * radius;
+      const centerY = cy + dy * radius;
+      // quarter circle around the corner, counter-clockwise
+      const angleStart = Math.PI + index * (Math.PI / 2);
+      for (let k = 0; k <= segments; k += 1) {
+        const angle = angleStart + (k / segments) * (Math.PI / 2);
+        points.push(new THREE.Vector2(centerX + Math.cos(angle) * radius, centerY + Math.sin(angle) * radius));
+      }
+    });
+
+    // neighbouring arcs of circles share their end points
+    return points.filter((point, index) => point.distanceTo(points[(index + 1) % points.length]) > 1e-9);
+  }
+
+  /**
+   * Builds the finder and alignment patterns with the selected frame and pupil styles
+   * @return {THREE.Mesh} - The mesh of all eyes
+   */
+  getEyesMesh() {
+    const pitch = this.availableWidth / this.maskWidth;
+    // patterns are drawn on the module grid, centered like the modules themselves
+    const offset = -this.availableWidth / 2 + this.blockWidth / 2 - pitch / 2;
+    const shapes = [];
+
+    this.getEyePatterns().forEach((pattern) => {
+      const x = pattern.x * pitch + offset;
+      const y = pattern.y * pitch + offset;
+      const size = pattern.size * pitch;
+      // the sharp corners of leaf shaped eyes point to the center of the code
+      const flipLeaf = Math.sign(this.maskWidth / 2 - pattern.x - pattern.size / 2)
+        * Math.sign(this.maskWidth / 2 - pattern.y - pattern.size / 2) < 0;
+
+      const frame = new THREE.Shape(this.getEyeOutline(this.options.code.eyeFrameStyle, x, y, size, flipLeaf));
+      const frameHole = this.getEyeOutline(this.options.code.eyeFrameStyle, x + pitch, y + pitch, size - 2 * pitch, flipLeaf);
+      frame.holes.push(new THREE.Path(frameHole.reverse()));
+      shapes.push(frame);
+
+      const pupilSize = size - 4 * pitch;
+      shapes.push(new THREE.Shape(this.getEyeOutline(this.options.code.eyePupilStyle, x + 2 * pitch, y + 2 * pitch, pupilSize, flipLeaf)));
+    });
+
+    // the rings of the eyes are one module wide
+    const geometry = getTopEdgeExtrudeGeometry(
+      shapes,
+      this.options.code.eyeDepth || this.options.code.depth,
+      this.options.code.topEdgeStyle,
+      this.getCodeTopEdgeSize(pitch),
+    );
+    geometry.translate(0, 0, this.options.base.depth);
+    return new THREE.Mesh(geometry, this.materialDetail);
+  }
+
+  /**
+   * @param {boolean} flat - True for modules with flat tops, whatever the top edge style
+   * @return {number} - Size of the chamfered or rounded top edges of the modules, 0 for flat tops
+   */
+  getModuleTopEdgeSize(flat = false) {
+    if (flat) {
+      return 0;
+    }
+    const pitch = this.availableWidth / this.maskWidth;
+    return this.getCodeTopEdgeSize(Math.min(pitch, this.blockWidth));
+  }
+
+  /**
+   * Builds the modules with the selected module style as extruded 2D shapes.
+   * Every module shape stays centered on its position in the grid and finder patterns stay square, so the code still scans.
+   * Square modules only end up here for chamfered or rounded top edges.
+   * @param {Float64Array} depths - Depth of every module, see getModuleDepths()
+   * @param {boolean} flat - True for modules with flat tops, see getModuleTopEdgeSize()
+   * @return {THREE.Mesh} - The mesh of all modules
+   */
+  getStyledModulesMesh(depths, flat = false) {
+    const style = this.options.code.moduleStyle;
+    const pitch = this.availableWidth / this.maskWidth;
+    const edgeSize = this.getModuleTopEdgeSize(flat);
+    const getCenter = (k) => (k / this.maskWidth) * this.availableWidth - this.availableWidth / 2 + this.blockWidth / 2;
+    const shapesByDepth = new Map();
+    const addShape = (depth, shape) => {
+      if (!shapesByDepth.has(depth)) {
+        shapesByDepth.set(depth, []);
+      }
+      shapesByDepth.get(depth).push(shape);
+    };
+
+    // connected modules as one outline on the module grid, with rounded corners
+    const cellOffset = getCenter(0) - pitch / 2;
+    const addRegions = (isFilled, convexRadius, concaveRadius) => {
+      const toShapePoints = (points) => getRoundedOutline(points, convexRadius, concaveRadius, 4)
+        .map(([i, j]) => new THREE.Vector2(i * pitch + cellOffset, j * pitch + cellOffset));
+      getGridContours(this.maskWidth, this.maskWidth, isFilled).forEach((region) => {
+        const shape = new THREE.Shape(toShapePoints(region.outline));
+        shape.holes = region.holes.map((hole) => new THREE.Path(toShapePoints(hole)));
+        addShape(depths[region.cell[0] * this.maskWidth + region.cell[1]], shape);
+      });
+    };
+
+    if (style === 'liquid') {
+      addRegions((x, y) => depths[x * this.maskWidth + y] > 0, 0.5, 0.25);
+    } else if (!style || style === 'square') {
+      // connected modules of the same depth form one block, so the edges only run along the outline of the dark areas
+      const { coords, modules } = getModuleCells(this.maskWidth, pitch, this.blockWidth);
+      const gridCoords = coords.map((c) => c - this.availableWidth / 2);
+      const size = coords.length - 1;
+      const cellDepths = new Float64Array(size * size);
+      for (let i = 0; i < size; i += 1) {
+        for (let j = 0; j < size; j += 1) {
+          modules[i].forEach((x) => {
+            modules[j].forEach((y) => {
+              cellDepths[i * size + j] = Math.max(cellDepths[i * size + j], depths[x * this.maskWidth + y]);
+            });
+          });
+        }
+      }
+      new Set(cellDepths).forEach((depth) => {
+        if (depth <= 0) {
+          return;
+        }
+        getGridContours(size, size, (i, j) => cellDepths[i * size + j] === depth).forEach((region) => {
+          // the outlines of a region pass corners where two of its modules touch diagonally twice,
+          // such corners cannot be beveled, so both sides are cut off
+          const corners = new Map();
+          [region.outline, ...region.holes].flat().forEach(([i, j]) => {
+            corners.set(i * (size + 1) + j, (corners.get(i * (size + 1) + j) || 0) + 1);
+          });
+          const cut = edgeSize * PINCH_CUT_RATIO;
+          const toShapePoints = (points) => points.flatMap((point, index) => {
+            const prev = points[(index + points.length - 1) % points.length];
+            const next = points[(index + 1) % points.length];
+            // the filled cells are on the left of the outline, it is inset by half the module gap towards them,
+            // so regions touching other regions diagonally or at a different depth stay separate solids
+            const inset = MODULE_GAP / 2;
+            const x = gridCoords[point[0]] - (Math.sign(point[1] - prev[1]) + Math.sign(next[1] - point[1])) * inset;
+            const y = gridCoords[point[1]] + (Math.sign(point[0] - prev[0]) + Math.sign(next[0] - point[0])) * inset;
+            if (corners.get(point[0] * (size + 1) + point[1]) < 2) {
+              return [new THREE.Vector2(x, y)];
+            }
+            return [
+              new THREE.Vector2(x - Math.sign(point[0] - prev[0]) * cut, y - Math.sign(point[1] - prev[1]) * cut),
+              new THREE.Vector2(x + Math.sign(next[0] - point[0]) * cut, y + Math.sign(next[1] - point[1]) * cut),
+            ];
+          });
+          const shape = new THREE.Shape(toShapePoints(region.outline));
+          shape.holes = region.holes.map((hole) => new THREE.Path(toShapePoints(hole)));
+          addShape(depth, shape);
+        });
+      });
+    } else {
+      addRegions((x, y) => depths[x * this.maskWidth + y] > 0 && this.isFinderPatternModule(x, y), 0, 0);
+
+      const size = Math.min(this.blockWidth, pitch - MODULE_GAP);
+      for (let x = 0; x < this.maskWidth; x += 1) {
+        for (let y = 0; y < this.maskWidth; y += 1) {
+          const depth = depths[x * this.maskWidth + y];
+          if (depth > 0 && !this.isFinderPatternModule(x, y)) {
+            const cx = getCenter(x);
+            const cy = getCenter(y);
+            let shape;
+            if (style === 'circle') {
+              shape = new THREE.Shape();
+              shape.absarc(cx, cy, size / 2, 0, Math.PI * 2, false);
+            } else if (style === 'diamond') {
+              shape = new THREE.Shape();
+              shape.moveTo(cx + size / 2, cy);
+              shape.lineTo(cx, cy + size / 2);
+              shape.lineTo(cx - size / 2, cy);
+              shape.lineTo(cx, cy - size / 2);
+              shape.closePath();
+            } else {
+              shape = getRoundedRectShape(cx - size / 2, cy - size / 2, size, size, size * 0.3);
+            }
+            addShape(depth, shape);
+          }
+        }
+      }
+    }
+
+    if (shapesByDepth.size === 0) {
+      return new THREE.Mesh(new THREE.BufferGeometry(), this.materialDetail);
+    }
+
+    const geometries = [];
+    shapesByDepth.forEach((shapes, depth) => {
+      const geometry = getEdgeExtrudeGeometry(shapes, depth, { style: this.options.code.topEdgeStyle, size: edgeSize }, 6);
+      geometry.translate(0, 0, this.options.base.depth);
+      geometries.push(geometry.index !== null ? geometry.toNonIndexed() : geometry);
+    });
+
+    return new THREE.Mesh(BufferGeometryUtils.mergeGeometries(geometries), this.materialDetail);
+  }
+
+  /**
+   * Builds the inverted code: the whole area inside the border is raised, except for the dark modules.
+   * The relief is generated directly from the bitmask, so no boolean operations are needed.
+   * @param {Float64Array} depths - Depth of every module, see getModuleDepths()
+   * @return {THREE.Mesh} - The mesh of the raised inner area
+   */
+  getInvertedReliefMesh(depths) {
+    const pitch = this.availableWidth / this.maskWidth;
+    const { coords, modules } = getModuleCells(this.maskWidth, pitch, this.blockWidth);
+    const gridCoords = coords.map((c) => c - this.availableWidth / 2);
+    const baseZ = this.options.base.depth;
+    const topZ = baseZ + this.options.code.depth;
+
+    const geometry = getHeightfieldGeometry(gridCoords, gridCoords, (i, j) => {
+      const isDark = modules[i].some((x) => modules[j].some((y) => depths[x * this.maskWidth + y] > 0));
+      return isDark ? null : topZ;
+    }, baseZ, {
+      outline: this.getInnerAreaShape().extractPoints(12).shape,
+      height: topZ,
+    });
+
+    return new THREE.Mesh(geometry, this.materialDetail);
+  }
+
+  /**
+   * @param {boolean} flat - True to build the modules with one height and flat tops and without the old model
+   * generation, their outline cuts the pockets of the base, see embedMeshes()
    * @return {THREE.Mesh} the mesh of the actual QR-Code segment
    */
-  getQRCodeMesh() {
-    const invert = this.options.code.invert;
-    const useOldCompatMode = this.options.code.compatibilityMode;
-    const iconSize = this.iconMesh ? getBoundingBoxSize(this.iconMesh) : null;
-    // fast path for non-inverted QR codes or when using compatibility mode (avoid CSG)
-    if (!invert || useOldCompatMode) {
+  getQRCodeMesh(flat = false) {
+    const invert = this.isInverted();
+    const useOldCompatMode = this.options.code.compatibilityMode && !flat;
+
+    const isStyled = this.options.code.moduleStyle && this.options.code.moduleStyle !== 'square';
+    if (!invert && (isStyled || (!useOldCompatMode && this.getModuleTopEdgeSize(flat) > 0))) {
+      return this.getStyledModulesMesh(this.getModuleDepths(flat), flat);
+    }
+
+    if (!invert && !useOldCompatMode) {
+      return this.getModuleReliefMesh(this.getModuleDepths(flat));
+    }
+
+    // old model generation: one box per module, avoids CSG as well
+    if (useOldCompatMode) {
       // Warn user if inversion is requested but compatibility mode is enabled
-      if (invert && useOldCompatMode) {
+      if (invert) {
         console.warn('TinkerCAD compatibility mode: QR code inversion disabled to avoid geometry errors');
       }
+      const depths = this.getModuleDepths();
       const geometries = [];
       for (let y = 0; y < this.maskWidth; y += 1) {
         for (let x = 0; x < this.maskWidth; x += 1) {
-          if (!this.bitMask[x * this.maskWidth + y]) continue;
-          let blockDepth = this.options.code.depth;
-          if (this.options.code.cityMode) {
-            blockDepth = Math.min(this.options.code.depth, this.options.code.depthMax)
-              + Math.random() * Math.abs(this.options.code.depthMax - this.options.code.depth);
-          }
+          const blockDepth = depths[x * this.maskWidth + y];
+          if (!blockDepth) continue;
           const blockGeo = new THREE.BoxGeometry(this.blockWidth, this.blockWidth, blockDepth);
           const blockMesh = new THREE.Mesh(blockGeo, this.materialDetail);
           const blockX = (x / this.maskWidth) * this.availableWidth - this.availableWidth / 2 + this.blockWidth / 2;
           const blockY = (y / this.maskWidth) * this.availableWidth - this.availableWidth / 2 + this.blockWidth / 2;
-          if (this.iconMesh) {
-            const margin = Math.min(this.blockWidth * 1.5, 4);
-            if (blockX > -iconSize.x / 2 - margin && blockX < iconSize.x / 2 + margin
-              && blockY > -iconSize.y / 2 - margin && blockY < iconSize.y / 2 + margin) {
-              continue;
-            }
-          }
           blockMesh.position.set(blockX, blockY, this.options.base.depth + blockDepth / 2);
           blockMesh.updateMatrix();
           const clonedBlockGeometry = blockGeo.clone();
@@ -922,189 +1538,19 @@ class QRCode3D extends BaseTag3D {
       return new THREE.Mesh(qrcodeGeometry, this.materialDetail);
     }
 
-  // slow path for inverted QR codes
-  // Initialize CSG only when we have the first valid block to avoid empty geometry issues
-  let bspQRMesh = null;
-    // iterate through pixels in QR Code Bitmask
-    for (let y = 0; y < this.maskWidth; y += 1) {
-      for (let x = 0; x < this.maskWidth; x += 1) {
-        const isBlack = !!this.bitMask[x * this.maskWidth + y];
-        if (isBlack) {
-          // if pixel is black create a block
-          let blockDepth = this.options.code.depth;
-          if (this.options.code.cityMode) {
-            blockDepth = Math.min(this.options.code.depth, this.options.code.depthMax) + Math.random() * Math.abs(this.options.code.depthMax - this.options.code.depth);
-          }
-
-          const qrBlock = new THREE.BoxGeometry(
-            this.blockWidth,
-            this.blockWidth,
-            blockDepth,
-          );
-
-          const qrBlockMesh = new THREE.Mesh(qrBlock, this.materialDetail);
-
-          // qr code block positions
-          let blockX = (x / this.maskWidth) * this.availableWidth;
-          blockX -= this.availableWidth / 2;
-          blockX += this.blockWidth / 2;
-
-          let blockY = (y / this.maskWidth) * this.availableWidth;
-          blockY -= this.availableWidth / 2;
-          blockY += this.blockWidth / 2;
-
-          if (this.iconMesh) {
-            // don't draw block if it collides with icon bounding box
-            const safetyMargin = Math.min(this.blockWidth * 1.5, 4);
-            if ((blockX > -iconSize.x / 2 - safetyMargin
-              && blockX < iconSize.x / 2 + safetyMargin)
-              && (blockY > -iconSize.y / 2 - safetyMargin
-              && blockY < +iconSize.y / 2 + safetyMargin)) {
-              // eslint-disable-next-line no-continue
-              continue;
-            }
-          }
-
-          const blockZ = this.options.base.depth + blockDepth / 2;
-          qrBlockMesh.position.set(blockX, blockY, blockZ);
-
-          // add qr code blocks to qrcode and combined model
-          qrBlockMesh.updateMatrix();
-          const bspBlockMesh = CSG.fromMesh(qrBlockMesh);
-          if (bspQRMesh) {
-            bspQRMesh = bspQRMesh.union(bspBlockMesh);
-          } else {
-            // First block initializes the CSG tree
-            bspQRMesh = bspBlockMesh;
-          }
-          // qrcodeGeometry.merge(qrBlockMesh.geometry, qrBlockMesh.matrix);
-        }
-      }
-    }
-    // If no blocks were added (edge case), build and return just the inner area mesh
-    if (!bspQRMesh) {
-      const cornerRadius = this.getCornerRadius();
-      const textBaseOffset = this.getTextBaseOffset();
-      const topOffset = this.getTextTopOffset();
-      const leftOffset = this.getTextLeftOffset();
-      const isOffsetTopBottom = this.options.base.textPlacement === 'top' || this.options.base.textPlacement === 'bottom' || this.options.base.textPlacement === 'center';
-      const isOffsetLeftRight = this.options.base.textPlacement === 'left' || this.options.base.textPlacement === 'right';
-
-      let innerAreaShape;
-      if (isOffsetTopBottom) {
-        innerAreaShape = getRoundedRectShape(
-          -(this.options.base.height + topOffset - this.options.base.borderWidth * 2) / 2,
-          -(this.options.base.width - this.options.base.borderWidth * 2) / 2,
-          this.options.base.height + textBaseOffset - this.options.base.borderWidth * 2,
-          this.options.base.width - this.options.base.borderWidth * 2,
-          Math.max(0, cornerRadius - this.options.base.borderWidth),
-        );
-      } else if (isOffsetLeftRight) {
-        innerAreaShape = getRoundedRectShape(
-          -(this.options.base.height - this.options.base.borderWidth * 2) / 2,
-          -(this.options.base.width + leftOffset - this.options.base.borderWidth * 2) / 2,
-          this.options.base.height - this.options.base.borderWidth * 2,
-          this.options.base.width + textBaseOffset - this.options.base.borderWidth * 2,
-          Math.max(0, cornerRadius - this.options.base.borderWidth),
-        );
-      }
-
-      const innerAreaMesh = new THREE.Mesh(new THREE.ExtrudeGeometry(innerAreaShape, {
-        steps: 1,
-        depth: this.options.code.depth,
-        bevelEnabled: false,
-      }), this.materialDetail);
-      innerAreaMesh.position.z = this.options.base.depth;
-      innerAreaMesh.updateMatrix();
-      return innerAreaMesh;
-    }
-
-    const finalBlockMesh = CSG.toMesh(bspQRMesh, new THREE.Matrix4());
-    finalBlockMesh.material = this.materialDetail;
-
-    if (this.options.code.invert) {
-      const cornerRadius = this.getCornerRadius();
-      const textBaseOffset = this.getTextBaseOffset();
-      const topOffset = this.getTextTopOffset();
-      const leftOffset = this.getTextLeftOffset();
-      const isOffsetTopBottom = this.options.base.textPlacement === 'top' || this.options.base.textPlacement === 'bottom' || this.options.base.textPlacement === 'center';
-      const isOffsetLeftRight = this.options.base.textPlacement === 'left' || this.options.base.textPlacement === 'right';
-
-      // const innerAreaShape = getRoundedRectShape(
-      //   -(this.options.base.width + topOffset - this.options.base.borderWidth * 2) / 2,
-      //   -(this.options.base.width - this.options.base.borderWidth * 2) / 2,
-      //   this.options.base.width + textBaseOffset - this.options.base.borderWidth * 2,
-      //   this.options.base.width - this.options.base.borderWidth * 2,
-      //   Math.max(0, cornerRadius - this.options.base.borderWidth),
-      // );
-      let innerAreaShape;
-      if (isOffsetTopBottom) {
-        innerAreaShape = getRoundedRectShape(
-          -(this.options.base.height + topOffset - this.options.base.borderWidth * 2) / 2,
-          -(this.options.base.width - this.options.base.borderWidth * 2) / 2,
-          this.options.base.height + textBaseOffset - this.options.base.borderWidth * 2,
-          this.options.base.width - this.options.base.borderWidth * 2,
-          Math.max(0, cornerRadius - this.options.base.borderWidth),
-        );
-      } else if (isOffsetLeftRight) {
-        innerAreaShape = getRoundedRectShape(
-          -(this.options.base.height - this.options.base.borderWidth * 2) / 2,
-          -(this.options.base.width + leftOffset - this.options.base.borderWidth * 2) / 2,
-          this.options.base.height - this.options.base.borderWidth * 2,
-          this.options.base.width + textBaseOffset - this.options.base.borderWidth * 2,
-          Math.max(0, cornerRadius - this.options.base.borderWidth),
-        );
-      }
-
-      const innerAreaMesh = new THREE.Mesh(new THREE.ExtrudeGeometry(innerAreaShape, {
-        steps: 1,
-        depth: this.options.code.depth,
-        bevelEnabled: false,
-      }), this.materialDetail);
-      innerAreaMesh.position.z = 0;
-      innerAreaMesh.updateMatrix();
-
-      finalBlockMesh.position.z = -this.options.base.depth;
-      finalBlockMesh.updateMatrix();
-
-      const invertedMesh = subtractMesh(innerAreaMesh, finalBlockMesh);
-      invertedMesh.position.z = this.options.base.depth;
-      invertedMesh.updateMatrix();
-      return invertedMesh;
-    }
-
-    return finalBlockMesh;
+    return this.getInvertedReliefMesh(this.getModuleDepths(flat));
   }
 
   /**
    * Returns one merged mesh of all part meshes
    */
   getCombinedMesh() {
-    const baseCombined = super.getCombinedMesh();
-    const geometries = [baseCombined.geometry.clone()];
-
-    if (this.qrcodeMesh) {
-      const qrcodeGeo = this.qrcodeMesh.geometry.clone();
-      qrcodeGeo.applyMatrix4(this.qrcodeMesh.matrix);
-      geometries.push(qrcodeGeo);
-    }
-
-    if (this.iconMesh && !this.options.code.invert) {
-      const iconGeo = this.iconMesh.geometry.clone();
-      iconGeo.applyMatrix4(this.iconMesh.matrix);
-      geometries.push(iconGeo);
-    }
-
-    // Ensure all geometries are non-indexed for compatibility
-    const compatibleGeometries = geometries.map(geo => {
-      if (geo.index !== null) {
-        return geo.toNonIndexed();
-      }
-      return geo;
-    });
-
-    const combinedGeometry = BufferGeometryUtils.mergeGeometries(compatibleGeometries);
-    this.combinedMesh = new THREE.Mesh(combinedGeometry, this.materialBase);
+    this.combinedMesh = this.mergePartMeshes([
+      super.getCombinedMesh(),
+      this.qrcodeMesh,
+      this.eyesMesh,
+      this.isInverted() ? null : this.iconMesh,
+    ]);
     return this.combinedMesh;
   }
 
@@ -1112,7 +1558,7 @@ class QRCode3D extends BaseTag3D {
    * Generates all required meshes of the 3D model and combines them
    */
   async generate3dModel() {
-    super.generate3dModel();
+    this.generateBaseMeshes();
 
     if (this.options.code.iconName !== 'none') {
       try {
@@ -1132,6 +1578,7 @@ class QRCode3D extends BaseTag3D {
         } else {
           // Clear any previous error
           this.iconGenerationError = null;
+          this.knockOutIcon();
         }
       } catch (iconError) {
         console.error('Unexpected error during icon generation:', iconError);
@@ -1149,19 +1596,54 @@ class QRCode3D extends BaseTag3D {
 
     this.qrcodeMesh = this.getQRCodeMesh();
 
-    if (this.options.code.invert) {
+    if (this.hasCustomEyes()) {
+      this.eyesMesh = this.getEyesMesh();
+    }
+
+    if (this.isDebossed()) {
+      // the modules, eyes and icon only remain as recesses in the base
+      const outline = this.options.code.compatibilityMode ? this.getQRCodeMesh(true) : null;
+      this.cutRecesses([this.qrcodeMesh, this.eyesMesh, this.iconMesh], this.options.code.depth, [outline]);
+      this.qrcodeMesh = null;
+      this.eyesMesh = null;
+      this.iconMesh = null;
+      this.finishModel();
+      return;
+    }
+    if (this.isInlaid()) {
+      const outline = this.options.code.compatibilityMode ? this.getQRCodeMesh(true) : null;
+      [this.qrcodeMesh, this.eyesMesh, this.iconMesh] = this.inlayMeshes([this.qrcodeMesh, this.eyesMesh, this.iconMesh], [outline]);
+    }
+
+    if (this.isInverted()) {
       if (this.subtitleMesh) {
         this.qrcodeMesh = subtractMesh(this.qrcodeMesh, this.subtitleMesh);
       }
       if (this.iconMesh) {
         this.qrcodeMesh = subtractMesh(this.qrcodeMesh, this.iconMesh);
       }
-    } else if (this.iconMesh) {
-      this.exportedMeshes.icon = this.iconMesh;
     }
 
-    this.exportedMeshes.qrcode = this.qrcodeMesh;
-    this.exportedMeshes.combined = this.getCombinedMesh();
+    if (this.hasDualExtrusion()) {
+      // the icon of inverted codes is cut out of the code and keeps the color of the base
+      const outline = this.isCityMode() || this.options.code.compatibilityMode ? this.getQRCodeMesh(true) : null;
+      const embedded = this.embedMeshes([this.qrcodeMesh, this.eyesMesh, this.isInverted() ? null : this.iconMesh], [outline]);
+      [this.qrcodeMesh, this.eyesMesh] = embedded;
+      if (!this.isInverted()) {
+        [, , this.iconMesh] = embedded;
+      }
+    }
+
+    if (this.eyesMesh) {
+      this.exportedMeshes.eyes = this.eyesMesh;
+    }
+    if (this.iconMesh && !this.isInverted()) {
+      this.exportedMeshes.icon = this.iconMesh;
+    }
+    if (this.qrcodeMesh) {
+      this.exportedMeshes.qrcode = this.qrcodeMesh;
+    }
+    this.finishModel();
   }
 
   /**
@@ -0,0 +1,93 @@
+import { describe, expect, it } from 'vitest';
+import QRCode3D from './qrcode3d';
+import { checkGeometry } from './meshCheck';
+import { createQRCode } from './qrEncoder';
+
+/**
+ * @param {Object} code - Code options that differ from the defaults
+ * @param {boolean} dualExtrusion - True to print the code with its own filament
+ * @return {Object} - Options of a 50 mm tag with a raised code and no text
+ */
+const getOptions = (code, dualExtrusion) => ({
+  base: {
+    shape: 'roundedRectangle',
+    width: 50,
+    height: 50,
+    depth: 2,
+    cornerRadius: 3,
+    hasBorder: false,
+    hasText: false,
+    hasKeychainAttachment: false,
+    hasNfcIndentation: false,
+  },
+  code: {
+    depth: 1,
+    margin: 3,
+    blockSizeMultiplier: 100,
+    moduleStyle: 'square',
+    iconName: 'none',
+    cityMode: false,
+    depthMax: 3,
+    invert: false,
+    compatibilityMode: false,
+    topEdgeStyle: 'flat',
+    topEdgeSize: 0.3,
+    placement: 'raised',
+    ...code,
+  },
+  dualExtrusion,
+});
+
+/**
+ * @param {Object} code - Code options that differ from the defaults
+ * @param {boolean} dualExtrusion - True to print the code with its own filament
+ * @return {Object} - The part meshes of the generated model
+ */
+const generateParts = async (code = {}, dualExtrusion = false) => {
+  const { modules } = createQRCode('hello', 'L');
+  const model = new QRCode3D(modules, getOptions(code, dualExtrusion));
+  await model.generate3dModel();
+  return model.getPartMeshes();
+};
+
+describe('dual extrusion', () => {
+  it.each([
+    ['flat modules', {}],
+    ['city mode', { cityMode: true }],
+  ])('cuts closed pockets into the base for %s', async (name, code) => {
+    const { base, qrcode } = await generateParts(code, true);
+
+    expect(checkGeometry(base.geometry)).toMatchObject({ openEdges: 0, nonManifoldEdges: 0, degenerateTriangles: 0 });
+    expect(checkGeometry(qrcode.geometry)).toMatchObject({ openEdges: 0, nonManifoldEdges: 0 });
+  });
+});
+
+describe('code cut into the base', () => {
+  it.each(['debossed', 'inlay'])('cuts the %s boxes of the old model generation as one outline', async (placement) => {
+    const { base } = await generateParts({ placement, compatibilityMode: true });
+
+    expect(checkGeometry(base.geometry)).toMatchObject({ openEdges: 0, nonManifoldEdges: 0, overlappingFaces: 0 });
+  });
+});
+
+describe('module styles', () => {
+  it.each(['circle', 'diamond', 'rounded'])('keeps %s modules of full size apart', async (moduleStyle) => {
+    const { qrcode } = await generateParts({ moduleStyle });
+
+    expect(checkGeometry(qrcode.geometry)).toMatchObject({ openEdges: 0, nonManifoldEdges: 0, overlappingShells: 0 });
+  });
+});
+
+describe('top edges', () => {
+  it.each([
+    ['chamfered', { topEdgeStyle: 'chamfer', topEdgeSize: 0.2 }],
+    ['rounded', { topEdgeStyle: 'round', topEdgeSize: 0.3 }],
+    ['chamfered city mode', { topEdgeStyle: 'chamfer', topEdgeSize: 0.2, cityMode: true }],
+  ])('builds %s square modules as closed solids', async (name, code) => {
+    const { qrcode } = await generateParts(code);
+
+    expect(checkGeometry(qrcode.geometry)).toMatchObject({
+      openEdges: 0, nonManifoldEdges: 0, flippedEdges: 0, degenerateTriangles: 0,
+    });
+  });
+});
@@ -0,0 +1,222 @@
+import * as THREE from 'three';
+import * as BufferGeometryUtils from 'three/addons/utils/BufferGeometryUtils.js';
+import BaseTag3D from './base';
+import QRCode3D from './qrcode3d';
+import { subtractMesh, getBoundingBoxSize } from './utils';
+import { getHeightfieldGeometry } from './gridGeometry';
+
+// distance between separate tags in the preview
+const TAG_DISTANCE = 5;
+
+/**
+ * Merges the geometries of meshes with their transformations applied
+ * @param {THREE.Mesh[]} meshes - Meshes to merge
+ * @param {THREE.Material} material - Material of the merged mesh
+ * @return {THREE.Mesh} - The merged mesh
+ */
+const mergeMeshes = (meshes, material) => {
+  const geometries = meshes.map((mesh) => {
+    const geometry = mesh.geometry.clone();
+    geometry.applyMatrix4(mesh.matrix);
+    return geometry.index !== null ? geometry.toNonIndexed() : geometry;
+  });
+  return new THREE.Mesh(BufferGeometryUtils.mergeGeometries(geometries), material);
+};
+
+/**
+ * Class used for generating the 3D model of the linked QR codes of a structured append sequence.
+ * The symbols are laid out in reading order in a grid or a row on one base, or generated as separate tags.
+ * Every symbol is generated by its own QRCode3D instance.
+ */
+class QRCodeGroup3D extends BaseTag3D {
+  constructor(qrCodeBitmasks, options) {
+    super(options);
+    this.bitMasks = qrCodeBitmasks;
+    this.layout = this.options.structuredAppend.layout;
+    this.columns = this.layout === 'row' ? this.bitMasks.length : Math.ceil(Math.sqrt(this.bitMasks.length));
+    this.rows = Math.ceil(this.bitMasks.length / this.columns);
+
+    if (this.layout !== 'separate') {
+      this.spacing = this.options.structuredAppend.spacing;
+      // every symbol is centered in a square cell, neighbouring cells share the spacing between the symbols
+      this.cellSize = (this.availableWidth + this.spacing) / this.columns;
+      if (this.hasRectangularBase()) {
+        // the base grows along x to fit all rows, the rows always fit into the square inside round and polygonal bases
+        this.options.base.height = this.rows * this.cellSize - this.spacing + (this.options.base.width - this.availableWidth);
+      }
+    }
+
+    this.qrcodeMesh = null;
+    this.eyesMesh = null;
+    this.exportedMeshes = super.getPartMeshes();
+  }
+
+  /**
+   * @return {number} - Distance from the edges of the base to the code
+   */
+  getContentMargin() {
+    return this.options.code.margin;
+  }
+
+  /**
+   * @param {number} index - Position of the symbol in the sequence
+   * @return {Object} - { x, y } center of the cell of the symbol
+   */
+  getCellCenter(index) {
+    const row = Math.floor(index / this.columns);
+    const column = index % this.columns;
+    return {
+      x: (row + 0.5 - this.rows / 2) * this.cellSize,
+      y: (column + 0.5 - this.columns / 2) * this.cellSize,
+    };
+  }
+
+  /**
+   * @return {Object} - Options of a single symbol on the common base, the symbol fills its cell except for half the spacing
+   */
+  getSymbolOptions() {
+    const options = JSON.parse(JSON.stringify(this.options));
+    options.base = {
+      ...options.base,
+      shape: 'square',
+      width: this.cellSize,
+      height: this.cellSize,
+      hasBorder: false,
+      borderWidth: 0,
+      hasText: false,
+      hasKeychainAttachment: false,
+      hasNfcIndentation: false,
+    };
+    options.code = {
+      ...options.code,
+      margin: this.spacing / 2,
+      iconName: 'none',
+      iconShapes: null,
+    };
+    return options;
+  }
+
+  /**
+   * Builds the modules of all symbols. For inverted codes the area around the cells and empty cells of the grid are raised as well.
+   * @param {boolean} flat - True for modules with one height and flat tops, see QRCode3D.getQRCodeMesh()
+   * @return {THREE.Mesh} - The mesh of all symbols
+   */
+  getQRCodeMesh(flat = false) {
+    const codeMeshes = [];
+    const eyesMeshes = [];
+    this.bitMasks.forEach((bitMask, index) => {
+      const symbol = new QRCode3D(bitMask, this.getSymbolOptions());
+      const { x, y } = this.getCellCenter(index);
+      const place = (mesh) => {
+        mesh.position.x += x;
+        mesh.position.y += y;
+        mesh.updateMatrix();
+        return mesh;
+      };
+      codeMeshes.push(place(symbol.getQRCodeMesh(flat)));
+      if (symbol.hasCustomEyes()) {
+        eyesMeshes.push(place(symbol.getEyesMesh()));
+      }
+    });
+
+    if (this.isInverted()) {
+      const halfX = (this.rows * this.cellSize) / 2;
+      const halfY = (this.columns * this.cellSize) / 2;
+      const xs = Array.from({ length: this.rows + 1 }, (v, i) => i * this.cellSize - halfX);
+      const ys = Array.from({ length: this.columns + 1 }, (v, j) => j * this.cellSize - halfY);
+      const topZ = this.options.base.depth + this.options.code.depth;
+      const outline = this.getInnerAreaShape().extractPoints(12).shape;
+      const geometry = getHeightfieldGeometry(xs, ys, (i, j) => (i * this.columns + j < this.bitMasks.length ? null : topZ),
+        this.options.base.depth, { outline, height: topZ });
+      if (geometry.getAttribute('position') && geometry.getAttribute('position').count > 0) {
+        codeMeshes.push(new THREE.Mesh(geometry, this.materialDetail));
+      }
+    }
+
+    this.eyesMesh = eyesMeshes.length > 0 ? mergeMeshes(eyesMeshes, this.materialDetail) : null;
+    return mergeMeshes(codeMeshes, this.materialDetail);
+  }
+
+  /**
+   * Returns one merged mesh of all part meshes
+   */
+  getCombinedMesh() {
+    this.combinedMesh = this.mergePartMeshes([super.getCombinedMesh(), this.qrcodeMesh, this.eyesMesh]);
+    return this.combinedMesh;
+  }
+
+  /**
+   * Generates every symbol as a complete tag. The parts of each tag are exported as tag<number>-<part>,
+   * the tags are placed next to each other in a grid.
+   */
+  async generateSeparateTags() {
+    const combinedMeshes = [];
+    let tagSize = null;
+    for (let index = 0; index < this.bitMasks.length; index += 1) {
+      const tag = new QRCode3D(this.bitMasks[index], JSON.parse(JSON.stringify(this.options)));
+      // share the materials so the parts of all tags can be told apart by them
+      tag.materialBase = this.materialBase;
+      tag.materialDetail = this.materialDetail;
+      // eslint-disable-next-line no-await-in-loop
+      await tag.generate3dModel();
+      const parts = tag.getPartMeshes();
+      if (!tagSize) {
+        tagSize = getBoundingBoxSize(parts.combined);
+      }
+      const row = Math.floor(index / this.columns);
+      const column = index % this.columns;
+      Object.keys(parts).forEach((key) => {
+        parts[key].position.x += row * (tagSize.x + TAG_DISTANCE);
+        parts[key].position.y += column * (tagSize.y + TAG_DISTANCE);
+        parts[key].updateMatrix();
+        this.exportedMeshes[`tag${index + 1}-${key}`] = parts[key];
+      });
+      combinedMeshes.push(parts.combined);
+    }
+    this.exportedMeshes.combined = mergeMeshes(combinedMeshes, this.materialBase);
+  }
+
+  /**
+   * Generates all required meshes of the 3D model and combines them
+   */
+  async generate3dModel() {
+    if (this.layout === 'separate') {
+      await this.generateSeparateTags();
+      return;
+    }
+
+    this.generateBaseMeshes();
+    this.qrcodeMesh = this.getQRCodeMesh();
+    if (this.isDebossed()) {
+      const { eyesMesh } = this;
+      const outline = this.options.code.compatibilityMode ? this.getQRCodeMesh(true) : null;
+      this.cutRecesses([this.qrcodeMesh, eyesMesh], this.options.code.depth, [outline]);
+      this.qrcodeMesh = null;
+      this.eyesMesh = null;
+      this.finishModel();
+      return;
+    }
+    if (this.isInlaid()) {
+      const { eyesMesh } = this;
+      const outline = this.options.code.compatibilityMode ? this.getQRCodeMesh(true) : null;
+      [this.qrcodeMesh, this.eyesMesh] = this.inlayMeshes([this.qrcodeMesh, eyesMesh], [outline]);
+    }
+    if (this.isInverted() && this.subtitleMesh) {
+      this.qrcodeMesh = subtractMesh(this.qrcodeMesh, this.subtitleMesh);
+    }
+    if (this.hasDualExtrusion()) {
+      const { eyesMesh } = this;
+      const outline = this.isCityMode() || this.options.code.compatibilityMode ? this.getQRCodeMesh(true) : null;
+      [this.qrcodeMesh, this.eyesMesh] = this.embedMeshes([this.qrcodeMesh, eyesMesh], [outline]);
+    }
+    if (this.eyesMesh) {
+      this.exportedMeshes.eyes = this.eyesMesh;
+    }
+    if (this.qrcodeMesh) {
+      this.exportedMeshes.qrcode = this.qrcodeMesh;
+    }
+    this.finishModel();
+  }
+}
+
+export default QRCodeGroup3D;
@@ -0,0 +1,76 @@
+/* eslint-disable no-bitwise */
+
+const fields = {};
+
+/**
+ * Returns the exponent and logarithm tables of a Galois field GF(2^bits)
+ * @param {number} bits - Word size of the field
+ * @param {number} primitive - Primitive polynomial of the field, e.g. 0x12d for x^8 + x^5 + x^3 + x^2 + 1
+ * @return {Object} - { size, exp, log }
+ */
+export const getGaloisField = (bits, primitive) => {
+  const key = `${bits}-${primitive}`;
+  if (!fields[key]) {
+    const size = 1 << bits;
+    const exp = new Uint16Array(2 * size);
+    const log = new Uint16Array(size);
+    let value = 1;
+    for (let i = 0; i < size - 1; i += 1) {
+      exp[i] = value;
+      log[value] = i;
+      value <<= 1;
+      if (value & size) {
+        value ^= primitive;
+      }
+    }
+    for (let i = size - 1; i < 2 * size; i += 1) {
+      exp[i] = exp[i - (size - 1)];
+    }
+    fields[key] = { size, exp, log };
+  }
+  return fields[key];
+};
+
+const multiply = (field, a, b) => ((a === 0 || b === 0) ? 0 : field.exp[field.log[a] + field.log[b]]);
+
+/**
+ * @param {Object} field - Galois field, see getGaloisField()
+ * @param {number} ecLength - Number of error correction words
+ * @param {number} firstRoot - Exponent of the first root, 1 for Data Matrix and Aztec codes, 0 for QR codes
+ * @return {number[]} - Coefficients of the generator polynomial with the roots a^firstRoot to a^(firstRoot + ecLength - 1),
+ * highest degree first without the leading 1
+ */
+const getGeneratorPolynomial = (field, ecLength, firstRoot) => {
+  let poly = [1];
+  for (let i = firstRoot; i < firstRoot + ecLength; i += 1) {
+    const next = new Array(poly.length + 1).fill(0);
+    poly.forEach((coefficient, j) => {
+      next[j] ^= coefficient;
+      next[j + 1] ^= multiply(field, coefficient, field.exp[i]);
+    });
+    poly = next;
+  }
+  return poly.slice(1);
+};
+
+/**
+ * @param {number[]} data - Data words
+ * @param {number} ecLength - Number of error correction words
+ * @param {Object} field - Galois field, see getGaloisField()
+ * @param {number} firstRoot - Exponent of the first root of the generator polynomial
+ * @return {number[]} - Reed-Solomon error correction words, to be appended to the data words
+ */
+export const getErrorCorrection = (data, ecLength, field, firstRoot = 1) => {
+  const generator = getGeneratorPolynomial(field, ecLength, firstRoot);
+  const remainder = new Array(ecLength).fill(0);
+  data.forEach((word) => {
+    const factor = word ^ remainder.shift();
+    remainder.push(0);
+    if (factor !== 0) {
+      for (let i = 0; i < ecLength; i += 1) {
+        remainder[i] ^= multiply(field, generator[i], factor);
+      }
+    }
+  });
+  return remainder;
+};
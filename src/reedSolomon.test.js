@@ -0,0 +1,33 @@
+/* eslint-disable no-bitwise */
+import { describe, expect, it } from 'vitest';
+import { getGaloisField, getErrorCorrection } from './reedSolomon';
+
+/**
+ * @param {Object} field - Galois field, see getGaloisField()
+ * @param {number[]} words - Coefficients of the polynomial, highest degree first
+ * @param {number} x - Element of the field
+ * @return {number} - Value of the polynomial at x
+ */
+const evaluate = (field, words, x) => words.reduce((sum, word) => {
+  const product = sum === 0 || x === 0 ? 0 : field.exp[field.log[sum] + field.log[x]];
+  return product ^ word;
+}, 0);
+
+describe('getErrorCorrection', () => {
+  it.each([
+    ['Data Matrix', 8, 0x12d, 1],
+    ['QR codes', 8, 0x11d, 0],
+    ['Aztec data words', 6, 0x43, 1],
+    ['the Aztec mode message', 4, 0x13, 1],
+  ])('makes every root of the generator a root of the codeword for %s', (name, bits, primitive, firstRoot) => {
+    const field = getGaloisField(bits, primitive);
+    const ecLength = 6;
+    // a codeword is at most one word shorter than the field size
+    const data = Array.from({ length: Math.min(12, field.size - 1 - ecLength) }, (_, i) => (i * 37 + 5) % field.size);
+    const codeword = [...data, ...getErrorCorrection(data, ecLength, field, firstRoot)];
+
+    const syndromes = Array.from({ length: ecLength }, (_, i) => evaluate(field, codeword, field.exp[firstRoot + i]));
+
+    expect(syndromes).toEqual(new Array(ecLength).fill(0));
+  });
+});
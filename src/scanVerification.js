@@ -0,0 +1,183 @@
+import * as THREE from 'three';
+import { setZXingModuleOverrides, readBarcodesFromImageData } from 'zxing-wasm/reader';
+import zxingReaderWasmUrl from 'zxing-wasm/reader/zxing_reader.wasm?url';
+
+// resolution of the rendered top view in mm per pixel
+const PIXEL_SIZE = 0.1;
+// the longer side of the rendered image is limited to this many pixels, larger models use bigger pixels
+const MAX_IMAGE_SIZE = 2500;
+// light border around the rendered model in pixels, acts as quiet zone for codes without margin
+const IMAGE_PADDING = 20;
+// surfaces at least this far below the top of the base count as recesses
+const RECESS_TOLERANCE = 0.01;
+// light gaps narrower than the nozzle of the printer (in mm) are closed, e.g. between modules below full size
+const NOZZLE_WIDTH = 0.4;
+
+// load the decoder from the bundle instead of a CDN so the verification works offline
+setZXingModuleOverrides({
+  locateFile: (path, prefix) => (path.endsWith('.wasm') ? zxingReaderWasmUrl : prefix + path),
+});
+
+/**
+ * Sets every pixel within the radius of a pixel with the value to the value, a square dilation of these pixels
+ * @param {Uint8Array} mask - One value per pixel
+ * @param {number} width - Width of the image
+ * @param {number} height - Height of the image
+ * @param {number} radius - Distance in pixels
+ * @param {number} value - Value to spread
+ * @return {Uint8Array} - The new mask
+ */
+const spreadValue = (mask, width, height, radius, value) => {
+  const rows = new Uint8Array(mask);
+  for (let i = 0; i < mask.length; i += 1) {
+    if (mask[i] === value) {
+      const column = i % width;
+      rows.fill(value, i - column + Math.max(0, column - radius), i - column + Math.min(width, column + radius + 1));
+    }
+  }
+  const result = new Uint8Array(rows);
+  for (let i = 0; i < rows.length; i += 1) {
+    if (rows[i] === value) {
+      const row = Math.floor(i / width);
+      for (let r = Math.max(0, row - radius); r <= Math.min(height - 1, row + radius); r += 1) {
+        result[r * width + (i % width)] = value;
+      }
+    }
+  }
+  return result;
+};
+
+/**
+ * Renders the meshes from the top with an orthographic projection, like a phone held above the print sees them.
+ * Every pixel gets the color of the highest surface facing upwards, pixels without surface stay light.
+ * Light gaps narrower than the nozzle are closed, the printer does not print them either.
+ * @param {THREE.Mesh[]} meshes - Meshes to render
+ * @param {Function} isDark - (mesh) => true if the mesh is printed in the dark color
+ * @param {Object} view - recessTop is the height of the top of the base for debossed codes, lower surfaces are
+ * rendered dark because the recesses lie in shadow. viewMatrix is applied to the meshes before rendering,
+ * e.g. to turn face down models back up.
+ * @return {Object} - { data, width, height } with data being the RGBA pixels
+ */
+export const renderTopView = (meshes, isDark, { recessTop = null, viewMatrix = null } = {}) => {
+  const box = new THREE.Box3();
+  const geometries = meshes.map((mesh) => {
+    mesh.updateMatrixWorld();
+    const geometry = mesh.geometry.index !== null ? mesh.geometry.toNonIndexed() : mesh.geometry.clone();
+    geometry.applyMatrix4(viewMatrix ? viewMatrix.clone().multiply(mesh.matrixWorld) : mesh.matrixWorld);
+    if (geometry.getAttribute('position')) {
+      geometry.computeBoundingBox();
+      box.union(geometry.boundingBox);
+    }
+    return geometry;
+  });
+  const size = box.getSize(new THREE.Vector3());
+  const pixelSize = Math.max(PIXEL_SIZE, Math.max(size.x, size.y) / (MAX_IMAGE_SIZE - 2 * IMAGE_PADDING));
+  const width = Math.ceil(size.x / pixelSize) + 2 * IMAGE_PADDING;
+  const height = Math.ceil(size.y / pixelSize) + 2 * IMAGE_PADDING;
+  const heights = new Float32Array(width * height).fill(-Infinity);
+  const dark = new Uint8Array(width * height);
+
+  // x points to the right and y upwards in the image
+  const toColumn = (x) => (x - box.min.x) / pixelSize + IMAGE_PADDING;
+  const toRow = (y) => (box.max.y - y) / pixelSize + IMAGE_PADDING;
+
+  meshes.forEach((mesh, index) => {
+    const meshIsDark = isDark(mesh) ? 1 : 0;
+    const positions = geometries[index].getAttribute('position');
+    if (!positions) {
+      return;
+    }
+    for (let i = 0; i + 2 < positions.count; i += 3) {
+      const corners = [0, 1, 2].map((k) => [
+        toColumn(positions.getX(i + k)), toRow(positions.getY(i + k)), positions.getZ(i + k),
+      ]);
+      const [[ax, ay, az], [bx, by, bz], [cx, cy, cz]] = corners;
+      // the rows grow downwards, so triangles facing upwards are clockwise in the image
+      const area = (bx - ax) * (cy - ay) - (by - ay) * (cx - ax);
+      if (area > -1e-9) {
+        continue;
+      }
+      const minColumn = Math.max(0, Math.floor(Math.min(ax, bx, cx)));
+      const maxColumn = Math.min(width - 1, Math.ceil(Math.max(ax, bx, cx)));
+      const minRow = Math.max(0, Math.floor(Math.min(ay, by, cy)));
+      const maxRow = Math.min(height - 1, Math.ceil(Math.max(ay, by, cy)));
+      for (let row = minRow; row <= maxRow; row += 1) {
+        for (let column = minColumn; column <= maxColumn; column += 1) {
+          const px = column + 0.5;
+          const py = row + 0.5;
+          // barycentric coordinates of the pixel center
+          const u = ((bx - px) * (cy - py) - (by - py) * (cx - px)) / area;
+          const v = ((cx - px) * (ay - py) - (cy - py) * (ax - px)) / area;
+          const w = 1 - u - v;
+          if (u >= 0 && v >= 0 && w >= 0) {
+            const z = u * az + v * bz + w * cz;
+            if (z > heights[row * width + column]) {
+              heights[row * width + column] = z;
+              dark[row * width + column] = meshIsDark;
+            }
+          }
+        }
+      }
+    }
+  });
+
+  for (let i = 0; i < dark.length; i += 1) {
+    if (recessTop !== null && heights[i] > -Infinity && heights[i] < recessTop - RECESS_TOLERANCE) {
+      dark[i] = 1;
+    }
+  }
+  // growing the dark area and shrinking it again closes the gaps
+  const radius = Math.round(NOZZLE_WIDTH / pixelSize / 2);
+  const closed = spreadValue(spreadValue(dark, width, height, radius, 1), width, height, radius, 0);
+
+  const data = new Uint8ClampedArray(width * height * 4).fill(255);
+  closed.forEach((isDarkPixel, i) => {
+    if (isDarkPixel) {
+      data.fill(0, i * 4, i * 4 + 3);
+    }
+  });
+  return { data, width, height };
+};
+
+/**
+ * Decodes the rendered top view of a generated model and compares the content with the expected text.
+ * The symbols of a structured append sequence are joined in their order before comparing.
+ * @param {Object} parts - Part meshes of the model by name, combined meshes are ignored
+ * @param {THREE.Material} lightMaterial - Material of the parts printed in the light color
+ * @param {string} expectedText - Text the code should contain
+ * @param {Object} view - { recessTop, viewMatrix } of debossed and face down models, see renderTopView()
+ * @return {Promise<Object>} - { status, decodedText } with status being passed, mismatch, unreadable or failed
+ * if the decoder could not run
+ */
+export const verifyScannability = async (parts, lightMaterial, expectedText, view = {}) => {
+  const meshes = Object.keys(parts)
+    .filter((key) => !key.endsWith('combined'))
+    .map((key) => parts[key]);
+  try {
+    const image = renderTopView(meshes, (mesh) => mesh.material !== lightMaterial, view);
+    const results = await readBarcodesFromImageData({ ...image, colorSpace: 'srgb' }, {
+      formats: ['QRCode', 'MicroQRCode'],
+      tryHarder: true,
+      maxNumberOfSymbols: 16,
+    });
+    const symbols = results.filter((result) => result.isValid);
+    if (symbols.length === 0) {
+      return { status: 'unreadable', decodedText: null };
+    }
+
+    const sequence = symbols.filter((result) => result.sequenceSize > 1);
+    let decodedText;
+    if (sequence.length > 0) {
+      decodedText = sequence
+        .sort((a, b) => a.sequenceIndex - b.sequenceIndex)
+        .map((result) => result.text)
+        .join('');
+    } else {
+      decodedText = symbols[0].text;
+    }
+    return { status: decodedText === expectedText ? 'passed' : 'mismatch', decodedText };
+  } catch (error) {
+    console.error('Scan verification failed:', error);
+    return { status: 'failed', decodedText: null };
+  }
+};
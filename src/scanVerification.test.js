@@ -0,0 +1,54 @@
+import { describe, expect, it } from 'vitest';
+import QRCode3D from './qrcode3d';
+import { createQRCode } from './qrEncoder';
+import { verifyScannability } from './scanVerification';
+// loads the decoder outside the browser
+import './decodeTestUtils';
+
+/**
+ * @param {string} text - Text of the code
+ * @param {Object} code - Code options that differ from the defaults
+ * @return {Promise<Object>} - Result of verifyScannability() for the generated model
+ */
+const verifyModel = async (text, code) => {
+  const options = {
+    base: {
+      shape: 'roundedRectangle',
+      width: 50,
+      height: 50,
+      depth: 2,
+      cornerRadius: 3,
+      hasBorder: false,
+      hasText: false,
+      hasKeychainAttachment: false,
+      hasNfcIndentation: false,
+    },
+    code: {
+      depth: 1,
+      margin: 3,
+      blockSizeMultiplier: 100,
+      moduleStyle: 'square',
+      iconName: 'none',
+      cityMode: false,
+      invert: false,
+      compatibilityMode: false,
+      topEdgeStyle: 'flat',
+      placement: 'raised',
+      ...code,
+    },
+  };
+  const model = new QRCode3D(createQRCode(text, 'M').modules, options);
+  await model.generate3dModel();
+  return verifyScannability(model.getPartMeshes(), model.materialBase, text, {
+    recessTop: model.isDebossed() ? options.base.depth : null,
+    viewMatrix: model.getViewMatrix(),
+  });
+};
+
+describe('verifyScannability', () => {
+  it.each([100, 90])('reads a code with a block size of %i %%', async (blockSizeMultiplier) => {
+    const result = await verifyModel('https://example.com', { blockSizeMultiplier });
+
+    expect(result).toEqual({ status: 'passed', decodedText: 'https://example.com' });
+  });
+});
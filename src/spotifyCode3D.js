@@ -1,7 +1,26 @@
 import * as THREE from 'three';
 import * as BufferGeometryUtils from 'three/addons/utils/BufferGeometryUtils.js';
 import BaseTag3D from './base';
-import { getRoundedRectShape, getBoundingBoxSize, subtractMesh } from './utils';
+import { getBoundingBoxSize, subtractMesh, getTopEdgeExtrudeGeometry } from './utils';
+import { getCityDepthFunction } from './cityMode';
+
+/**
+ * Mirrors a non-indexed geometry along z and restores the winding of its faces
+ * @param {THREE.BufferGeometry} geometry - Geometry to flip, changed in place
+ */
+const flipUpsideDown = (geometry) => {
+  geometry.scale(1, 1, -1);
+  Object.values(geometry.attributes).forEach((attribute) => {
+    for (let i = 0; i + 2 < attribute.count; i += 3) {
+      for (let k = 0; k < attribute.itemSize; k += 1) {
+        const second = attribute.getComponent(i + 1, k);
+        attribute.setComponent(i + 1, k, attribute.getComponent(i + 2, k));
+        attribute.setComponent(i + 2, k, second);
+      }
+    }
+  });
+  geometry.computeVertexNormals();
+};
 
 /**
  * Class used for generating the 3D model of the Spotify Code
@@ -35,22 +54,82 @@ class SpotifyCode3D extends BaseTag3D {
     this.exportedMeshes = super.getPartMeshes();
   }
 
+  /**
+   * @return {number} - Distance from the edges of the base to the code
+   */
+  getContentMargin() {
+    return this.options.code.margin;
+  }
+
+  /**
+   * Calculates the depth of every bar in city mode. The positions are taken from the centers of the shapes,
+   * the last shape is the Spotify logo and keeps the regular depth.
+   * @return {number[]} - Depth of every shape
+   */
+  getCityDepths() {
+    const boxes = this.spotifyCodeShapes.map((shape) => new THREE.Box2().setFromPoints(shape.getPoints()));
+    const codeBox = boxes.reduce((union, box) => union.union(box), new THREE.Box2());
+    const codeCenter = codeBox.getCenter(new THREE.Vector2());
+    const halfSize = codeBox.getSize(new THREE.Vector2()).multiplyScalar(0.5);
+    // the shapes use svg coordinates with y pointing downwards
+    const toCodeArea = (box) => {
+      const center = box.getCenter(new THREE.Vector2());
+      return {
+        u: (center.x - codeCenter.x) / halfSize.x,
+        v: -(center.y - codeCenter.y) / halfSize.y,
+      };
+    };
+
+    const logoBox = boxes[boxes.length - 1];
+    const logo = { ...toCodeArea(logoBox), radius: logoBox.getSize(new THREE.Vector2()).x / 2 / halfSize.x };
+    const getCityDepth = getCityDepthFunction(this.options.code, logo);
+    return boxes.map((box, shapeNo) => {
+      if (shapeNo === boxes.length - 1) {
+        return this.options.code.depth;
+      }
+      const { u, v } = toCodeArea(box);
+      return getCityDepth(u, v);
+    });
+  }
+
   /**
    * @return {THREE.Mesh} the 3D mesh of the icon
    */
   async getSpotifyCodeMesh() {
     const geometries = [];
+    const cityDepths = this.isCityMode() ? this.getCityDepths() : null;
+
+    // the shapes use svg units, the bars are the narrowest parts of the code
+    const boxes = this.spotifyCodeShapes.map((shape) => new THREE.Box2().setFromPoints(shape.getPoints()));
+    const codeSize = boxes.reduce((union, box) => union.union(box), new THREE.Box2()).getSize(new THREE.Vector2());
+    const unitsPerMm = Math.max(codeSize.x, codeSize.y) / this.availableWidth;
+    const barWidth = Math.min(...boxes.slice(0, -1).map((box) => {
+      const size = box.getSize(new THREE.Vector2());
+      return Math.min(size.x, size.y);
+    })) / unitsPerMm;
+    const edgeSize = this.getCodeTopEdgeSize(barWidth);
+
     this.spotifyCodeShapes.forEach((shape, shapeNo) => {
-      let shapeDepth = this.options.code.depth;
-      if (this.options.code.cityMode && shapeNo !== this.spotifyCodeShapes.length - 1) {
-        shapeDepth = Math.min(this.options.code.depth, this.options.code.depthMax) + Math.random() * Math.abs(this.options.code.depthMax - this.options.code.depth);
-      }
+      const shapeDepth = cityDepths ? cityDepths[shapeNo] : this.options.code.depth;
       // Finally we can take each shape and extrude it
-      const pathGeometry = new THREE.ExtrudeGeometry(shape, {
-        steps: 1,
-        depth: shapeDepth,
-        bevelEnabled: false,
-      });
+      let pathGeometry;
+      if (edgeSize > 0) {
+        // the edges are beveled in mm, so the shape is scaled to its final size first.
+        // The code is turned upside down below, so the beveled top has to start out at the bottom.
+        const { shape: outline, holes } = shape.extractPoints(12);
+        const toMm = (points) => points.map((point) => point.clone().divideScalar(unitsPerMm));
+        const scaledShape = new THREE.Shape(toMm(outline));
+        scaledShape.holes = holes.map((hole) => new THREE.Path(toMm(hole)));
+        pathGeometry = getTopEdgeExtrudeGeometry(scaledShape, shapeDepth, this.options.code.topEdgeStyle, edgeSize);
+        flipUpsideDown(pathGeometry);
+        pathGeometry.translate(0, 0, shapeDepth);
+      } else {
+        pathGeometry = new THREE.ExtrudeGeometry(shape, {
+          steps: 1,
+          depth: shapeDepth,
+          bevelEnabled: false,
+        });
+      }
 
       const pathMesh = new THREE.Mesh(pathGeometry, this.materialDetail);
       pathMesh.position.set(0, 0, -shapeDepth + this.options.code.depth);
@@ -95,31 +174,34 @@ class SpotifyCode3D extends BaseTag3D {
     spotifyCodeMesh.position.z = this.options.base.depth + this.options.code.depth;
     spotifyCodeMesh.updateMatrix();
 
-    if (this.options.code.invert) {
-      const cornerRadius = this.getCornerRadius();
-      const textBaseOffset = this.getTextBaseOffset();
-      const topOffset = this.getTextTopOffset();
+    if (this.isInverted()) {
+      // cut the outlines of the bars and the logo out of the inner area as 2D holes instead of
+      // subtracting the extruded code, the holes of the logo become separate islands
+      const toCodePlane = new THREE.Matrix4().makeRotationZ(-Math.PI / 2).premultiply(spotifyCodeMesh.matrix);
+      const project = (points) => points.map((point) => {
+        const projected = new THREE.Vector3(point.x, point.y, 0).applyMatrix4(toCodePlane);
+        return new THREE.Vector2(projected.x, projected.y);
+      });
 
-      const innerAreaShape = getRoundedRectShape(
-        -(this.options.base.height + topOffset - this.options.base.borderWidth * 2) / 2,
-        -(this.options.base.width - this.options.base.borderWidth * 2) / 2,
-        this.options.base.height + textBaseOffset - this.options.base.borderWidth * 2,
-        this.options.base.width - this.options.base.borderWidth * 2,
-        Math.max(0, cornerRadius - this.options.base.borderWidth),
-      );
+      const innerAreaShape = this.getInnerAreaShape();
+      const innerAreaClockWise = THREE.ShapeUtils.isClockWise(innerAreaShape.getPoints());
+      const islandShapes = [];
+      this.spotifyCodeShapes.forEach((shape) => {
+        const { shape: outline, holes } = shape.extractPoints(12);
+        // holes need the opposite winding of the outer contour, the projection mirrors the code
+        const holePoints = project(outline);
+        if (THREE.ShapeUtils.isClockWise(holePoints) === innerAreaClockWise) {
+          holePoints.reverse();
+        }
+        innerAreaShape.holes.push(new THREE.Path(holePoints));
+        holes.forEach((hole) => islandShapes.push(new THREE.Shape(project(hole))));
+      });
 
-      const innerAreaMesh = new THREE.Mesh(new THREE.ExtrudeGeometry(innerAreaShape, {
+      const invertedMesh = new THREE.Mesh(new THREE.ExtrudeGeometry([innerAreaShape, ...islandShapes], {
         steps: 1,
         depth: this.options.code.depth,
         bevelEnabled: false,
       }), this.materialDetail);
-      innerAreaMesh.position.z = this.options.base.depth;
-      innerAreaMesh.updateMatrix();
-
-      spotifyCodeMesh.position.z = this.options.base.depth + this.options.code.depth;
-      spotifyCodeMesh.updateMatrix();
-
-      const invertedMesh = subtractMesh(innerAreaMesh, spotifyCodeMesh);
       invertedMesh.position.z = this.options.base.depth;
       invertedMesh.updateMatrix();
       return invertedMesh;
@@ -132,25 +214,7 @@ class SpotifyCode3D extends BaseTag3D {
    * Returns one merged mesh of all part meshes
    */
   getCombinedMesh() {
-    const baseCombined = super.getCombinedMesh();
-    const geometries = [baseCombined.geometry.clone()];
-    
-    if (this.spotifyCodeMesh && this.spotifyCodeMesh.geometry) {
-      const spotifyGeo = this.spotifyCodeMesh.geometry.clone();
-      spotifyGeo.applyMatrix4(this.spotifyCodeMesh.matrix);
-      geometries.push(spotifyGeo);
-    }
-    
-    // Ensure all geometries are non-indexed for compatibility
-    const compatibleGeometries = geometries.map(geo => {
-      if (geo.index !== null) {
-        return geo.toNonIndexed();
-      }
-      return geo;
-    });
-    
-    const combinedGeometry = BufferGeometryUtils.mergeGeometries(compatibleGeometries);
-    this.combinedMesh = new THREE.Mesh(combinedGeometry, this.materialBase);
+    this.combinedMesh = this.mergePartMeshes([super.getCombinedMesh(), this.spotifyCodeMesh]);
     return this.combinedMesh;
   }
 
@@ -158,17 +222,32 @@ class SpotifyCode3D extends BaseTag3D {
    * Generates all required meshes of the 3D model and combines them
    */
   async generate3dModel() {
-    super.generate3dModel();
+    this.generateBaseMeshes();
     this.spotifyCodeMesh = await this.getSpotifyCodeMesh();
 
-    if (this.options.code.invert) {
+    if (this.isDebossed()) {
+      this.cutRecesses([this.spotifyCodeMesh], this.options.code.depth);
+      this.spotifyCodeMesh = null;
+      this.finishModel();
+      return;
+    }
+    if (this.isInlaid()) {
+      [this.spotifyCodeMesh] = this.inlayMeshes([this.spotifyCodeMesh]);
+    }
+
+    if (this.isInverted()) {
       if (this.subtitleMesh) {
         this.spotifyCodeMesh = subtractMesh(this.spotifyCodeMesh, this.subtitleMesh);
       }
     }
+    if (this.hasDualExtrusion()) {
+      [this.spotifyCodeMesh] = this.embedMeshes([this.spotifyCodeMesh]);
+    }
 
-    this.exportedMeshes.spotifyCode = this.spotifyCodeMesh;
-    this.exportedMeshes.combined = this.getCombinedMesh();
+    if (this.spotifyCodeMesh) {
+      this.exportedMeshes.spotifyCode = this.spotifyCodeMesh;
+    }
+    this.finishModel();
   }
 }
 
@@ -19,6 +19,26 @@ export default {
   printabilityWarningBody: `
   Mindestens ein Block im 3D Modell ist sehr kurz: {dimension}.
   Abhängig von deinem 3D-Drucker und dessen Genauigkeit könnte dies den Druck schwerer machen.`,
+  scanCheckPassed: 'Scan-Test bestanden: Die Draufsicht des Modells ergibt den eingegebenen Text.',
+  scanCheckMismatch: 'Scan-Test: Die Draufsicht des Modells ergibt einen anderen Text: "{text}"',
+  scanCheckUnreadable: 'Scan-Test fehlgeschlagen: Die Draufsicht des Modells konnte nicht gelesen werden. Versuche vor dem Drucken ein kleineres Icon, einen größeren Code oder eine höhere Fehlerkorrektur.',
+  scanCheckFailed: 'Der Scan-Test konnte nicht ausgeführt werden.',
+  meshCheckButton: 'Netz prüfen',
+  meshCheckPassed: 'Netzprüfung bestanden: alle Teile sind geschlossene, mannigfaltige Körper.',
+  meshCheckRepaired: 'Netzprüfung: {count} Teil(e) hatten Fehler, die repariert wurden. Alle Teile sind jetzt geschlossene, mannigfaltige Körper.',
+  meshCheckRemaining: 'Netzprüfung: einige Fehler konnten nicht repariert werden in: {parts}. Slicer melden diese Teile möglicherweise als nicht mannigfaltig.',
+  meshCheckTouching: 'Netzprüfung: alle Teile sind geschlossen. Körper berühren sich an einer Kante oder überlappen sich in: {parts}. Die meisten Slicer vereinen sie problemlos.',
+  meshCheckShowDetails: 'Details anzeigen',
+  meshCheckHideDetails: 'Details ausblenden',
+  meshCheckPart: 'Teil',
+  meshCheckTriangles: 'Dreiecke',
+  meshCheckOpenEdges: 'Offene Kanten',
+  meshCheckNonManifoldEdges: 'Nicht mannigfaltige Kanten',
+  meshCheckFlippedEdges: 'Umgedrehte Normalen',
+  meshCheckDegenerateTriangles: 'Entartete Dreiecke',
+  meshCheckOverlappingFaces: 'Doppelte Flächen',
+  meshCheckOverlappingShells: 'Überlappende Körper',
+  meshCheckHelp: 'Jedes Teil wird auf Wunsch oder vor dem Export geprüft und repariert, indem nahe Punkte verschmolzen, entartete und doppelte Dreiecke entfernt, T-Verbindungen geschlossen und umgedrehte Dreiecke gewendet werden. "a → b" zeigt die gefundenen und die nach der Reparatur verbliebenen Fehler. Nicht mannigfaltige Kanten, an denen sich zwei Körper an einer Kante berühren, und Körper, die sich in einem durch die Vereinigung erzeugten kombinierten Modell überlappen, können nicht repariert werden. Die meisten Slicer vereinen sie problemlos.',
   supportMe: 'Unterstütze qrcode2stl',
   viewOnGithub: 'GitHub',
   shareButtonTitle: 'Teile diese Seite',
@@ -49,6 +69,37 @@ export default {
   useEscapeSequences: 'Escape-Sequenzen',
   useEscapeSequencesToggle: 'Escape-Sequenzen interpretieren',
   useEscapeSequencesHelp: 'Beispiele: \\n (neue Zeile), \\t (Tabulator), \\r (Wagenrücklauf)',
+  microQR: 'Micro QR',
+  microQRToggle: 'Einen Micro QR Code erzeugen',
+  microQRHelp: 'Micro QR Codes (M1 bis M4) haben nur ein Positionsmuster und fassen bis zu 35 Ziffern oder 15 Zeichen Text, wodurch sie auch auf winzige Anhänger passen. Fehlerkorrektur H ist nicht verfügbar, stattdessen wird Q verwendet.',
+  microQRSymbol: 'Micro QR {version}: {size} x {size} Module, {length} von {capacity} {mode}.',
+  microQRModeNumeric: 'Ziffern',
+  microQRModeAlphanumeric: 'Zeichen (Großbuchstaben und Ziffern)',
+  microQRModeByte: 'Bytes',
+  microQRErrorDetectionOnly: 'M1 Symbole erkennen Fehler nur.',
+  microQRQuietZoneWarning: 'Micro QR Codes brauchen eine Ruhezone von 2 Modulen, der Rand sollte mindestens {margin} mm breit sein.',
+  qrVersion: 'Version',
+  qrVersionMinimum: 'Mindestens',
+  qrVersionFixed: 'Fest',
+  qrEncodingAuto: 'Automatisch',
+  qrMaskPattern: 'Maskenmuster',
+  qrSegmentMode: 'Kodierungsmodus',
+  qrModeKanji: 'Kanji',
+  qrEci: 'Zeichensatz (ECI)',
+  qrEciNone: 'Keiner (UTF-8)',
+  qrEncodingHelp: 'Mit einer festen Version hat jeder Code gleich viele Module, so haben alle Tags einer Serie dieselbe Modulgröße. Mit einer Mindestversion wird der Code nie kleiner, wächst aber bei längeren Texten.',
+  qrCapacity: 'Version {version} ({size}×{size} Module): {used} von {capacity} Datenbits belegt ({percent}%).',
+  qrModuleSize: 'Modulgröße: {size} mm.',
+  structuredAppend: 'Structured Append',
+  structuredAppendToggle: 'Lange Texte auf verknüpfte QR Codes aufteilen',
+  structuredAppendHelp: 'Teilt den Text auf bis zu 16 QR Codes auf, die Scanner wieder zusammensetzen, so bleiben lange vCards auch bei kleinen Größen druckbar. Zwischen den Codes sollten mindestens 4 Module Abstand bleiben. Icons sind für verknüpfte Codes nicht verfügbar.',
+  structuredAppendMaxVersion: 'Max. Version',
+  structuredAppendLayout: 'Anordnung',
+  structuredAppendLayoutGrid: 'Raster auf einer Platte',
+  structuredAppendLayoutRow: 'Reihe auf einer Platte',
+  structuredAppendLayoutSeparate: 'Einzelne Tags',
+  structuredAppendSpacing: 'Abstand',
+  structuredAppendSymbols: 'Der Text braucht {count} verknüpfte QR Codes.',
   optionalFieldsHint: 'Es müssen nicht alle Felder befüllt werden.',
   // Wifi
   ssidPlaceholder: 'Der Name des Wifi-Netzwerks',
@@ -104,6 +155,37 @@ export default {
   spotifyUriHelp: 'Du bekommst die Spotify URI für ein Lied/Album/Playlist/User indem du auf "Teilen" und dann "URI" klickst.',
   spotifyCodeHeightInfo: 'Spotify Codes haben ein festes Seitenverhätnis von 4:1',
 
+  //
+  // Data Matrix Options Panel
+  //
+  dataMatrixOptions: 'Data Matrix Optionen',
+  dataMatrixTextPlaceholder: 'Der Inhalt deines Data Matrix Codes z.B. eine Teilenummer wie BIN-0042',
+  dataMatrixHelp: 'Data Matrix (ECC200) Codes werden häufig zur Kennzeichnung von Teilen und Vorrichtungen genutzt. Die Symbolgröße wird automatisch gewählt.',
+  dataMatrixSize: 'Symbolgröße: {size} x {size} Module',
+
+  //
+  // Aztec Options Panel
+  //
+  aztecOptions: 'Aztec Code Optionen',
+  aztecTextPlaceholder: 'Der Inhalt deines Aztec Codes z.B. eine URL oder eine ID',
+  aztecHelp: 'Aztec Codes werden über das Zielmuster in ihrer Mitte erkannt und brauchen keine Ruhezone, der Rand kann für kleine Anhänger also auf 0 gesetzt werden.',
+  aztecSize: 'Symbolgröße: {size} x {size} Module, {layers} Lagen',
+
+  //
+  // Barcode Options Panel
+  //
+  barcode: 'Barcode',
+  barcodeOptions: 'Barcode Optionen',
+  barcodeFormat: 'Format',
+  barcodeHumanReadable: 'Klartext',
+  barcodeHumanReadableText: 'Den lesbaren Text unter die Striche drucken',
+  barcodeHelpCode128: 'Code 128 kodiert alle ASCII-Zeichen und speichert Ziffernfolgen platzsparend. Er ist der gängigste Barcode für Versandetiketten und Inventar.',
+  barcodeHelpEan13: 'EAN-13 Codes bestehen aus 12 Ziffern, die Prüfziffer wird automatisch berechnet, wenn du sie weglässt.',
+  barcodeHelpUpcA: 'UPC-A Codes bestehen aus 11 Ziffern, die Prüfziffer wird automatisch berechnet, wenn du sie weglässt.',
+  barcodeHelpCode39: 'Code 39 kodiert Ziffern, Großbuchstaben, Leerzeichen und die Zeichen - . $ / + %. Kleinbuchstaben werden in Großbuchstaben umgewandelt.',
+  barcodeModuleWidth: 'Schmalster Strich: {width} {unit}',
+  barcodeModuleWidthWarning: 'Die schmalsten Striche sind dünner als {width} {unit} und werden eventuell nicht sauber gedruckt. Vergrößere die Breite des Sockels oder kürze den Text.',
+
   //
   // 3D Model Options Panel
   //
@@ -113,6 +195,20 @@ export default {
   height: 'Höhe',
   depth: 'Tiefe',
   cornerRadius: 'Eckradius',
+  cornerStyle: 'Ecken',
+  cornerRound: 'abgerundet',
+  cornerChamfer: 'abgeschrägt',
+  individualCorners: 'jede Ecke einzeln',
+  cornersTop: 'Obere Ecken',
+  cornersBottom: 'Untere Ecken',
+  cornerRadiusTopLeft: 'Ecke oben links',
+  cornerRadiusTopRight: 'Ecke oben rechts',
+  cornerRadiusBottomRight: 'Ecke unten rechts',
+  cornerRadiusBottomLeft: 'Ecke unten links',
+  baseEdges: 'Kanten der Basis',
+  baseEdgesHelp: 'Fast oder rundet die oberen Kanten der Basis ab wie bei gegossenen Schildern. Der Rahmen und der Anhänger bekommen die gleichen Kanten. Die Größe ist auf den Rand um den Code begrenzt, damit der Codebereich flach bleibt.',
+  bottomChamfer: 'Fase unten',
+  bottomChamferHelp: 'Fast die unteren Kanten der Basis und des Anhängers mit 45 Grad an, was den Elefantenfuß der ersten Schichten verdeckt. Bei 0 bleiben sie gerade.',
   border: 'Rahmen',
   borderAroundBase: 'Rahmen um die Basis hinzufügen',
   margin: 'Abstand',
@@ -121,6 +217,17 @@ export default {
   shape: 'Form',
   rectangle: 'Rechteck',
   roundedRectangle: 'abgerundetes Rechteck',
+  ellipse: 'Ellipse',
+  hexagon: 'Sechseck',
+  octagon: 'Achteck',
+  star: 'Stern',
+  customOutline: 'eigener Umriss (SVG)',
+  outline: 'Umriss',
+  outlineMissing: 'Wähle eine SVG-Datei, bis dahin bleibt die Basis ein Rechteck. Die größte geschlossene Form der Datei wird als Umriss verwendet.',
+  outlineSize: 'Umrissgröße',
+  outlineCodePosition: 'Code-Position',
+  outlineCodePositionHelp: 'Position des Codes von der Mitte des Umrisses aus, x nach rechts und y nach unten. Der Text wird wie gewohnt neben dem Code platziert.',
+  codeOverhangsOutline: 'Der Code passt nicht in den Umriss und seinen Rand. Verschiebe den Code oder vergrößere den Umriss.',
   square: 'quadratisch',
   round: 'rund',
   size: 'Größe',
@@ -130,11 +237,29 @@ export default {
   Überprüfe, ob du den QR Code scannen kannst bevor du ihn ausdruckst.
   Lasse diesen Wert auf 100% wenn du dir nicht sicher bist.
   Ein Wert über 100% führt dazu, dass sich die Blöcke miteinander verbinden. Dies könnte dabei helfen, wenn du Probleme hast den Code zu drucken.`,
+  roundedSquare: 'abgerundetes Quadrat',
+  circle: 'Kreis',
+  diamond: 'Raute',
+  liquid: 'flüssig',
+  moduleStyleHelp: `
+  Die Form der einzelnen QR Code Blöcke. Jeder Block bleibt an seiner Position im Code zentriert, daher lassen sich gestaltete Codes genauso scannen wie quadratische.
+  Beim flüssigen Stil verschmelzen benachbarte Blöcke zu zusammenhängenden, abgerundeten Formen. Dieser Stil nutzt immer das volle Raster, die Blockgröße wirkt sich nur auf die anderen Stile aus.`,
+  eyes: 'Augen',
+  customEyesText: 'Gestalte die Positionsmuster separat und exportiere sie als eigenes Teil (z.B. um sie in einer Akzentfarbe zu drucken).',
+  eyeFrame: 'Augenrahmen',
+  eyePupil: 'Pupille',
+  rounded: 'abgerundet',
+  leaf: 'Blatt',
   icon: 'Icon',
   noIcon: 'Kein Icon',
   iconSizeHelp: `
   Die Größe des Icons relativ zur Breite des QR Codes.
   Um das Icon anzuzeigen wird die Fehlerkorrektur des QR Codes missbraucht. Wenn es zu groß ist, kann der Code evtl. nicht mehr richtig ausgelesen werden.`,
+  iconPadding: 'Abstand zum Icon',
+  modules: 'Blöcke',
+  iconPaddingHelp: 'Es werden nur die Blöcke weggelassen, die von der Kontur des Icons berührt werden. Für den Abstand wird jeder Block vor der Prüfung um diese Anzahl an Blöcken vergrößert, damit um das Icon etwas Platz frei bleibt. Positions-, Timing- und Formatmuster werden nie verdeckt, ein größeres Icon wird verkleinert, damit sie frei bleiben.',
+  iconKnockout: 'Das Icon verdeckt {modules} Blöcke und zerstört etwa {destroyed}% der Codewörter, das sind {usage}% der Fehlerkorrektur-Kapazität.',
+  iconKnockoutSizeLimited: 'Das Icon wurde auf {ratio}% verkleinert, damit Positions-, Timing- und Formatmuster frei bleiben.',
   text: 'Text',
   textOnEdge: 'Füge dem QR Code deinen eigenen Text hinzu.',
   placement: 'Platzierung',
@@ -143,7 +268,40 @@ export default {
   italicInfoText: '*kursiv*',
   boldInfoText: '**fett**',
   cityMode: 'QR-City',
-  cityModeText: 'Verändert die Höhe der Blöcke zufällig.',
+  cityModeText: 'Verändert die Höhe der Blöcke nach einem wiederholbaren Muster.',
+  cityPattern: 'Muster',
+  cityPatternHelp: 'Alle Muster sind reproduzierbar: dieselben Einstellungen und derselbe Seed ergeben immer dieselben Höhen, sodass ein Modell später erneut exportiert werden kann.',
+  cityPatternRandom: 'Zufällig',
+  cityPatternRadial: 'Radial',
+  cityPatternLinear: 'Linearer Verlauf',
+  cityPatternWave: 'Welle',
+  cityPatternNoise: 'Rauschen',
+  cityPatternIcon: 'Abstand zum Icon',
+  citySeed: 'Seed',
+  cityNewSeed: 'Neuer zufälliger Seed',
+  cityAngle: 'Richtung',
+  cityFrequency: 'Frequenz',
+  cityReverse: 'Umkehren',
+  cityReverseText: 'Niedrige und hohe Blöcke tauschen',
+  topEdges: 'Obere Kanten',
+  topEdgeFlat: 'Flach',
+  topEdgeChamfer: 'Gefast',
+  topEdgeRound: 'Abgerundet',
+  topEdgesHelp: 'Fast oder rundet die oberen Kanten des Codes, des Texts und des Rahmens ab. Die Größe ist auf ein Viertel des schmalsten Blocks, Balkens oder Buchstabenstrichs begrenzt, damit die flache Oberseite groß genug zum Scannen bleibt. Invertierte Codes und die alte Modellerzeugung behalten flache Blöcke.',
+  placementRaised: 'Erhaben',
+  placementDebossed: 'Vertieft',
+  placementInlay: 'Bündig eingelegt',
+  placementHelp: 'Erhabene Codes stehen auf der Basis. Vertiefte Codes und Texte werden stattdessen in die Oberseite der Basis geschnitten, so wird der ganze Anhänger einfarbig gedruckt und die Vertiefungen werden durch ihre Schatten gelesen. Bündig eingelegte Codes füllen Taschen in der Basis mit dem Code, dem Text und dem Rahmen, so bleibt die Oberseite eben und das Filament muss nur einmal gewechselt werden. Die Tiefe bestimmt, wie tief die Vertiefungen oder Taschen sind.',
+  recessTooDeep: 'Die Vertiefungen sind tiefer als die Basis erlaubt und werden auf {max} begrenzt.',
+  inlayFilamentChange: 'Wechsle das Filament bei einer Höhe von {height}, dort beginnen die Vertiefungen für den Code. Verwende eine Tiefe, die ein Vielfaches deiner Schichthöhe ist.',
+  faceDown: 'Kopfüber',
+  faceDownText: 'Code auf der ersten Schicht drucken',
+  faceDownKickstandOverride: 'Die Stütze wird stehend mit dem Anhänger gedruckt, daher wird das Modell nicht kopfüber gedreht.',
+  placementFaceDownOverride: 'Kopfüber gedruckte Modelle werden bündig eingelegt.',
+  placementRaisedOverride: 'Invertieren und QR-City gelten nur für erhabene Codes und werden ignoriert.',
+  dualExtrusion: 'Zwei Extruder',
+  dualExtrusionText: 'Teile ohne Überschneidung exportieren',
+  dualExtrusionHelp: 'Für Drucker mit zwei Extrudern oder einer Mehrfarbeinheit. Der Code, der Text und der Rahmen werden in Taschen der Basis versenkt und die Teile getrennt exportiert, so überschneiden sich keine Teile und der Slicer kann jedem Teil ein Filament zuweisen.',
   invert: 'Invertieren',
   invertText: 'Kehrt die Struktur des Codes um',
   keychain: 'Anhänger',
@@ -157,6 +315,18 @@ export default {
   nfcIndentationHelp: 'Fügt der Basis eine Einkerbung auf der Unterseite hinzu in der NFC/RFID tags platziert werden können.',
   indentation: 'Einkerbung',
   nfcIndentationHiddenHelp: 'Erstellt eine Aushöhlung im Inneren der Basis mit einem Abstand von 1mm zur Unterseite. Damit kannst du einen NFC Tag fest in den 3D-Druck integrieren. Stoppe den Druckvorgang vor dem Layer in dem die Aushöhlung wieder überdekt wird, platziere den Tag und setze dann den Druck fort. Passe auf, dass die Tiefe etwas höher ist als der tatsächliche Tag und passe die Höhe der Basis entsprechend der Größe des Tags an.',
+  stand: 'Ständer',
+  standNone: 'keiner',
+  standKickstand: 'Stütze',
+  standFoot: 'Steckfuß',
+  standHelp: 'Lässt den Tag wie einen Tischaufsteller auf dem Tisch stehen. Die Stütze ist ein Keil hinter dem Tag, das Modell wird stehend und an ihn gelehnt gedruckt. Der Steckfuß wird liegend neben dem Tag gedruckt, die Unterkante des Tags wird in seinen schrägen Schlitz gesteckt.',
+  standAngle: 'Neigung',
+  standFootprint: 'Standfläche',
+  standFootprintHelp: 'Tiefe des Ständers auf dem Tisch von vorne nach hinten. Eine größere Standfläche macht den Ständer kippsicherer, bei Bedarf wird sie passend zum Schlitz verbreitert.',
+  standSeparate: 'Getrennt drucken',
+  standSeparateHelp: 'Den Fuß nicht in das kombinierte Modell aufnehmen, er wird als eigenes Teil in der ZIP-Datei exportiert',
+  standStable: 'Standprüfung: das Modell kippt, wenn es um {forward}° nach vorne oder um {backward}° nach hinten geneigt wird.',
+  standUnstable: 'Der Ständer kippt leicht um: schon eine Neigung um {forward}° nach vorne oder um {backward}° nach hinten reicht. Vergrößere die Standfläche oder verringere die Neigung.',
   compatibilityMode: 'Kompatibilitätsmodus',
   compatibilityModeLabel: 'Alter Modellerstellungsmodus (bei Problemen, z.B. in TinkerCAD)',
   compatibilityModeHelp: `Ich habe kürzlich eine Verbesserung vorgenommen, die die Geschwindigkeit der Modellerstellung erhöht. Wenn du Probleme mit dem generierten Modell hast, kannst du versuchen, diese Option zu aktivieren. Dadurch wird das Modell auf die alte Weise generiert, was eventuelle Probleme mit deinem Slicer/CAD-Programm beheben könnte. Dies betrifft auch die Icon-Verarbeitung - komplexe Icon-Formen können für bessere Kompatibilität vereinfacht werden.`,
@@ -173,6 +343,8 @@ export default {
   exportSeparatePartsHelp: `
   Wenn diese Option aktiviert wird, werden alle Bestandteile des QR Code Modells als einzelne STL Dateien gespeichert. Hilfreich für Drucker mit mehreren Extrudern.`,
   separateParts: 'Separate Teile',
+  solidUnion: 'Solide Vereinigung',
+  solidUnionHelp: 'Wenn diese Option aktiviert wird, werden die Teile der kombinierten STL Datei zu einem geschlossenen Körper vereinigt statt sich zu überschneiden, wie es Druckdienste verlangen. Das Generieren dauert dadurch einige Sekunden länger.',
   saveAsButton: 'Als STL exportieren',
   saveAsImageButton: 'Als PNG rendern',
 
@@ -284,6 +456,9 @@ export default {
   batchErrorCount: '{count} QR-Code(s) konnten nicht generiert werden',
   batchRowError: 'Zeile {row}: {error}',
   batchMoreErrors: '...und {count} weitere Fehler',
+  batchScanWarningCount: '{count} QR-Code(s) haben den Scan-Test nicht bestanden',
+  batchScanUnreadable: 'Zeile {row}: Das Modell konnte nicht gelesen werden',
+  batchScanMismatch: 'Zeile {row}: Das Modell ergibt "{text}"',
   batchParseError: 'Fehler beim Parsen der CSV',
   batchFileReadError: 'Fehler beim Lesen der Datei',
   batchNoDataRows: 'Die CSV-Datei muss mindestens eine Kopfzeile und eine Datenzeile enthalten',
@@ -17,6 +17,26 @@ export default {
   scrollDownForGuide: 'Scroll down for a guide on how to print your QR code.',
   printabilityWarning: 'Warning for 3D printability',
   printabilityWarningBody: 'At least one edge of the smallest element in the 3D model is very small: {dimensions}. Depending on your setup, this could make printing harder.',
+  scanCheckPassed: 'Scan check passed: the top view of the model decodes to the entered text.',
+  scanCheckMismatch: 'Scan check: the top view of the model decodes to different text: "{text}"',
+  scanCheckUnreadable: 'Scan check failed: the top view of the model could not be decoded. Try a smaller icon, a larger code or a higher error correction level before printing.',
+  scanCheckFailed: 'The scan check could not be run.',
+  meshCheckButton: 'Check mesh',
+  meshCheckPassed: 'Mesh check passed: all parts are closed, manifold solids.',
+  meshCheckRepaired: 'Mesh check: {count} part(s) had issues that were repaired, all parts are now closed, manifold solids.',
+  meshCheckRemaining: 'Mesh check: some issues could not be repaired in: {parts}. Slicers may report these parts as not manifold.',
+  meshCheckTouching: 'Mesh check: all parts are closed. Solids touch at an edge or overlap each other in: {parts}. Most slicers merge them without problems.',
+  meshCheckShowDetails: 'Show details',
+  meshCheckHideDetails: 'Hide details',
+  meshCheckPart: 'Part',
+  meshCheckTriangles: 'Triangles',
+  meshCheckOpenEdges: 'Open edges',
+  meshCheckNonManifoldEdges: 'Non-manifold edges',
+  meshCheckFlippedEdges: 'Flipped normals',
+  meshCheckDegenerateTriangles: 'Degenerate triangles',
+  meshCheckOverlappingFaces: 'Duplicate faces',
+  meshCheckOverlappingShells: 'Overlapping bodies',
+  meshCheckHelp: 'Every part is checked on request or before the export and repaired by welding close vertices, removing degenerate and duplicate triangles, closing T-junctions and turning flipped triangles. "a → b" shows the issues found and left after the repair. Non-manifold edges where two solids touch at an edge and bodies overlapping each other in a combined model built by the solid union cannot be repaired, most slicers merge them without problems.',
   supportMe: 'Support qrcode2stl',
   viewOnGithub: 'GitHub',
   shareButtonTitle: 'Share this page',
@@ -49,6 +69,37 @@ export default {
   useEscapeSequences: 'Escape sequences',
   useEscapeSequencesToggle: 'Interpret escape sequences',
   useEscapeSequencesHelp: 'Examples: \\n (newline), \\t (tab), \\r (carriage return)',
+  microQR: 'Micro QR',
+  microQRToggle: 'Generate a Micro QR code',
+  microQRHelp: 'Micro QR codes (M1 to M4) have a single finder pattern and hold up to 35 digits or 15 characters of text, which makes them fit on tiny tags. Error correction level H is not available, Q is used instead.',
+  microQRSymbol: 'Micro QR {version}: {size} x {size} modules, {length} of {capacity} {mode}.',
+  microQRModeNumeric: 'digits',
+  microQRModeAlphanumeric: 'characters (upper case letters and digits)',
+  microQRModeByte: 'bytes',
+  microQRErrorDetectionOnly: 'M1 symbols only detect errors.',
+  microQRQuietZoneWarning: 'Micro QR codes need a quiet zone of 2 modules, the margin should be at least {margin} mm.',
+  qrVersion: 'Version',
+  qrVersionMinimum: 'Minimum',
+  qrVersionFixed: 'Fixed',
+  qrEncodingAuto: 'Automatic',
+  qrMaskPattern: 'Mask Pattern',
+  qrSegmentMode: 'Encoding Mode',
+  qrModeKanji: 'Kanji',
+  qrEci: 'Character Set (ECI)',
+  qrEciNone: 'None (UTF-8)',
+  qrEncodingHelp: 'A fixed version gives every code the same number of modules, so all tags of a series have the same module size. Use a minimum version to never go below a size but still grow for longer texts.',
+  qrCapacity: 'Version {version} ({size}×{size} modules): {used} of {capacity} data bits used ({percent}%).',
+  qrModuleSize: 'Module size: {size} mm.',
+  structuredAppend: 'Structured Append',
+  structuredAppendToggle: 'Split long texts into linked QR codes',
+  structuredAppendHelp: 'Splits the text into up to 16 QR codes that scanners join back together, so long vCards stay printable at small sizes. Keep a spacing of at least 4 modules between the codes. Icons are not available for linked codes.',
+  structuredAppendMaxVersion: 'Max. Version',
+  structuredAppendLayout: 'Layout',
+  structuredAppendLayoutGrid: 'Grid on one base',
+  structuredAppendLayoutRow: 'Row on one base',
+  structuredAppendLayoutSeparate: 'Separate tags',
+  structuredAppendSpacing: 'Spacing',
+  structuredAppendSymbols: 'The text needs {count} linked QR codes.',
   optionalFieldsHint: 'Not all fields have to be filled in.',
   // Wifi
   ssidPlaceholder: 'The name of the Wifi network',
@@ -104,6 +155,37 @@ export default {
   spotifyUriHelp: 'You can get the Spotify URI for a track/album/playlist/user from Spotify by clicking "Share" and then "URI".',
   spotifyCodeHeightInfo: 'Spotify Codes have a fixed aspect ratio of 4:1',
 
+  //
+  // Data Matrix Options Panel
+  //
+  dataMatrixOptions: 'Data Matrix Options',
+  dataMatrixTextPlaceholder: 'The content of your Data Matrix code e.g. a part number like BIN-0042',
+  dataMatrixHelp: 'Data Matrix (ECC200) codes are common for labeling parts and fixtures. The symbol size is chosen automatically.',
+  dataMatrixSize: 'Symbol size: {size} x {size} modules',
+
+  //
+  // Aztec Options Panel
+  //
+  aztecOptions: 'Aztec Code Options',
+  aztecTextPlaceholder: 'The content of your Aztec code e.g. a URL or an ID',
+  aztecHelp: 'Aztec codes are located by the bullseye in their center and need no quiet zone, so the margin can be set to 0 for small tags.',
+  aztecSize: 'Symbol size: {size} x {size} modules, {layers} layers',
+
+  //
+  // Barcode Options Panel
+  //
+  barcode: 'Barcode',
+  barcodeOptions: 'Barcode Options',
+  barcodeFormat: 'Format',
+  barcodeHumanReadable: 'Plain text',
+  barcodeHumanReadableText: 'Print the human-readable text below the bars',
+  barcodeHelpCode128: 'Code 128 encodes all ASCII characters and stores runs of digits compactly. It is the most common barcode for shipping labels and inventory.',
+  barcodeHelpEan13: 'EAN-13 codes consist of 12 digits, the check digit is calculated automatically if you leave it out.',
+  barcodeHelpUpcA: 'UPC-A codes consist of 11 digits, the check digit is calculated automatically if you leave it out.',
+  barcodeHelpCode39: 'Code 39 encodes digits, upper case letters, space and the characters - . $ / + %. Lower case letters are converted to upper case.',
+  barcodeModuleWidth: 'Narrowest bar: {width} {unit}',
+  barcodeModuleWidthWarning: 'The narrowest bars are thinner than {width} {unit} and might not print cleanly. Increase the width of the base or shorten the text.',
+
   //
   // 3D Model Options Panel
   //
@@ -113,6 +195,20 @@ export default {
   height: 'Height',
   depth: 'Depth',
   cornerRadius: 'Corner Radius',
+  cornerStyle: 'Corners',
+  cornerRound: 'round',
+  cornerChamfer: 'chamfered',
+  individualCorners: 'set each corner',
+  cornersTop: 'Top corners',
+  cornersBottom: 'Bottom corners',
+  cornerRadiusTopLeft: 'top left corner',
+  cornerRadiusTopRight: 'top right corner',
+  cornerRadiusBottomRight: 'bottom right corner',
+  cornerRadiusBottomLeft: 'bottom left corner',
+  baseEdges: 'Base edges',
+  baseEdgesHelp: 'Chamfers or rounds the top edges of the base like on molded signs. The border and the keychain attachment get the same edges. The size is limited to the margin around the code, so the code area stays flat.',
+  bottomChamfer: 'Bottom chamfer',
+  bottomChamferHelp: 'Chamfers the bottom edges of the base and the keychain attachment at 45 degrees, which hides the elephant foot of the first layers. 0 keeps them straight.',
   border: 'Border',
   borderAroundBase: 'Add border around the base',
   margin: 'Margin',
@@ -121,6 +217,17 @@ export default {
   shape: 'Shape',
   rectangle: 'rectangle',
   roundedRectangle: 'rounded rectangle',
+  ellipse: 'ellipse',
+  hexagon: 'hexagon',
+  octagon: 'octagon',
+  star: 'star',
+  customOutline: 'custom outline (SVG)',
+  outline: 'Outline',
+  outlineMissing: 'Select an SVG file, the base stays a rectangle until then. The largest closed shape of the file is used as outline.',
+  outlineSize: 'Outline size',
+  outlineCodePosition: 'Code position',
+  outlineCodePositionHelp: 'Position of the code from the center of the outline, x to the right and y down. The text is placed next to the code as usual.',
+  codeOverhangsOutline: 'The code does not fit inside the outline and its border. Move the code or make the outline larger.',
   square: 'square',
   round: 'round',
   size: 'Size',
@@ -130,6 +237,19 @@ export default {
   Check the preview with your phone before printing to see if you have gone too far.
   Stay at 100% if you are not sure.
   If you increase this value above 100% (e.g. 120%) the blocks will form connected islands that make the QR code easier to print.`,
+  roundedSquare: 'rounded square',
+  circle: 'circle',
+  diamond: 'diamond',
+  liquid: 'liquid',
+  moduleStyleHelp: `
+  The shape of the individual QR code blocks. Every block stays centered on its position in the code, so styled codes scan just like square ones.
+  With the liquid style neighbouring blocks merge into connected, rounded shapes. It always uses the full grid, the block size only affects the other styles.`,
+  eyes: 'Eyes',
+  customEyesText: 'Style the position patterns separately and export them as their own part (e.g. to print them in an accent color).',
+  eyeFrame: 'Eye Frame',
+  eyePupil: 'Eye Pupil',
+  rounded: 'rounded',
+  leaf: 'leaf',
   icon: 'Icon',
   noIcon: 'No icon',
   customIcon: 'Custom Icon',
@@ -142,6 +262,11 @@ export default {
   The size of the icon relative to the total width of the QR Code.
   The icon abuses the inbuilt error correction of the qr code. If it is too big the code may not be readable.
   If you want to have a big icon but your phone can't read the QR code you can try to increase the Error Correction Level.`,
+  iconPadding: 'Icon Padding',
+  modules: 'modules',
+  iconPaddingHelp: 'Only the modules touched by the outline of the icon are left out. The padding grows every module by this many modules before testing it, so the icon gets some free space around it. Finder, timing and format patterns are never covered, a bigger icon is scaled down to keep them free.',
+  iconKnockout: 'The icon covers {modules} modules and destroys about {destroyed}% of the codewords, that is {usage}% of the error correction capacity.',
+  iconKnockoutSizeLimited: 'The icon was scaled down to {ratio}% to keep the finder, timing and format patterns free.',
   text: 'Text',
   textOnEdge: 'Add a custom title text to your QR code.',
   placement: 'Placement',
@@ -150,7 +275,40 @@ export default {
   italicInfoText: '*italics*',
   boldInfoText: '**bold**',
   cityMode: 'QR-City',
-  cityModeText: 'Randomly alters the height of the blocks.',
+  cityModeText: 'Varies the height of the blocks with a repeatable pattern.',
+  cityPattern: 'Pattern',
+  cityPatternHelp: 'All patterns are deterministic: the same settings and seed always give the same heights, so a model can be exported again later.',
+  cityPatternRandom: 'Random',
+  cityPatternRadial: 'Radial',
+  cityPatternLinear: 'Linear gradient',
+  cityPatternWave: 'Wave',
+  cityPatternNoise: 'Noise',
+  cityPatternIcon: 'Distance from icon',
+  citySeed: 'Seed',
+  cityNewSeed: 'New random seed',
+  cityAngle: 'Direction',
+  cityFrequency: 'Frequency',
+  cityReverse: 'Reverse',
+  cityReverseText: 'Swap low and high blocks',
+  topEdges: 'Top edges',
+  topEdgeFlat: 'Flat',
+  topEdgeChamfer: 'Chamfered',
+  topEdgeRound: 'Rounded',
+  topEdgesHelp: 'Chamfers or rounds the top edges of the code, the text and the border. The size is limited to a quarter of the narrowest block, bar or letter stroke, so the flat top stays large enough to scan. Inverted codes and the old model generation keep flat blocks.',
+  placementRaised: 'Raised',
+  placementDebossed: 'Debossed',
+  placementInlay: 'Flush inlay',
+  placementHelp: 'Raised codes stand on the base. Debossed codes and texts are cut into the top of the base instead, so the whole tag prints in one color and the recesses are read by their shadows. Flush inlays fill pockets in the base with the code, the text and the border, so the top is level and only one filament change is needed. The depth sets how deep the recesses or pockets are.',
+  recessTooDeep: 'The recesses are deeper than the base allows and are limited to {max}.',
+  inlayFilamentChange: 'Change the filament at a height of {height}, where the pockets for the code start. Use a depth that is a multiple of your layer height.',
+  faceDown: 'Face down',
+  faceDownText: 'Print the code on the first layer',
+  faceDownKickstandOverride: 'The kickstand is printed standing with the tag, so the model is not turned face down.',
+  placementFaceDownOverride: 'Face down models are printed as flush inlays.',
+  placementRaisedOverride: 'Invert and QR-City only apply to raised codes and are ignored.',
+  dualExtrusion: 'Dual extrusion',
+  dualExtrusionText: 'Export non-overlapping parts',
+  dualExtrusionHelp: 'For printers with two extruders or a multi-material unit. The code, the text and the border are sunk into pockets of the base and the parts are exported separately, so no two parts overlap and the slicer can assign a filament to each of them.',
   invert: 'Invert',
   invertText: 'Inverts the structure of the code',
   keychain: 'Keychain',
@@ -164,6 +322,18 @@ export default {
   nfcIndentationHelp: 'Adds an indentation on the bottom side of the base where one can insert an NFC/RFID tag.',
   indentation: 'Indentation',
   nfcIndentationHiddenHelp: 'Creates a cavity inside the base with a 1mm offset from the bottom of the base. This allows you to firmly embed the NFC tag inside the 3d print itself. Pause printing before the closing layer, insert the tag, then resume printing. Make sure that the indentation depth is slightly larger than the tag itself and adjust base depth accordingly.',
+  stand: 'Stand',
+  standNone: 'none',
+  standKickstand: 'kickstand',
+  standFoot: 'slot-in foot',
+  standHelp: 'Makes the tag stand on a table like a table tent. The kickstand is a wedge behind the tag, the model is printed standing and leaning back on it. The slot-in foot is printed lying next to the tag, the bottom edge of the tag slides into its tilted slot.',
+  standAngle: 'Stand angle',
+  standFootprint: 'Stand footprint',
+  standFootprintHelp: 'Depth of the stand on the table from front to back. A larger footprint makes the stand harder to tip over, it is widened to fit the slot if needed.',
+  standSeparate: 'Print separately',
+  standSeparateHelp: 'Leave the foot out of the combined model, it is exported as its own part in the ZIP file',
+  standStable: 'Stand check: the model tips over when tilted by {forward}° towards the front or {backward}° towards the back.',
+  standUnstable: 'The stand tips over easily: tilting it by {forward}° towards the front or {backward}° towards the back is enough. Increase the footprint or reduce the angle.',
   compatibilityMode: 'Compatibility Mode',
   compatibilityModeLabel: 'Old Model Generation (when having problems, e.g. in TinkerCAD)',
   compatibilityModeHelp: 'I recently made an improvement that increases the speed of the model generation. If you are having problems with the generated model, you can try to enable this option. It will generate the model in the old way, which may fix some issues with your slicer/CAD software. This also affects icon processing - complex icon shapes may be simplified for better compatibility.',
@@ -179,6 +349,8 @@ export default {
   exportTypeHelp: 'Just leave this as "binary" to keep file size low. If your software has issues with the generated file, you can try to change this option.',
   exportSeparatePartsHelp: 'If set to "yes" the base and the qr code will be saved as two separate parts for printers with dual extrusion printing. Your browser may ask for permissions to download multiple files.',
   separateParts: 'Separate parts',
+  solidUnion: 'Solid union',
+  solidUnionHelp: 'If set to "yes" the parts of the combined STL are joined into one watertight solid instead of overlapping shells, as required by print services. Generating takes a few seconds longer.',
   saveAsButton: 'Export to STL',
   saveAsImageButton: 'Render to PNG',
 
@@ -300,6 +472,9 @@ export default {
   batchErrorCount: 'Failed to generate {count} QR code(s)',
   batchRowError: 'Row {row}: {error}',
   batchMoreErrors: '...and {count} more errors',
+  batchScanWarningCount: '{count} QR code(s) did not pass the scan check',
+  batchScanUnreadable: 'Row {row}: the model could not be decoded',
+  batchScanMismatch: 'Row {row}: the model decodes to "{text}"',
   batchParseError: 'Error parsing CSV',
   batchFileReadError: 'Error reading file',
   batchNoDataRows: 'CSV file must contain at least a header row and one data row',
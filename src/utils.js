@@ -1,6 +1,8 @@
 /* eslint-disable no-plusplus */
 import * as THREE from 'three';
+import * as BufferGeometryUtils from 'three/addons/utils/BufferGeometryUtils.js';
 import { CSG } from 'three-csg-ts';
+import { splitTriangleAtPoints } from './gridGeometry';
 
 /**
  * Returns a rounded rectangle shape with the given parameters
@@ -32,6 +34,469 @@ export const getCustomRoundedRectShape = (x, y, width, height, radiusA, radiusB,
  */
 export const getRoundedRectShape = (x, y, width, height, radius, path = false) => getCustomRoundedRectShape(x, y, width, height, radius, radius, radius, radius, path);
 
+/**
+ * Returns a rectangle shape with its corners cut off at 45 degrees, the corners are in the order of getCustomRoundedRectShape()
+ */
+export const getChamferedRectShape = (x, y, width, height, sizeA, sizeB, sizeC, sizeD) => {
+  const shape = new THREE.Shape();
+  shape.moveTo(x, y + sizeD);
+  shape.lineTo(x, y + height - sizeA);
+  shape.lineTo(x + sizeA, y + height);
+  shape.lineTo(x + width - sizeB, y + height);
+  shape.lineTo(x + width, y + height - sizeB);
+  shape.lineTo(x + width, y + sizeC);
+  shape.lineTo(x + width - sizeC, y);
+  shape.lineTo(x + sizeD, y);
+  shape.lineTo(x, y + sizeD);
+  return shape;
+};
+
+// longest miter of an inset outline relative to the inset, longer miters of sharp corners and cusps are shortened
+const MITER_LIMIT = 4;
+
+/**
+ * @param {THREE.Vector2[]} points - Points of a closed outline without repeating the first point
+ * @param {number} sign - 1 to move the points to the left of the edges, -1 to the right
+ * @return {THREE.Vector2[]} - Offsets of the points that move every edge by a distance of 1, mitered up to a limit
+ */
+const getMiters = (points, sign) => {
+  const normals = points.map((point, i) => {
+    const next = points[(i + 1) % points.length];
+    return new THREE.Vector2(point.y - next.y, next.x - point.x).normalize().multiplyScalar(sign);
+  });
+  return points.map((point, i) => {
+    const before = normals[(i + points.length - 1) % points.length];
+    const after = normals[i];
+    const miter = before.clone().add(after).divideScalar(1 + before.dot(after));
+    if (!(miter.length() <= MITER_LIMIT)) {
+      miter.copy(before).add(after).setLength(MITER_LIMIT);
+    }
+    return miter;
+  });
+};
+
+/**
+ * Moves every edge of a closed outline inwards, the corners are mitered up to a limit.
+ * Edges that are shorter than the inset at sharp corners would turn around and cross the neighbouring edges,
+ * the corner at such an edge is left out of the outline.
+ * @param {THREE.Vector2[]} outline - Points of the outline without repeating the first point
+ * @param {number} distance - Distance of the new edges to the old ones
+ * @return {THREE.Vector2[]} - Points of the inset outline
+ */
+export const getInsetOutline = (outline, distance) => {
+  if (distance === 0) {
+    return outline.map((point) => point.clone());
+  }
+  // the inside lies left of the edges of counterclockwise outlines
+  const sign = THREE.ShapeUtils.isClockWise(outline) ? -1 : 1;
+  let points = outline;
+  for (;;) {
+    const miters = getMiters(points, sign);
+    const inset = points.map((point, i) => point.clone().addScaledVector(miters[i], distance));
+    const turned = inset.findIndex((point, i) => {
+      const next = (i + 1) % points.length;
+      return inset[next].clone().sub(point).dot(points[next].clone().sub(points[i])) <= 0;
+    });
+    if (turned < 0 || points.length <= 3) {
+      return inset;
+    }
+    // the sharper end of the edge goes
+    const next = (turned + 1) % points.length;
+    const removed = miters[turned].length() > miters[next].length() ? turned : next;
+    points = points.filter((point, i) => i !== removed);
+  }
+};
+
+/**
+ * @param {THREE.Vector2[]} outline - Points of a closed outline
+ * @return {number} - Width of the largest square centered at the origin that fits into the outline, 0 if the origin lies outside
+ */
+export const getInscribedSquareWidth = (outline) => {
+  // a ray from the origin crosses the edges of the outline an odd number of times if the origin lies inside
+  const crossings = outline.filter((a, i) => {
+    const b = outline[(i + 1) % outline.length];
+    return (a.y > 0) !== (b.y > 0) && a.x - (a.y * (b.x - a.x)) / (b.y - a.y) > 0;
+  });
+  if (crossings.length % 2 === 0) {
+    return 0;
+  }
+  let halfWidth = Infinity;
+  outline.forEach((a, i) => {
+    const b = outline[(i + 1) % outline.length];
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    // the distance to the edge in the maximum norm is piecewise linear, its minimum lies at a kink or an end
+    [0, 1, -a.x / dx, -a.y / dy, (a.y - a.x) / (dx - dy), -(a.x + a.y) / (dx + dy)]
+      .filter((t) => Number.isFinite(t) && t >= 0 && t <= 1)
+      .forEach((t) => {
+        halfWidth = Math.min(halfWidth, Math.max(Math.abs(a.x + t * dx), Math.abs(a.y + t * dy)));
+      });
+  });
+  return 2 * halfWidth;
+};
+
+/**
+ * Picks the largest outline of the shapes of an SVG, the points are centered and scaled to a size of 1 so they can be stored with the options
+ * @param {THREE.Shape[]} shapes - Shapes of the SVG, e.g. from SVGLoader.createShapes()
+ * @return {number[][]|null} - [x, y] points of the outline with x to the right and y down, null if the SVG has no closed outline
+ */
+export const getSvgOutlinePoints = (shapes) => {
+  let outline = null;
+  shapes.forEach((shape) => {
+    const points = shape.extractPoints(12).shape
+      .filter((point, i, all) => !point.equals(all[(i + 1) % all.length]));
+    if (points.length >= 3 && (!outline || Math.abs(THREE.ShapeUtils.area(points)) > Math.abs(THREE.ShapeUtils.area(outline)))) {
+      outline = points;
+    }
+  });
+  if (!outline) {
+    return null;
+  }
+  const box = new THREE.Box2().setFromPoints(outline);
+  const center = box.getCenter(new THREE.Vector2());
+  const size = box.getSize(new THREE.Vector2());
+  const scale = Math.max(size.x, size.y);
+  return outline.map((point) => [
+    Math.round(((point.x - center.x) / scale) * 1e5) / 1e5,
+    Math.round(((point.y - center.y) / scale) * 1e5) / 1e5,
+  ]);
+};
+
+/**
+ * Places the outline of an SVG around the code. The outline is scaled to the outline size, the code sits at the offset
+ * from the center of the outline, to the right and down like in the SVG.
+ * @param {Object} base - Base options with the points from getSvgOutlinePoints()
+ * @return {THREE.Vector2[]} - Points of the outline, x runs down and y to the right like in the model
+ */
+export const getCustomOutline = (base) => base.outlinePoints.map(([x, y]) => new THREE.Vector2(
+  y * base.outlineSize - base.outlineOffsetY,
+  x * base.outlineSize - base.outlineOffsetX,
+));
+
+// number of bevel segments of rounded top edges
+const ROUND_EDGE_SEGMENTS = 4;
+// number of times the top edges of a shape are made smaller before it is extruded with a flat top
+const TOP_EDGE_ATTEMPTS = 4;
+
+/**
+ * Checks that the top face of an extrusion covers exactly the area enclosed by the upper edge of its sides.
+ * Where the bevel folds over, the inset outline crosses itself and its triangulation covers a different area.
+ * @param {THREE.BufferGeometry} geometry - Non-indexed geometry
+ * @return {boolean} - True if the top face matches its outline
+ */
+const hasConsistentTopFace = (geometry) => {
+  const positions = geometry.getAttribute('position');
+  let topZ = -Infinity;
+  for (let i = 0; i < positions.count; i += 1) {
+    topZ = Math.max(topZ, positions.getZ(i));
+  }
+
+  let faceArea = 0;
+  let outlineArea = 0;
+  for (let i = 0; i + 2 < positions.count; i += 3) {
+    const corners = [i, i + 1, i + 2];
+    const onTop = corners.map((k) => positions.getZ(k) === topZ);
+    if (onTop.every((isOnTop) => isOnTop)) {
+      const [a, b, c] = corners;
+      faceArea += ((positions.getX(b) - positions.getX(a)) * (positions.getY(c) - positions.getY(a))
+        - (positions.getY(b) - positions.getY(a)) * (positions.getX(c) - positions.getX(a))) / 2;
+    } else {
+      // the sides run along the outline of the top face in the opposite direction
+      for (let k = 0; k < 3; k += 1) {
+        const from = corners[k];
+        const to = corners[(k + 1) % 3];
+        if (onTop[k] && onTop[(k + 1) % 3]) {
+          outlineArea -= (positions.getX(from) * positions.getY(to) - positions.getX(to) * positions.getY(from)) / 2;
+        }
+      }
+    }
+  }
+  return Math.abs(faceArea - outlineArea) <= 1e-4 * Math.abs(faceArea);
+};
+
+/**
+ * Extrudes a single shape with a bevel on its top edges, see getTopEdgeExtrudeGeometry()
+ */
+const extrudeWithTopEdge = (shape, depth, edgeStyle, edgeSize, curveSegments) => {
+  const thickness = Math.min(edgeSize, depth / 2);
+  // the bevel starts inside the outline, so the sides of the extrusion stay on the outline
+  const geometry = new THREE.ExtrudeGeometry(shape, {
+    steps: 1,
+    depth: depth - thickness,
+    bevelEnabled: true,
+    bevelThickness: thickness,
+    bevelSize: edgeSize,
+    bevelOffset: -edgeSize,
+    bevelSegments: edgeStyle === 'round' ? ROUND_EDGE_SEGMENTS : 1,
+    curveSegments,
+  });
+
+  // ExtrudeGeometry bevels the bottom as well, flattening it onto z = 0 turns the bottom bevel
+  // into rings around the bottom face that together cover the whole outline
+  const positions = geometry.getAttribute('position');
+  for (let i = 0; i < positions.count; i += 1) {
+    if (positions.getZ(i) < 0) {
+      positions.setZ(i, 0);
+    }
+  }
+  geometry.computeVertexNormals();
+  return geometry;
+};
+
+/**
+ * Extrudes shapes from z = 0 to depth with chamfered or rounded top edges.
+ * The outline stays unchanged at the bottom and the top face is inset by the size of the edge,
+ * the edge takes at most half the depth so the sides stay partly vertical.
+ * The bevel moves every point of the outline on its own, so it can fold over at narrow or pointed parts,
+ * e.g. the ends of letters. Such shapes get smaller edges or, as last resort, a flat top.
+ * @param {THREE.Shape|THREE.Shape[]} shapes - Shapes to extrude
+ * @param {number} depth - Height of the extrusion
+ * @param {string} edgeStyle - flat, chamfer or round
+ * @param {number} edgeSize - Horizontal size of the edge
+ * @param {number} curveSegments - Number of points on the curves of the shapes
+ * @return {THREE.BufferGeometry} - The extruded geometry
+ */
+export const getTopEdgeExtrudeGeometry = (shapes, depth, edgeStyle, edgeSize, curveSegments = 12) => {
+  const extrudeFlat = (shape) => new THREE.ExtrudeGeometry(shape, {
+    steps: 1,
+    depth,
+    bevelEnabled: false,
+    curveSegments,
+  });
+  if (edgeStyle === 'flat' || !edgeStyle || edgeSize <= 0 || depth <= 0) {
+    return extrudeFlat(shapes);
+  }
+
+  const geometries = (Array.isArray(shapes) ? shapes : [shapes]).map((shape) => {
+    let size = edgeSize;
+    for (let attempt = 0; attempt < TOP_EDGE_ATTEMPTS; attempt += 1) {
+      const geometry = extrudeWithTopEdge(shape, depth, edgeStyle, size, curveSegments);
+      if (hasConsistentTopFace(geometry)) {
+        return geometry;
+      }
+      size /= 2;
+    }
+    return extrudeFlat(shape);
+  });
+  if (geometries.length === 0) {
+    return extrudeFlat(shapes);
+  }
+  return geometries.length === 1 ? geometries[0] : BufferGeometryUtils.mergeGeometries(geometries);
+};
+
+// points of an outline closer than this are merged (in mm), e.g. the ends of corners without radius
+const POINT_TOLERANCE = 1e-6;
+
+/**
+ * Rings that make up the sides of an extrusion with beveled edges, from the bottom to the top
+ * @return {Object[]} - { inset, z } of every ring, inset is the distance to the outline
+ */
+const getEdgeProfile = (depth, topStyle, topSize, bottomSize) => {
+  const profile = [];
+  const bottom = Math.min(bottomSize, depth / 2);
+  if (bottom > 0) {
+    profile.push({ inset: bottom, z: 0 });
+  }
+  profile.push({ inset: 0, z: bottom });
+  const thickness = Math.min(topSize, depth / 2);
+  if (topStyle && topStyle !== 'flat' && thickness > 0) {
+    const segments = topStyle === 'round' ? ROUND_EDGE_SEGMENTS : 1;
+    for (let i = 0; i <= segments; i += 1) {
+      const angle = (i / segments) * (Math.PI / 2);
+      profile.push({ inset: topSize * (1 - Math.cos(angle)), z: depth - thickness * (1 - Math.sin(angle)) });
+    }
+  } else {
+    profile.push({ inset: 0, z: depth });
+  }
+  // a chamfer and a top edge of half the depth each meet without a vertical part
+  return profile.filter(({ inset, z }, i) => i === 0 || inset !== profile[i - 1].inset || z !== profile[i - 1].z);
+};
+
+/**
+ * @param {THREE.Vector2[]} sorted - Points sorted by x
+ * @param {THREE.Box2} box - Box to search
+ * @return {THREE.Vector2[]} - The points inside the box
+ */
+const getPointsInBox = (sorted, box) => {
+  let low = 0;
+  let high = sorted.length;
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    if (sorted[middle].x < box.min.x) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  const result = [];
+  for (let i = low; i < sorted.length && sorted[i].x <= box.max.x; i += 1) {
+    if (sorted[i].y >= box.min.y && sorted[i].y <= box.max.y) {
+      result.push(sorted[i]);
+    }
+  }
+  return result;
+};
+
+/**
+ * Extrudes a single shape with beveled top and bottom edges, see getEdgeExtrudeGeometry()
+ */
+const extrudeWithEdges = (shape, depth, edges, curveSegments) => {
+  const { shape: contour, holes } = shape.extractPoints(curveSegments);
+  const outlineProfile = getEdgeProfile(depth, edges.style, edges.size || 0, edges.bottomSize || 0);
+  const holeProfile = getEdgeProfile(depth, edges.holeStyle, edges.holeSize || 0, 0);
+
+  // the outline runs counterclockwise and the holes clockwise, so the solid lies left of every edge
+  const rings = [contour, ...holes].map((points, index) => {
+    let ring = points.filter((point, i) => point.distanceTo(points[(i + 1) % points.length]) > POINT_TOLERANCE);
+    if (THREE.ShapeUtils.isClockWise(ring) !== index > 0) {
+      ring = ring.slice().reverse();
+    }
+    const miters = getMiters(ring, 1);
+    const profile = index === 0 ? outlineProfile : holeProfile;
+    return profile.map(({ inset, z }) => ({
+      z,
+      points: ring.map((point, i) => point.clone().addScaledVector(miters[i], inset)),
+    }));
+  });
+
+  const positions = [];
+  const addTriangle = (a, b, c) => {
+    positions.push(a.x, a.y, a.z, b.x, b.y, b.z, c.x, c.y, c.z);
+  };
+  rings.forEach((layers) => {
+    for (let l = 0; l + 1 < layers.length; l += 1) {
+      const lower = layers[l];
+      const upper = layers[l + 1];
+      lower.points.forEach((point, i) => {
+        const next = (i + 1) % lower.points.length;
+        const a0 = new THREE.Vector3(point.x, point.y, lower.z);
+        const b0 = new THREE.Vector3(lower.points[next].x, lower.points[next].y, lower.z);
+        const a1 = new THREE.Vector3(upper.points[i].x, upper.points[i].y, upper.z);
+        const b1 = new THREE.Vector3(upper.points[next].x, upper.points[next].y, upper.z);
+        addTriangle(a0, b0, b1);
+        addTriangle(a0, b1, a1);
+      });
+    }
+  });
+  // the faces at the bottom and the top close the innermost rings, seen from outside they run counterclockwise
+  [[false, -1], [true, 1]].forEach(([isTop, direction]) => {
+    const faceRings = rings.map((layers) => layers[isTop ? layers.length - 1 : 0]);
+    const { z } = faceRings[0];
+    const points = faceRings.flatMap((ring) => ring.points);
+    const triangles = THREE.ShapeUtils.triangulateShape(faceRings[0].points, faceRings.slice(1).map((ring) => ring.points));
+    // the triangulation skips points of the rings that line up with the bridges to the holes, they would leave
+    // T-junctions with the sides, so the triangles are split at all points on their edges
+    const sorted = points.slice().sort((p, q) => p.x - q.x);
+    triangles.forEach((triangle) => {
+      const corners = triangle.map((i) => points[i]);
+      const box = new THREE.Box2().setFromPoints(corners).expandByScalar(POINT_TOLERANCE);
+      const pieces = [];
+      splitTriangleAtPoints(corners, getPointsInBox(sorted, box), pieces);
+      pieces.forEach((piece) => {
+        const [a, b, c] = piece.map((point) => new THREE.Vector3(point.x, point.y, z));
+        const area = THREE.ShapeUtils.area([a, b, c]);
+        if (Math.abs(area) < 1e-9) {
+          // pieces along the bridges of the triangulation to the holes can be flat
+          return;
+        }
+        if (Math.sign(area) === direction) {
+          addTriangle(a, b, c);
+        } else {
+          addTriangle(a, c, b);
+        }
+      });
+    });
+  });
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  // planar uvs so the geometry can be merged with extruded geometries
+  geometry.setAttribute('uv', new THREE.Float32BufferAttribute(positions.filter((value, i) => i % 3 !== 2), 2));
+  geometry.computeVertexNormals();
+  return geometry;
+};
+
+/**
+ * Extrudes shapes from z = 0 to depth with chamfered or rounded top edges and chamfered bottom edges,
+ * the edges of the outline and the edges of the holes can differ. Like getTopEdgeExtrudeGeometry() the edges
+ * take at most half the depth each, and shapes where they would fold over get smaller edges or, as last resort, flat sides.
+ * @param {THREE.Shape|THREE.Shape[]} shapes - Shapes to extrude
+ * @param {number} depth - Height of the extrusion
+ * @param {Object} edges - { style, size, bottomSize, holeStyle, holeSize } style and size of the top edges
+ * and size of the 45 degree chamfer at the bottom of the outline, style and size of the top edges of the holes
+ * @param {number} curveSegments - Number of points on the curves of the shapes
+ * @return {THREE.BufferGeometry} - The extruded geometry
+ */
+export const getEdgeExtrudeGeometry = (shapes, depth, edges, curveSegments = 12) => {
+  const extrudeFlat = (shape) => new THREE.ExtrudeGeometry(shape, {
+    steps: 1,
+    depth,
+    bevelEnabled: false,
+    curveSegments,
+  });
+  const hasEdges = [[edges.style, edges.size], [edges.holeStyle, edges.holeSize]]
+    .some(([style, size]) => style && style !== 'flat' && size > 0) || edges.bottomSize > 0;
+  if (!hasEdges || depth <= 0) {
+    return extrudeFlat(shapes);
+  }
+
+  const geometries = (Array.isArray(shapes) ? shapes : [shapes]).map((shape) => {
+    let scale = 1;
+    for (let attempt = 0; attempt < TOP_EDGE_ATTEMPTS; attempt += 1) {
+      const geometry = extrudeWithEdges(shape, depth, {
+        ...edges,
+        size: (edges.size || 0) * scale,
+        bottomSize: (edges.bottomSize || 0) * scale,
+        holeSize: (edges.holeSize || 0) * scale,
+      }, curveSegments);
+      // mirrored, the bottom face is checked like the top face
+      if (hasConsistentTopFace(geometry) && hasConsistentTopFace(geometry.clone().scale(1, 1, -1))) {
+        return geometry;
+      }
+      scale /= 2;
+    }
+    return extrudeFlat(shape);
+  });
+  if (geometries.length === 0) {
+    return extrudeFlat(shapes);
+  }
+  return geometries.length === 1 ? geometries[0] : BufferGeometryUtils.mergeGeometries(geometries);
+};
+
+// thinnest floor that is kept below recesses cut into the top of the base
+const MIN_RECESS_FLOOR = 0.4;
+
+/**
+ * @param {Object} base - Base options
+ * @return {number} - Deepest recess that can be cut into the top of the base,
+ * keeping a floor above the bottom of the base and the NFC cavity
+ */
+export const getMaxRecessDepth = (base) => {
+  let bottom = 0;
+  if (base.hasNfcIndentation) {
+    // hidden cavities start 1 mm above the bottom
+    bottom = base.nfcIndentationDepth + (base.nfcIndentationHidden ? 1 : 0);
+  }
+  return Math.max(0, base.depth - bottom - MIN_RECESS_FLOOR);
+};
+
+/**
+ * Some code options do not fit together, the model is generated with these values instead while the options stay as they are
+ * @param {Object} options - Options of the model
+ * @return {Object} - { faceDown, placement, invert, cityMode } the code options the model is generated with
+ */
+export const getEffectiveCodeOptions = ({ base, code }) => {
+  // the kickstand is printed standing with the tag, which leaves no side to lie on
+  const faceDown = !!code.faceDown && base.stand !== 'kickstand';
+  // the face lies on the print bed, so nothing may stand on it
+  const placement = faceDown ? 'inlay' : code.placement;
+  // debossed and inlaid codes are cut into the flat top of the base, which leaves no background to raise and no room for different heights
+  const isCutIn = placement === 'debossed' || placement === 'inlay';
+  return {
+    faceDown, placement, invert: !!code.invert && !isCutIn, cityMode: !!code.cityMode && !isCutIn,
+  };
+};
+
 /**
  * @param {THREE.Mesh} mesh a mesh
  * @return {THREE.Vector3} size of the given mesh's bounding box
@@ -26,7 +26,6 @@ export default defineConfig({
         manualChunks: {
           vendor: ['vue', 'vue-i18n'],
           three: ['three', 'three-csg-ts'],
-          qrcode: ['qrcode'],
         },
       },
     },
@@ -35,6 +34,6 @@ export default defineConfig({
     format: 'es',
   },
   optimizeDeps: {
-    include: ['vue', 'vue-i18n', 'three', 'qrcode'],
+    include: ['vue', 'vue-i18n', 'three'],
   },
 });